@@ -0,0 +1,106 @@
+/**
+ * Node runtime for the scoring modules
+ * Loads the browser scripts as CommonJS modules and exposes them as globals
+ * so cross-module references (Scorer -> Parser, rules, Storage) resolve the
+ * same way they do when index.html loads them with <script> tags.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Runtime = {
+  ROOT: path.resolve(__dirname, '..'),
+
+  // Same order as the <script> tags in index.html
+  MODULES: [
+    ['Storage', 'js/storage.js'],
+    ['Extractor', 'js/extractor.js'],
+    ['Parser', 'js/parser.js'],
+    ['Chunker', 'js/chunker.js'],
+    ['RuleHelpers', 'js/rules/rule-helpers.js'],
+    ['ContentStructureRules', 'js/rules/content-structure.js'],
+    ['TerminologyRules', 'js/rules/terminology.js'],
+    ['TextOverVisualsRules', 'js/rules/text-over-visuals.js'],
+    ['PricingRules', 'js/rules/pricing.js'],
+    ['FaqRules', 'js/rules/faq.js'],
+    ['FreshnessRules', 'js/rules/freshness.js'],
+    ['ConcreteDataRules', 'js/rules/concrete-data.js'],
+    ['MetadataRules', 'js/rules/metadata.js'],
+    ['ErrorMessageRules', 'js/rules/error-messages.js'],
+    ['RetrievabilityRules', 'js/rules/retrievability.js'],
+    ['KeywordCoverageRules', 'js/rules/keyword-coverage.js'],
+    ['SelfContainedRules', 'js/rules/self-contained.js'],
+    ['OutcomesReversibilityRules', 'js/rules/outcomes-reversibility.js'],
+    ['PermissionsPlansRules', 'js/rules/permissions-plans.js'],
+    ['ClaudeClient', 'js/claude-client.js'],
+    ['Scorer', 'js/scorer.js'],
+    ['Community', 'js/community.js'],
+    ['LlmsTxt', 'js/llms-txt.js'],
+    ['Export', 'js/export.js'],
+    ['Gate', 'js/gate.js'],
+    ['App', 'js/app.js']
+  ],
+
+  DEFAULT_CONFIG: 'config/scoring-criteria.json',
+
+  // Populated by load()
+  modules: null,
+
+  /**
+   * Load all modules into globalThis and apply the scoring config
+   * @param {Object} options - Runtime options
+   * @param {string} options.configPath - Path to a scoring config JSON (optional)
+   * @returns {Object} Map of module name to module
+   */
+  load(options = {}) {
+    const modules = {};
+    this.MODULES.forEach(([name, file]) => {
+      const mod = require(path.join(this.ROOT, file));
+      globalThis[name] = mod;
+      modules[name] = mod;
+    });
+
+    const config = this.loadConfig(options.configPath);
+    if (config) {
+      globalThis.ScoringConfig = config;
+      modules.Scorer.applyConfig(config);
+    }
+
+    this.modules = modules;
+    return modules;
+  },
+
+  /**
+   * Read the scoring config from disk
+   * @param {string} configPath - Path to config JSON (defaults to the bundled config)
+   * @returns {Object|null} Parsed config or null if the default is missing
+   */
+  loadConfig(configPath) {
+    const resolved = configPath
+      ? path.resolve(configPath)
+      : path.join(this.ROOT, this.DEFAULT_CONFIG);
+
+    if (!fs.existsSync(resolved)) {
+      if (configPath) {
+        throw new Error(`Scoring config not found: ${configPath}`);
+      }
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  },
+
+  /**
+   * Load jsdom, which provides the DOM used by the extraction code
+   * @returns {Function} JSDOM constructor
+   */
+  getJSDOM() {
+    try {
+      return require('jsdom').JSDOM;
+    } catch {
+      throw new Error('The score command needs jsdom for HTML parsing. Run npm install in the project root');
+    }
+  }
+};
+
+module.exports = Runtime;
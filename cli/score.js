@@ -0,0 +1,572 @@
+#!/usr/bin/env node
+/**
+ * Headless scoring command
+ * Scores saved HTML files, Markdown source files, directories of them, or URLs
+ * without the browser app. Markdown frontmatter (title, product, plan, roles,
+ * last_updated) is read into the page meta.
+ *
+ * Usage:
+ *   node cli/score.js <file|directory|url>... [options]
+ *
+ * Options:
+ *   --json            Print full results as JSON; when the batch has community threads or
+ *                     an llms.txt check, prints { results, community, llms }
+ *   --config <path>   Scoring config (default: config/scoring-criteria.json)
+ *   --api-key <key>   Claude API key (default: ANTHROPIC_API_KEY env var)
+ *   --top <n>         Number of top issues to print (default: 5)
+ *   --gate <path>     Evaluate results against a gate policy JSON (exit 1 on failure)
+ *   --gate-output <path>  Write the gate summary JSON to a file
+ *   --community-output <path>  Write the community consolidation report JSON to a file
+ *   --llms-root <dir> Site root holding llms.txt / llms-full.txt to check (default: a
+ *                     directory input that contains either file)
+ *   --llms-output <path>  Write a candidate llms.txt generated from the results
+ *   --queries <path>  Target search queries: a JSON object mapping a file, URL, or file
+ *                     name to a list of queries, or a text file with one query per line
+ *                     for every page (default: queries derived from headings)
+ *
+ * Community thread exports in the inputs are not scored as articles; they are
+ * compared against the KB pages in the same run (CAT-07).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const Runtime = require('./runtime');
+
+const Cli = {
+  HTML_EXTENSIONS: ['.html', '.htm'],
+  MARKDOWN_EXTENSIONS: ['.md', '.markdown'],
+
+  USAGE: 'Usage: node cli/score.js <file|directory|url>... [--json] [--config <path>] [--api-key <key>] [--top <n>] [--gate <policy>] [--gate-output <path>] [--community-output <path>] [--llms-root <dir>] [--llms-output <path>] [--queries <path>]',
+
+  /**
+   * Parse command line arguments
+   * @param {string[]} argv - Arguments after the script name
+   * @returns {Object} Parsed options and input paths
+   */
+  parseArgs(argv) {
+    const options = {
+      inputs: [],
+      json: false,
+      configPath: null,
+      apiKey: process.env.ANTHROPIC_API_KEY || null,
+      top: 5,
+      gatePath: null,
+      gateOutput: null,
+      communityOutput: null,
+      llmsRoot: null,
+      llmsOutput: null,
+      queriesPath: null,
+      queries: null,
+      help: false
+    };
+
+    for (let i = 0; i < argv.length; i += 1) {
+      const arg = argv[i];
+      switch (arg) {
+        case '--json':
+          options.json = true;
+          break;
+        case '--config':
+          options.configPath = argv[++i];
+          break;
+        case '--api-key':
+          options.apiKey = argv[++i];
+          break;
+        case '--top':
+          options.top = parseInt(argv[++i], 10) || options.top;
+          break;
+        case '--gate':
+          options.gatePath = argv[++i];
+          break;
+        case '--gate-output':
+          options.gateOutput = argv[++i];
+          break;
+        case '--community-output':
+          options.communityOutput = argv[++i];
+          break;
+        case '--llms-root':
+          options.llmsRoot = argv[++i];
+          break;
+        case '--llms-output':
+          options.llmsOutput = argv[++i];
+          break;
+        case '--queries':
+          options.queriesPath = argv[++i];
+          break;
+        case '-h':
+        case '--help':
+          options.help = true;
+          break;
+        default:
+          if (arg.startsWith('--')) {
+            throw new Error(`Unknown option: ${arg}`);
+          }
+          options.inputs.push(arg);
+      }
+    }
+
+    return options;
+  },
+
+  /**
+   * Expand inputs into a flat list of scoring targets
+   * @param {string[]} inputs - Files, directories, or URLs
+   * @returns {Array} Targets with type ('file' or 'url') and location
+   */
+  collectTargets(inputs) {
+    const targets = [];
+
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            walk(fullPath);
+          } else if ([...this.HTML_EXTENSIONS, ...this.MARKDOWN_EXTENSIONS].includes(path.extname(entry.name).toLowerCase())) {
+            targets.push({ type: 'file', location: fullPath });
+          }
+        });
+    };
+
+    inputs.forEach(input => {
+      if (/^https?:\/\//i.test(input)) {
+        targets.push({ type: 'url', location: input });
+        return;
+      }
+      if (!fs.existsSync(input)) {
+        throw new Error(`No such file or directory: ${input}`);
+      }
+      if (fs.statSync(input).isDirectory()) {
+        walk(input);
+      } else {
+        targets.push({ type: 'file', location: input });
+      }
+    });
+
+    return targets;
+  },
+
+  /**
+   * Find the site root to check for llms.txt files
+   * @param {Object} options - Parsed CLI options
+   * @returns {string|null} Directory path
+   */
+  findLlmsRoot(options) {
+    if (options.llmsRoot) {
+      if (!fs.existsSync(options.llmsRoot) || !fs.statSync(options.llmsRoot).isDirectory()) {
+        throw new Error(`llms.txt root is not a directory: ${options.llmsRoot}`);
+      }
+      return options.llmsRoot;
+    }
+
+    return options.inputs.find(input =>
+      !/^https?:\/\//i.test(input) &&
+      fs.statSync(input).isDirectory() &&
+      ['llms.txt', 'llms-full.txt'].some(name => fs.existsSync(path.join(input, name)))
+    ) || null;
+  },
+
+  /**
+   * Read llms.txt files from a site root
+   * @param {string} root - Directory path
+   * @returns {Object} Files for LlmsTxt.check (null when missing)
+   */
+  readLlmsFiles(root) {
+    const read = name => {
+      const file = path.join(root, name);
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    };
+
+    return {
+      llmsTxt: read('llms.txt'),
+      llmsFullTxt: read('llms-full.txt'),
+      rootUrl: pathToFileURL(path.resolve(root) + path.sep).href
+    };
+  },
+
+  /**
+   * Load target queries for keyword coverage
+   * @param {string} queriesPath - Path to a JSON map or a one-query-per-line text file
+   * @returns {Object} Queries by target key, with '*' for queries that apply to every page
+   */
+  loadQueries(queriesPath) {
+    if (!fs.existsSync(queriesPath)) {
+      throw new Error(`Queries file not found: ${queriesPath}`);
+    }
+    const text = fs.readFileSync(queriesPath, 'utf8');
+
+    if (path.extname(queriesPath).toLowerCase() === '.json') {
+      const map = JSON.parse(text);
+      if (!map || typeof map !== 'object' || Array.isArray(map) ||
+          !Object.values(map).every(queries => Array.isArray(queries))) {
+        throw new Error(`Queries file must map pages to lists of queries: ${queriesPath}`);
+      }
+      return map;
+    }
+
+    return { '*': text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#')) };
+  },
+
+  /**
+   * Look up the target queries for one scoring target
+   * @param {Object} target - Scoring target
+   * @param {Object|null} queryMap - Queries loaded by loadQueries
+   * @returns {string[]} Queries (empty to derive them from headings)
+   */
+  getQueriesFor(target, queryMap) {
+    if (!queryMap) return [];
+    const keys = target.type === 'url'
+      ? [target.location]
+      : [target.location, path.resolve(target.location), path.basename(target.location)];
+    const key = keys.find(candidate => queryMap[candidate]);
+    return queryMap[key] || queryMap['*'] || [];
+  },
+
+  /**
+   * Check whether a target is a Markdown source file
+   * @param {Object} target - Scoring target
+   * @returns {boolean} True for .md and .markdown files
+   */
+  isMarkdownTarget(target) {
+    return target.type === 'file' && this.MARKDOWN_EXTENSIONS.includes(path.extname(target.location).toLowerCase());
+  },
+
+  /**
+   * Load a target into a DOM document, or read it as Markdown source
+   * @param {Object} target - Scoring target
+   * @param {Function} JSDOM - JSDOM constructor
+   * @returns {Promise<Object>} Document (null for Markdown), Markdown source, and the URL it represents
+   */
+  async loadDocument(target, JSDOM) {
+    if (this.isMarkdownTarget(target)) {
+      return {
+        doc: null,
+        markdown: fs.readFileSync(target.location, 'utf8'),
+        url: pathToFileURL(path.resolve(target.location)).href
+      };
+    }
+
+    let html;
+    let url;
+
+    if (target.type === 'url') {
+      const response = await fetch(target.location);
+      if (!response.ok) {
+        throw new Error(`Fetch failed (${response.status})`);
+      }
+      html = await response.text();
+      url = target.location;
+    } else {
+      html = fs.readFileSync(target.location, 'utf8');
+      url = pathToFileURL(path.resolve(target.location)).href;
+    }
+
+    const dom = new JSDOM(html, { url });
+    return { doc: dom.window.document, url };
+  },
+
+  /**
+   * Extract, normalize, and score a single loaded page
+   * @param {Object} target - Scoring target
+   * @param {Object} page - Loaded document and URL from loadDocument
+   * @param {Object} modules - Loaded runtime modules
+   * @param {Object} options - Parsed CLI options
+   * @returns {Promise<Object>} Normalized content and scoring results
+   */
+  async scoreTarget(target, page, modules, options) {
+    const { Extractor, Parser, Scorer } = modules;
+
+    const rawContent = page.doc
+      ? Extractor.extract(page.doc, page.url)
+      : Extractor.fromMarkdown(page.markdown, { url: page.url });
+    const content = Parser.normalize(rawContent);
+    const queries = this.getQueriesFor(target, options.queries);
+    const results = await Scorer.scoreAll(content, content.metrics, options.apiKey, () => {}, { queries });
+    results.meta.source = target.location;
+    results.meta.extractionWarnings = content.meta.extractionWarnings || [];
+
+    return { content, results };
+  },
+
+  /**
+   * Format results as plain text for the terminal
+   * @param {Object} results - Scoring results
+   * @param {number} top - Number of top issues to include
+   * @returns {string} Report text
+   */
+  formatResult(results, top = 5) {
+    const { Export, KeywordCoverageRules } = Runtime.modules;
+    const lines = [];
+
+    lines.push(`${results.meta.title}`);
+    lines.push(`  Source: ${results.meta.source}`);
+    lines.push(`  Last updated: ${Export.formatLastUpdated(results.meta)}`);
+    lines.push(`  Composite: ${results.compositeScore.toFixed(1)}/10 (${Export.getStatusLabel(results.status)})`);
+    lines.push('  Categories:');
+
+    Object.values(results.categories)
+      .sort((a, b) => (b.weight || 0) - (a.weight || 0))
+      .forEach(category => {
+        const score = category.estimated ? 'N/A (estimated)'
+          : category.score === null ? 'N/A' : `${category.score}/10`;
+        const weight = Math.round((category.weight || 0) * 100);
+        lines.push(`    ${category.name.padEnd(26)} ${score.padEnd(16)} ${weight}%`);
+      });
+
+    if (results.chunking && results.chunking.strategies.length > 0) {
+      const summary = results.chunking.strategies
+        .map(strategy => `${strategy.id} ${strategy.chunkCount} chunks, ${strategy.splitProcedures.length} split`)
+        .join('; ');
+      lines.push(`  Chunk simulation: ${summary}`);
+    }
+
+    if (results.requirements) {
+      const { roles, permissions, plans } = results.requirements;
+      const stated = [...roles, ...permissions, ...plans];
+      lines.push(`  Requirements: ${stated.length > 0 ? stated.join(', ') : 'none found'}`);
+    }
+
+    if (results.keywordCoverage && results.keywordCoverage.queries.length > 0) {
+      const source = results.keywordCoverage.source === 'supplied' ? 'target queries' : 'queries from headings';
+      lines.push(`  Keyword coverage (${source}):`);
+      results.keywordCoverage.queries.forEach(query => {
+        const hits = Object.entries(query.placement)
+          .filter(([, coverage]) => coverage === 1)
+          .map(([field]) => KeywordCoverageRules.PLACEMENT_LABELS[field]);
+        const best = query.bestSection ? `${Math.round(query.coverage * 100)}% in "${query.bestSection}"` : 'no matching section';
+        lines.push(`    "${query.query}": ${best}; ${hits.length > 0 ? `in ${hits.join(', ')}` : 'no full placement hits'}`);
+      });
+    }
+
+    const issues = results.allIssues.slice(0, top);
+    if (issues.length > 0) {
+      lines.push('  Top issues:');
+      issues.forEach((issue, index) => {
+        lines.push(`    ${index + 1}. ${Export.getSeverityIcon(issue.severity)} ${issue.message} (${issue.category})`);
+        if (issue.fix) {
+          lines.push(`       Fix: ${issue.fix}`);
+        }
+      });
+    }
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Format a community consolidation report as plain text for the terminal
+   * @param {Object} report - Report from Community.analyze
+   * @returns {string} Report text
+   */
+  formatCommunity(report) {
+    const lines = [];
+
+    lines.push(`Community consolidation: ${report.totals.threads} threads, ${report.totals.kbPages} KB pages`);
+    report.productAreas.forEach(area => {
+      lines.push(`  ${area.productArea.padEnd(24)} ${`${area.score.toFixed(1)}/10`.padEnd(8)} ${area.covered} covered, ${area.uncovered} missing, ${area.contradicted} contradicted`);
+    });
+
+    if (report.contradictions.length > 0) {
+      lines.push('  KB contradicts accepted answer:');
+      report.contradictions.forEach(item => {
+        lines.push(`    - ${item.kbUrl} vs ${item.threadUrl}`);
+        item.conflicts.forEach(conflict => {
+          lines.push(`        KB: "${conflict.kb}"  community: "${conflict.community}"`);
+        });
+      });
+    }
+
+    if (report.uncovered.length > 0) {
+      lines.push('  No matching KB article:');
+      report.uncovered.forEach(item => {
+        lines.push(`    - ${item.question} (${item.url})`);
+      });
+    }
+
+    if (report.unanswered.length > 0) {
+      lines.push(`  ${report.unanswered.length} thread(s) without an accepted answer were skipped`);
+    }
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Format a machine-readable format report as plain text for the terminal
+   * @param {Object} report - Report from LlmsTxt.check
+   * @returns {string} Report text
+   */
+  formatLlms(report) {
+    const { Export } = Runtime.modules;
+    const lines = [];
+
+    lines.push(`Machine-readable formats (llms.txt): ${report.score === null ? 'N/A' : `${report.score}/10`}`);
+    Object.values(report.criteria).forEach(criterion => {
+      lines.push(`  ${criterion.criterionId}  ${`${criterion.score}/10`.padEnd(6)} ${criterion.details}`);
+    });
+    report.issues.forEach(issue => {
+      lines.push(`  ${Export.getSeverityIcon(issue.severity)} ${issue.message}`);
+    });
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Format a gate summary as plain text for the terminal
+   * @param {Object} summary - Gate summary from Gate.evaluateBatch
+   * @returns {string} Verdict text
+   */
+  formatGateSummary(summary) {
+    const lines = [];
+
+    summary.pages.forEach(page => {
+      const score = typeof page.compositeScore === 'number' ? ` ${page.compositeScore.toFixed(1)}/10` : '';
+      lines.push(`${page.passed ? 'PASS' : 'FAIL'}${score}  ${page.url}`);
+      page.failures.forEach(failure => {
+        lines.push(`      - ${failure.message}`);
+      });
+    });
+
+    lines.push('');
+    lines.push(`Gate ${summary.passed ? 'passed' : 'failed'}: ${summary.totals.passed} of ${summary.totals.pages} pages passed`);
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Load and validate a gate policy file
+   * @param {string} policyPath - Path to the policy JSON
+   * @returns {Object} Policy
+   */
+  loadPolicy(policyPath) {
+    if (!fs.existsSync(policyPath)) {
+      throw new Error(`Gate policy not found: ${policyPath}`);
+    }
+    const policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+    const validation = Runtime.modules.Gate.validatePolicy(policy);
+    if (!validation.isValid) {
+      throw new Error(`Invalid gate policy: ${validation.errors.join(', ')}`);
+    }
+    return policy;
+  },
+
+  /**
+   * Run the command
+   * @param {string[]} argv - Arguments after the script name
+   * @returns {Promise<number>} Process exit code
+   */
+  async main(argv) {
+    let options;
+    try {
+      options = this.parseArgs(argv);
+    } catch (error) {
+      console.error(error.message);
+      console.error(this.USAGE);
+      return 2;
+    }
+
+    if (options.help || options.inputs.length === 0) {
+      console.log(this.USAGE);
+      return options.help ? 0 : 2;
+    }
+
+    let targets;
+    let policy = null;
+    let llmsRoot = null;
+    try {
+      Runtime.load({ configPath: options.configPath });
+      targets = this.collectTargets(options.inputs);
+      // Markdown sources never touch the DOM, so only HTML files and URLs need jsdom
+      if (targets.some(target => !this.isMarkdownTarget(target))) {
+        options.JSDOM = Runtime.getJSDOM();
+      }
+      if (options.gatePath) {
+        policy = this.loadPolicy(options.gatePath);
+      }
+      llmsRoot = this.findLlmsRoot(options);
+      if (options.queriesPath) {
+        options.queries = this.loadQueries(options.queriesPath);
+      }
+    } catch (error) {
+      console.error(error.message);
+      return 2;
+    }
+
+    const { Community } = Runtime.modules;
+    const resultsList = [];
+    const kbPages = [];
+    const threads = [];
+    for (const target of targets) {
+      try {
+        const page = await this.loadDocument(target, options.JSDOM);
+        const thread = page.doc ? Community.extractThread(page.doc, page.url) : null;
+        if (thread) {
+          threads.push(thread);
+          continue;
+        }
+        const { content, results } = await this.scoreTarget(target, page, Runtime.modules, options);
+        resultsList.push(results);
+        kbPages.push({ url: results.meta.url, title: results.meta.title, text: content.text.fullText });
+      } catch (error) {
+        resultsList.push({ url: target.location, error: error.message });
+      }
+    }
+
+    const community = threads.length > 0 ? Community.analyze(kbPages, threads) : null;
+    if (community && options.communityOutput) {
+      fs.writeFileSync(options.communityOutput, JSON.stringify(community, null, 2));
+    }
+
+    const llms = llmsRoot ? Runtime.modules.LlmsTxt.check(resultsList, this.readLlmsFiles(llmsRoot)) : null;
+    if (options.llmsOutput) {
+      fs.writeFileSync(options.llmsOutput, llms ? llms.candidate : Runtime.modules.LlmsTxt.generate(resultsList));
+    }
+
+    if (policy) {
+      const summary = Runtime.modules.Gate.evaluateBatch(resultsList, policy);
+      if (options.gateOutput) {
+        fs.writeFileSync(options.gateOutput, JSON.stringify(summary, null, 2));
+      }
+      console.log(options.json ? JSON.stringify(summary, null, 2) : this.formatGateSummary(summary));
+      return Runtime.modules.Gate.getExitCode(summary);
+    }
+
+    if (options.json) {
+      // Batch-level reports wrap the results so they are not lost without the --*-output files
+      const output = community || llms
+        ? { results: resultsList, community, llms }
+        : (resultsList.length === 1 ? resultsList[0] : resultsList);
+      console.log(JSON.stringify(output, null, 2));
+    } else {
+      resultsList.forEach(entry => {
+        if (entry.error) {
+          console.log(`${entry.url}\n  Error: ${entry.error}`);
+        } else {
+          console.log(this.formatResult(entry, options.top));
+        }
+        console.log('');
+      });
+      if (community) {
+        console.log(this.formatCommunity(community));
+        console.log('');
+      }
+      if (llms) {
+        console.log(this.formatLlms(llms));
+        console.log('');
+      }
+    }
+
+    return resultsList.some(entry => entry.error) ? 1 : 0;
+  }
+};
+
+if (require.main === module) {
+  Cli.main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error(error.message);
+    process.exitCode = 2;
+  });
+}
+
+module.exports = Cli;
@@ -78,10 +78,10 @@ const App = {
       testApiKeyBtn.addEventListener('click', () => this.testApiKey());
     }
 
-    // Manual URL input
+    // Manual input (pasted drafts)
     const manualScoreBtn = document.getElementById('manualScoreBtn');
     if (manualScoreBtn) {
-      manualScoreBtn.addEventListener('click', () => this.showManualInput());
+      manualScoreBtn.addEventListener('click', () => this.handleManualScore());
     }
 
     // Batch scoring
@@ -110,6 +110,12 @@ const App = {
       scoreAgainBtn.addEventListener('click', () => this.scoreAgain());
     }
 
+    // Target queries (keyword coverage)
+    const rescoreQueriesBtn = document.getElementById('rescoreWithQueries');
+    if (rescoreQueriesBtn) {
+      rescoreQueriesBtn.addEventListener('click', () => this.saveQueriesAndRescore());
+    }
+
     // History items
     this.setupHistoryListeners();
 
@@ -247,7 +253,8 @@ const App = {
         : Date.now());
       const apiKey = Storage.getApiKey();
       const metrics = this.state.content.metrics;
-      const cacheKey = `${this.hashText(this.state.content.text.fullText)}:${apiKey ? 'full' : 'rule'}`;
+      const queries = Storage.getTargetQueries(this.state.content.meta.url);
+      const cacheKey = `${this.hashText(this.state.content.text.fullText)}:${apiKey ? 'full' : 'rule'}:${this.hashText(queries.join('\n'))}`;
       const cached = Storage.getResultCacheEntry(cacheKey);
       if (cached && cached.results) {
         this.state.results = cached.results;
@@ -264,7 +271,8 @@ const App = {
         this.state.content,
         metrics,
         apiKey,
-        (progress) => this.updateProgress(progress)
+        (progress) => this.updateProgress(progress),
+        { queries }
       );
       const timings = this.state.timings || {};
       timings.scoringMs = Math.round(nowMs() - scoringStart);
@@ -341,6 +349,12 @@ const App = {
       urlEl.href = results.meta.url;
     }
 
+    // Update last-updated date
+    const updatedEl = document.getElementById('pageUpdated');
+    if (updatedEl) {
+      updatedEl.textContent = `Last updated: ${Export.formatLastUpdated(results.meta)}`;
+    }
+
     // Update composite score
     const scoreEl = document.getElementById('compositeScore');
     if (scoreEl) {
@@ -381,6 +395,9 @@ const App = {
     // Render all issues
     this.renderAllIssues(results.allIssues);
 
+    // Render keyword coverage
+    this.renderKeywordCoverage(results);
+
     // Update history sidebar
     this.renderHistory();
   },
@@ -420,22 +437,36 @@ const App = {
     const container = document.getElementById('batchSummary');
     if (!container) return;
     const batchResults = this.state.batchResults || [];
+    const community = this.state.batchCommunity;
 
-    if (batchResults.length <= 1) {
+    if (batchResults.length <= 1 && !community) {
       container.classList.add('hidden');
       container.innerHTML = '';
       return;
     }
 
+    // Titles, URLs, and answer text all come from fetched pages
+    const esc = value => this.escapeHtml(value);
     const listItems = batchResults.map((entry, index) => {
       if (entry.error) {
-        return `<li class="batch-error">${entry.url} - ${entry.error}</li>`;
+        return `<li class="batch-error">${esc(entry.url)} - ${esc(entry.error)}</li>`;
       }
-      return `<li><button class="link-button" data-batch-index="${index}">${entry.meta.title || entry.meta.url}</button> — ${entry.compositeScore.toFixed(1)}/10</li>`;
+      return `<li><button class="link-button" data-batch-index="${index}">${esc(entry.meta.title || entry.meta.url)}</button> — ${entry.compositeScore.toFixed(1)}/10</li>`;
     });
     const duplicates = this.state.batchDuplicates || [];
     const duplicateMarkup = duplicates.length
-      ? `<p><strong>Potential duplicates:</strong></p><ul>${duplicates.map(pair => `<li>${pair.a} ↔ ${pair.b} (${pair.similarity}%)</li>`).join('')}</ul>`
+      ? `<p><strong>Potential duplicates:</strong></p><ul>${duplicates.map(pair => `<li>${esc(pair.a)} ↔ ${esc(pair.b)} (${pair.similarity}%)</li>`).join('')}</ul>`
+      : '';
+    const communityMarkup = community
+      ? `<p><strong>Community consolidation (${community.totals.threads} threads):</strong></p>
+        <ul>${community.productAreas.map(area => `<li>${esc(area.productArea)} — ${area.score.toFixed(1)}/10 (${area.covered} covered, ${area.uncovered} missing from KB, ${area.contradicted} contradicted)</li>`).join('')}</ul>
+        ${community.contradictions.length ? `<p><strong>KB contradicts accepted answers:</strong></p><ul>${community.contradictions.map(item => `<li>${esc(item.kbUrl)} ↔ ${esc(item.threadUrl)} (${item.conflicts.map(c => `KB: ${esc(c.kb)} / community: ${esc(c.community)}`).join('; ')})</li>`).join('')}</ul>` : ''}
+        ${community.uncovered.length ? `<p><strong>Community answers with no KB article:</strong></p><ul>${community.uncovered.map(item => `<li>${esc(item.question)} (${esc(item.url)})</li>`).join('')}</ul>` : ''}`
+      : '';
+
+    const llms = this.state.batchLlms;
+    const llmsMarkup = llms
+      ? `<p><strong>Machine-readable formats:</strong> ${llms.score === null ? 'N/A' : `${llms.score.toFixed(1)}/10`} — ${llms.pages.filter(page => page.listed).length} of ${llms.pages.length} pages in llms.txt, ${llms.pages.filter(page => page.markdownAlternate).length} with markdown alternates</p>`
       : '';
 
     container.classList.remove('hidden');
@@ -443,6 +474,8 @@ const App = {
       <strong>Batch Results (${batchResults.length})</strong>
       <ul>${listItems.join('')}</ul>
       ${duplicateMarkup}
+      ${communityMarkup}
+      ${llmsMarkup}
     `;
 
     container.querySelectorAll('[data-batch-index]').forEach(btn => {
@@ -490,6 +523,8 @@ const App = {
     const apiKey = Storage.getApiKey();
     const batchResults = [];
     const tokenSets = [];
+    const kbPages = [];
+    const threads = [];
 
     for (let i = 0; i < urls.length; i += 1) {
       const url = urls[i];
@@ -506,7 +541,15 @@ const App = {
         }
         const html = await response.text();
         const doc = new DOMParser().parseFromString(html, 'text/html');
-        const rawContent = this.extractContentFromDocument(doc, url);
+
+        // Community threads feed the consolidation report instead of being scored as articles
+        const thread = Community.extractThread(doc, url);
+        if (thread) {
+          threads.push(thread);
+          continue;
+        }
+
+        const rawContent = Extractor.extract(doc, url);
         const content = Parser.normalize(rawContent);
         const metrics = content.metrics;
 
@@ -514,7 +557,8 @@ const App = {
           content,
           metrics,
           apiKey,
-          progress => this.updateProgress(progress)
+          progress => this.updateProgress(progress),
+          { queries: Storage.getTargetQueries(url) }
         );
 
         result.meta.extractionWarnings = content.meta.extractionWarnings || [];
@@ -523,6 +567,7 @@ const App = {
           .filter(token => token.length > 3);
         tokenSets.push(new Set(tokens));
         batchResults.push(result);
+        kbPages.push({ url: result.meta.url, title: result.meta.title, text: content.text.fullText });
 
         Storage.saveToHistory({
           url: result.meta.url,
@@ -543,16 +588,51 @@ const App = {
     }
     this.state.batchResults = batchResults;
     this.state.batchDuplicates = this.findDuplicatePages(batchResults, tokenSets);
+    this.state.batchCommunity = threads.length > 0 ? Community.analyze(kbPages, threads) : null;
+    this.state.batchLlms = firstResult
+      ? LlmsTxt.check(batchResults, await this.fetchLlmsFiles(firstResult.meta.url))
+      : null;
     this.state.view = 'results';
     this.state.isScoring = false;
     this.updateUI();
     if (this.state.results) {
       this.renderResults();
+    } else if (this.state.batchCommunity) {
+      // Threads are compared against KB pages rather than scored, so a threads-only batch has just the report
+      const titleEl = document.getElementById('pageTitle');
+      if (titleEl) {
+        titleEl.textContent = 'Community consolidation';
+      }
+      this.renderBatchSummary();
+      this.showToast('No KB articles were scored; showing the community report', 'info');
     } else {
       this.showError('Batch scoring failed for all URLs.');
     }
   },
 
+  /**
+   * Fetch llms.txt and llms-full.txt from the site root of a page
+   * @param {string} url - Any page URL on the site
+   * @returns {Promise<Object>} Files for LlmsTxt.check (null when missing)
+   */
+  async fetchLlmsFiles(url) {
+    const origin = new URL(url).origin;
+    const files = { llmsTxt: null, llmsFullTxt: null, rootUrl: `${origin}/`, unreachable: false };
+
+    for (const [key, name] of [['llmsTxt', 'llms.txt'], ['llmsFullTxt', 'llms-full.txt']]) {
+      try {
+        const response = await fetch(`${origin}/${name}`, { mode: 'cors' });
+        if (response.ok) {
+          files[key] = await response.text();
+        }
+      } catch {
+        files.unreachable = true;
+      }
+    }
+
+    return files;
+  },
+
   /**
    * Find duplicate or near-duplicate pages in batch results
    * @param {Array} resultsList - Results list
@@ -589,141 +669,6 @@ const App = {
     return duplicates;
   },
 
-  /**
-   * Extract content from a parsed HTML document
-   * @param {Document} doc - Parsed document
-   * @param {string} url - Source URL
-   * @returns {Object} Raw content payload
-   */
-  extractContentFromDocument(doc, url) {
-    const content = {
-      meta: {
-        url,
-        title: doc.title || url,
-        extractedAt: new Date().toISOString(),
-        domain: new URL(url).hostname,
-        extractionWarnings: []
-      },
-      structure: {
-        headings: [],
-        paragraphs: [],
-        lists: [],
-        images: [],
-        tables: [],
-        codeBlocks: [],
-        links: []
-      },
-      text: {
-        fullText: '',
-        wordCount: 0
-      }
-    };
-
-    const contentSelectors = [
-      '.kb-article-content',
-      '.article-content',
-      '.help-content',
-      'article',
-      'main',
-      '.main-content',
-      '#main-content'
-    ];
-    let mainContent = null;
-    for (const selector of contentSelectors) {
-      mainContent = doc.querySelector(selector);
-      if (mainContent) break;
-    }
-    if (!mainContent) {
-      mainContent = doc.body;
-      content.meta.extractionWarnings.push('No content container matched; fell back to document.body');
-    }
-
-    mainContent.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((h, index) => {
-      content.structure.headings.push({
-        level: h.tagName.toLowerCase(),
-        text: h.textContent.trim(),
-        index
-      });
-    });
-
-    mainContent.querySelectorAll('p').forEach((p, index) => {
-      const text = p.textContent.trim();
-      if (text.length > 0) {
-        content.structure.paragraphs.push({
-          text,
-          wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
-          index
-        });
-      }
-    });
-
-    mainContent.querySelectorAll('ul, ol').forEach((list, index) => {
-      const items = Array.from(list.querySelectorAll(':scope > li')).map(li => li.textContent.trim());
-      if (items.length > 0) {
-        content.structure.lists.push({
-          type: list.tagName.toLowerCase(),
-          items,
-          itemCount: items.length,
-          index
-        });
-      }
-    });
-
-    mainContent.querySelectorAll('img').forEach((img, index) => {
-      content.structure.images.push({
-        src: img.src,
-        alt: img.alt || null,
-        hasAlt: !!img.alt && img.alt.trim().length > 0,
-        width: img.naturalWidth || img.width,
-        height: img.naturalHeight || img.height,
-        index
-      });
-    });
-
-    mainContent.querySelectorAll('table').forEach((table, index) => {
-      const headers = Array.from(table.querySelectorAll('th')).map(th => th.textContent.trim());
-      const rows = Array.from(table.querySelectorAll('tr')).map(tr =>
-        Array.from(tr.querySelectorAll('td')).map(td => td.textContent.trim())
-      ).filter(row => row.length > 0);
-      content.structure.tables.push({
-        headers,
-        rows,
-        rowCount: rows.length,
-        columnCount: headers.length || (rows[0] ? rows[0].length : 0),
-        index
-      });
-    });
-
-    const processedCode = new Set();
-    mainContent.querySelectorAll('pre, code').forEach((code, index) => {
-      const text = code.textContent.trim();
-      if (text.length > 0 && !processedCode.has(text)) {
-        processedCode.add(text);
-        content.structure.codeBlocks.push({
-          content: text,
-          language: code.className.replace('language-', '') || 'unknown',
-          index
-        });
-      }
-    });
-
-    mainContent.querySelectorAll('a[href]').forEach((link, index) => {
-      const href = link.href;
-      const isInternal = href.includes(content.meta.domain) || href.startsWith('/') || href.startsWith('#');
-      content.structure.links.push({
-        href,
-        text: link.textContent.trim(),
-        type: isInternal ? 'internal' : 'external',
-        index
-      });
-    });
-
-    content.text.fullText = mainContent.textContent.replace(/\s+/g, ' ').trim();
-    content.text.wordCount = content.text.fullText.split(/\s+/).filter(w => w.length > 0).length;
-
-    return content;
-  },
-
   /**
    * Render category score cards
    * @param {Object} categories - Category results
@@ -735,11 +680,12 @@ const App = {
     container.innerHTML = Object.entries(categories)
       .sort((a, b) => (b[1].weight || 0) - (a[1].weight || 0))
       .map(([key, category]) => {
-        const status = category.estimated ? 'estimated' :
+        const unscored = category.estimated || category.score === null;
+        const status = unscored ? 'estimated' :
                        category.score >= 7 ? 'green' :
                        category.score >= 4 ? 'yellow' : 'red';
 
-        const scoreDisplay = category.estimated ? 'N/A' : category.score.toFixed(1);
+        const scoreDisplay = unscored ? 'N/A' : category.score.toFixed(1);
         const weightPercent = Math.round((category.weight || 0) * 100);
 
         return `
@@ -752,7 +698,7 @@ const App = {
               <span class="score-number">${scoreDisplay}</span>
               <span class="score-max">/10</span>
             </div>
-            ${category.estimated ?
+            ${unscored ?
               `<p class="category-note">${category.message}</p>` :
               `<p class="category-issues">${category.issues?.length || 0} issues</p>`
             }
@@ -811,6 +757,59 @@ const App = {
     `).join('');
   },
 
+  /**
+   * Render target query coverage (GAP-07)
+   * @param {Object} results - Scoring results
+   */
+  renderKeywordCoverage(results) {
+    const container = document.getElementById('keywordCoverage');
+    const textarea = document.getElementById('targetQueries');
+    if (!container) return;
+
+    if (textarea) {
+      textarea.value = Storage.getTargetQueries(results.meta.url).join('\n');
+    }
+
+    const coverage = results.keywordCoverage;
+    if (!coverage || coverage.queries.length === 0) {
+      container.innerHTML = '<p class="batch-help">No queries to check. Add target queries above.</p>';
+      return;
+    }
+
+    const mark = value => value === 1 ? '✓' : value > 0 ? 'partial' : '—';
+    const labels = KeywordCoverageRules.PLACEMENT_LABELS;
+    container.innerHTML = `
+      <p class="batch-help">${coverage.source === 'supplied' ? 'Your target queries' : 'Queries derived from the page headings'}</p>
+      <table class="keyword-table">
+        <thead>
+          <tr><th>Query</th>${Object.values(labels).map(label => `<th>${label}</th>`).join('')}<th>Best section (BM25)</th><th>Coverage</th></tr>
+        </thead>
+        <tbody>
+          ${coverage.queries.map(query => `
+            <tr>
+              <td>${this.escapeHtml(query.query)}</td>
+              ${Object.keys(labels).map(field => `<td>${mark(query.placement[field])}</td>`).join('')}
+              <td>${query.bestSection ? this.escapeHtml(query.bestSection) : '—'}</td>
+              <td>${Math.round(query.coverage * 100)}%${query.missingTerms.length ? ` (missing: ${this.escapeHtml(query.missingTerms.join(', '))})` : ''}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  },
+
+  /**
+   * Save the target queries typed for this page and score it again
+   */
+  async saveQueriesAndRescore() {
+    const textarea = document.getElementById('targetQueries');
+    if (!textarea || !this.state.content) return;
+
+    const queries = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+    Storage.saveTargetQueries(this.state.content.meta.url, queries);
+    await this.scoreAgain();
+  },
+
   /**
    * Render history sidebar
    */
@@ -901,8 +900,8 @@ const App = {
     // Get the current page URL for the bookmarklet to redirect to
     const appUrl = window.location.href.split('?')[0];
 
-    // Minified bookmarklet code
-    const bookmarkletCode = `javascript:(function(){var s=['help.zoho.com'];var d=window.location.hostname;var ok=s.some(function(x){return d.includes(x)});if(!ok){alert('AI Doc Scorer works on help.zoho.com pages.');return}var c={meta:{url:window.location.href,title:document.title,extractedAt:new Date().toISOString(),domain:d,extractionWarnings:[]},structure:{headings:[],paragraphs:[],lists:[],images:[],tables:[],codeBlocks:[],callouts:[],links:[]},text:{fullText:'',wordCount:0}};var sel=['.kb-article-content','.kb-article','.kb-content','.article-content','.article-body','.articleBody','.help-content','.content-area','.content','.doc-content','.document-content','.help-article','article','[role=\"main\"]','main','.main-content','#main-content'];var m=null;var ms=null;var cand=[];var tl=function(e){return e?e.textContent.replace(/\\s+/g,' ').trim().length:0};sel.forEach(function(s){document.querySelectorAll(s).forEach(function(n){cand.push({node:n,selector:s,textLength:tl(n)})})});if(cand.length>0){cand.sort(function(a,b){return b.textLength-a.textLength});m=cand[0].node;ms=cand[0].selector}else{m=document.body;c.meta.extractionWarnings.push('No content container matched; fell back to document.body')}if(ms&&ms!=='article'&&ms!=='main'){c.meta.extractionWarnings.push('Using content selector: '+ms)}if(m&&tl(m)<200){c.meta.extractionWarnings.push('Selected content container has low text volume; extraction may be incomplete')}var bp=['nav','aside','footer','.breadcrumb','.breadcrumbs','.toc','.table-of-contents','.sidebar','.related','.prev-next','.pagination','.header','.top-nav'];var bps=bp.join(', ');var inbp=function(el){return el&&el.closest(bps)};var strip=function(el){var cl=el.cloneNode(true);cl.querySelectorAll(bps).forEach(function(e){e.remove()});return cl};m.querySelectorAll('h1,h2,h3,h4,h5,h6').forEach(function(h,i){if(inbp(h))return;c.structure.headings.push({level:h.tagName.toLowerCase(),text:h.textContent.trim(),index:i})});m.querySelectorAll('p').forEach(function(p,i){if(inbp(p))return;var t=p.textContent.trim();if(t.length>0)c.structure.paragraphs.push({text:t,wordCount:t.split(/\\s+/).filter(function(w){return w.length>0}).length,index:i})});m.querySelectorAll('ul,ol').forEach(function(l,i){if(inbp(l))return;var items=Array.from(l.querySelectorAll(':scope>li')).map(function(li){return li.textContent.trim()});if(items.length>0)c.structure.lists.push({type:l.tagName.toLowerCase(),items:items,itemCount:items.length,index:i})});m.querySelectorAll('img').forEach(function(img,i){if(inbp(img))return;c.structure.images.push({src:img.src,alt:img.alt||null,hasAlt:!!img.alt&&img.alt.trim().length>0,index:i})});m.querySelectorAll('table').forEach(function(t,i){if(inbp(t))return;var cap=t.querySelector('caption');var headers=Array.from(t.querySelectorAll('th')).map(function(th){return th.textContent.trim()});var rows=Array.from(t.querySelectorAll('tr')).map(function(tr){return Array.from(tr.querySelectorAll('td')).map(function(td){return td.textContent.trim()})}).filter(function(r){return r.length>0});c.structure.tables.push({caption:cap?cap.textContent.trim():null,headers:headers,rows:rows,rowCount:rows.length,columnCount:headers.length||(rows[0]?rows[0].length:0),index:i})});var cb=m.querySelectorAll('pre,code');var seen=new Set();cb.forEach(function(code,i){if(inbp(code))return;var txt=code.textContent.trim();var inline=code.tagName.toLowerCase()==='code'&&!code.closest('pre');if(txt.length>0&&!seen.has(txt)){seen.add(txt);c.structure.codeBlocks.push({content:txt,type:inline?'inline':'block',language:code.className.replace('language-','')||'unknown',index:i})}});var cs=['.callout','.notice','.alert','.warning','.info','.tip','.note','.admonition','.kb-callout','.kb-note','.kb-warning','.kb-tip','[role=\"note\"]','[role=\"alert\"]'];var ce=new Set();cs.forEach(function(sel){document.querySelectorAll(sel).forEach(function(n){ce.add(n)})});var ci=0;ce.forEach(function(el){if(inbp(el))return;var txt=el.textContent.replace(/\\s+/g,' ').trim();if(!txt)return;var cls=(el.className||'').toLowerCase();var role=(el.getAttribute('role')||'').toLowerCase();var type='note';['warning','alert','caution','danger','tip','info','note','success'].some(function(label){if(cls.includes(label)||role===label){type=label;return true}return false});c.structure.callouts.push({type:type,text:txt,index:ci++})});m.querySelectorAll('a[href]').forEach(function(a,i){if(inbp(a))return;var href=a.href;var broken=false;var reason=null;if(href.startsWith('#')){var id=href.slice(1);var target=document.getElementById(id)||document.querySelector('[name=\"'+id+'\"]');if(!target){broken=true;reason='Missing anchor target'}}else if(href.indexOf('#')>-1){var parts=href.split('#');if(parts[0]===window.location.href.split('#')[0]&&parts[1]){var target2=document.getElementById(parts[1])||document.querySelector('[name=\"'+parts[1]+'\"]');if(!target2){broken=true;reason='Missing anchor target'}}}var internal=href.includes(d)||href.startsWith('/')||href.startsWith('#');c.structure.links.push({href:href,text:a.textContent.trim(),type:internal?'internal':'external',index:i,isBroken:broken,reason:reason})});var clean=strip(m);c.text.fullText=clean.textContent.replace(/\\s+/g,' ').trim();c.text.wordCount=c.text.fullText.split(/\\s+/).filter(function(w){return w.length>0}).length;var w=window.open('${appUrl}','_blank');if(w){var iv=setInterval(function(){try{w.postMessage({type:'AI_DOC_SCORER_CONTENT',payload:c},'*')}catch(e){}},500);setTimeout(function(){clearInterval(iv)},10000)}else{alert('Could not open app. Check popup blocker.')}})();`;
+    // Generated from the shared extractor, so it matches batch and manual extraction
+    const bookmarkletCode = Extractor.buildBookmarklet(appUrl);
 
     bookmarkletLink.href = bookmarkletCode;
   },
@@ -994,18 +993,20 @@ const App = {
     if (!this.state.results) return;
     const batchResults = this.state.batchResults || [];
     const duplicates = this.state.batchDuplicates || [];
-    if (batchResults.length > 1) {
+    const community = this.state.batchCommunity || null;
+    const llms = this.state.batchLlms || null;
+    if (batchResults.length > 1 || community) {
       switch (format) {
         case 'markdown':
-          Export.downloadBatchMarkdown(batchResults, duplicates);
+          Export.downloadBatchMarkdown(batchResults, duplicates, community, llms);
           this.showToast('Batch report downloaded');
           return;
         case 'json':
-          Export.downloadBatchJson(batchResults);
+          Export.downloadBatchJson(batchResults, community, llms);
           this.showToast('Batch JSON downloaded');
           return;
         case 'clipboard':
-          const copied = await Export.copyBatchToClipboard(batchResults, duplicates);
+          const copied = await Export.copyBatchToClipboard(batchResults, duplicates, community, llms);
           this.showToast(copied ? 'Batch report copied' : 'Failed to copy', copied ? 'success' : 'error');
           return;
       }
@@ -1077,6 +1078,21 @@ const App = {
     this.showToast(message, 'error');
   },
 
+  /**
+   * Escape text from fetched pages or user input before it goes into innerHTML
+   * @param {*} value - Text to escape
+   * @returns {string} HTML-safe text
+   */
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[char]);
+  },
+
   /**
    * Hash a string for caching
    * @param {string} text - Text to hash
@@ -1129,16 +1145,69 @@ const App = {
   },
 
   /**
-   * Show manual URL input modal
+   * Score pasted HTML, Markdown, or plain text from the manual input panel
+   * Converts the input to the same payload the bookmarklet sends, so drafts get the full pipeline
    */
-  showManualInput() {
-    // For now, show a simple prompt
-    const url = prompt('Enter the URL of a help.zoho.com page to score:');
-    if (url && url.includes('help.zoho.com')) {
-      this.showToast('Please use the bookmarklet to score pages. It extracts content directly from the page.', 'info');
+  async handleManualScore() {
+    const contentInput = document.getElementById('manualContent');
+    if (!contentInput) return;
+
+    const input = contentInput.value;
+    if (input.trim().length === 0) {
+      this.showToast('Paste the draft content to score', 'error');
+      return;
+    }
+
+    const fieldValue = id => {
+      const field = document.getElementById(id);
+      return field ? field.value.trim() : '';
+    };
+    const options = { title: fieldValue('manualTitle'), url: this.normalizeManualUrl(fieldValue('manualUrl')) };
+    if (fieldValue('manualUrl') && !options.url) {
+      this.showToast('The URL is not valid, so the draft is saved under its title instead', 'info');
+    }
+    const selected = fieldValue('manualFormat') || 'auto';
+    const format = selected === 'auto' ? Extractor.detectFormat(input) : selected;
+
+    let rawContent;
+    try {
+      if (format === 'html') {
+        rawContent = Extractor.fromDocument(new DOMParser().parseFromString(input, 'text/html'), options);
+      } else if (format === 'markdown') {
+        rawContent = Extractor.fromMarkdown(input, options);
+      } else {
+        rawContent = Extractor.fromText(input, options);
+      }
+    } catch (error) {
+      console.error('Manual extraction error:', error);
+      this.showError('Failed to process the pasted content: ' + error.message);
+      return;
+    }
+
+    await this.processContent(rawContent);
+  },
+
+  /**
+   * Turn the optional URL typed with a draft into one the extractor can parse
+   * @param {string} value - URL field value; may be empty or lack a scheme
+   * @returns {string} Absolute URL, or '' (empty or unparseable) so the draft gets its own draft: URL
+   */
+  normalizeManualUrl(value) {
+    if (!value) return '';
+    const candidate = /^[a-z][a-z\d+.-]*:/i.test(value) ? value : `https://${value}`;
+    try {
+      return new URL(candidate).href;
+    } catch {
+      return '';
     }
   }
 };
 
 // Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => App.init());
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => App.init());
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = App;
+}
@@ -0,0 +1,300 @@
+/**
+ * Chunker - Chunk-boundary simulation for RAG retrievability (GAP-02)
+ * Splits normalized content the way retrieval pipelines do and checks whether
+ * each chunk still makes sense on its own
+ * Tokens are approximated as whitespace-separated words
+ */
+
+const Chunker = {
+  STRATEGIES: {
+    fixed: 'Fixed tokens with overlap',
+    heading: 'Heading-bounded',
+    paragraph: 'Paragraph-bounded'
+  },
+
+  DEFAULTS: {
+    strategies: ['fixed', 'heading', 'paragraph'],
+    chunkTokens: 200,
+    overlapTokens: 40
+  },
+
+  /**
+   * Get chunking settings, with config overrides
+   * @param {Object} options - Explicit overrides
+   * @returns {Object} strategies, chunkTokens, overlapTokens
+   */
+  getSettings(options = {}) {
+    const config = globalThis.ScoringConfig?.categories?.['retrievability']?.chunking || {};
+    const settings = { ...this.DEFAULTS, ...config, ...options };
+    settings.strategies = settings.strategies.filter(id => this.STRATEGIES[id]);
+    // A window must hold at least one token and advance by at least one, or segmenting never ends
+    const chunkTokens = Math.floor(Number(settings.chunkTokens));
+    settings.chunkTokens = chunkTokens > 0 ? chunkTokens : this.DEFAULTS.chunkTokens;
+    const overlapTokens = Math.floor(Number(settings.overlapTokens));
+    settings.overlapTokens = Math.min(overlapTokens > 0 ? overlapTokens : 0, settings.chunkTokens - 1);
+    return settings;
+  },
+
+  /**
+   * Flatten content sections into document-order blocks
+   * List items become separate blocks so chunkers can split a list
+   * @param {Object} content - Normalized content
+   * @returns {Array} Blocks with type, text, words, and section
+   */
+  getBlocks(content) {
+    const { structure } = content;
+    const sections = content.sections && content.sections.length > 0
+      ? content.sections
+      : [{
+        title: content.meta.title,
+        level: 1,
+        paragraphs: structure.paragraphs,
+        lists: structure.lists,
+        codeBlocks: structure.codeBlocks.filter(block => block.type !== 'inline')
+      }];
+
+    const blocks = [];
+    let listId = 0;
+    const add = block => blocks.push({ ...block, words: block.text.split(/\s+/).filter(Boolean) });
+
+    sections.forEach((section, sectionIndex) => {
+      add({ type: 'heading', text: section.title || '', sectionIndex, section: section.title });
+
+      // Sections without positions keep paragraphs, then lists, then code
+      const parts = [
+        ...section.paragraphs.map(p => ({ kind: 'paragraph', text: p.text, position: p.position })),
+        ...section.lists.map(list => ({ kind: 'list', list, position: list.position })),
+        ...(section.codeBlocks || []).map(block => ({ kind: 'code', text: block.content, position: block.position }))
+      ].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+
+      parts.forEach(part => {
+        if (part.kind === 'list') {
+          const id = listId++;
+          part.list.items.forEach((item, itemIndex) => add({
+            type: 'list-item',
+            text: item,
+            sectionIndex,
+            section: section.title,
+            listId: id,
+            ordered: part.list.type === 'ol',
+            itemIndex,
+            itemCount: part.list.items.length
+          }));
+        } else {
+          add({ type: part.kind, text: part.text, sectionIndex, section: section.title });
+        }
+      });
+    });
+
+    return blocks.filter(block => block.words.length > 0);
+  },
+
+  /**
+   * Fixed-size windows with overlap, ignoring structure
+   * @param {Array} blocks - Document blocks
+   * @param {Object} settings - Chunk settings
+   * @returns {Array} Chunks as lists of segments {blockIndex, from, to}
+   */
+  chunkFixed(blocks, settings) {
+    const tokens = blocks.flatMap((block, blockIndex) => block.words.map((word, offset) => ({ blockIndex, offset })));
+    const step = settings.chunkTokens - settings.overlapTokens;
+    const chunks = [];
+
+    for (let start = 0; start < tokens.length; start += step) {
+      const window = tokens.slice(start, start + settings.chunkTokens);
+      const segments = [];
+      window.forEach(token => {
+        const last = segments[segments.length - 1];
+        if (last && last.blockIndex === token.blockIndex) {
+          last.to = token.offset + 1;
+        } else {
+          segments.push({ blockIndex: token.blockIndex, from: token.offset, to: token.offset + 1 });
+        }
+      });
+      chunks.push(segments);
+      if (start + settings.chunkTokens >= tokens.length) break;
+    }
+
+    return chunks;
+  },
+
+  /**
+   * Pack whole blocks into chunks up to the token budget
+   * @param {Array} blocks - Document blocks
+   * @param {number[]} indexes - Block indexes to pack, in order
+   * @param {number} budget - Max tokens per chunk
+   * @returns {Array} Chunks as lists of segments
+   */
+  packBlocks(blocks, indexes, budget) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    indexes.forEach(blockIndex => {
+      const length = blocks[blockIndex].words.length;
+      if (current.length > 0 && size + length > budget) {
+        chunks.push(current);
+        current = [];
+        size = 0;
+      }
+      current.push({ blockIndex, from: 0, to: length });
+      size += length;
+    });
+    if (current.length > 0) chunks.push(current);
+
+    return chunks;
+  },
+
+  /**
+   * One chunk per section; sections over budget split at block boundaries
+   * @param {Array} blocks - Document blocks
+   * @param {Object} settings - Chunk settings
+   * @returns {Array} Chunks as lists of segments
+   */
+  chunkByHeading(blocks, settings) {
+    const bySection = [];
+    blocks.forEach((block, blockIndex) => {
+      if (block.type === 'heading' || bySection.length === 0) bySection.push([]);
+      bySection[bySection.length - 1].push(blockIndex);
+    });
+    return bySection.flatMap(indexes => this.packBlocks(blocks, indexes, settings.chunkTokens));
+  },
+
+  /**
+   * Pack paragraphs and list items up to the budget, ignoring headings as boundaries
+   * @param {Array} blocks - Document blocks
+   * @param {Object} settings - Chunk settings
+   * @returns {Array} Chunks as lists of segments
+   */
+  chunkByParagraph(blocks, settings) {
+    return this.packBlocks(blocks, blocks.map((block, blockIndex) => blockIndex), settings.chunkTokens);
+  },
+
+  /**
+   * Check one chunk for standalone meaning
+   * @param {Array} segments - Chunk segments
+   * @param {Array} blocks - Document blocks
+   * @returns {Object} Chunk summary with checks and score
+   */
+  analyzeChunk(segments, blocks) {
+    const textOf = segment => blocks[segment.blockIndex].words.slice(segment.from, segment.to).join(' ');
+    const first = segments.find(segment => blocks[segment.blockIndex].type !== 'heading');
+    const firstBlock = first ? blocks[first.blockIndex] : null;
+    // A fixed window usually cuts mid-sentence; judge the first full sentence after the cut
+    let lead = segments.filter(segment => blocks[segment.blockIndex].type !== 'heading').map(textOf).join(' ');
+    if (first && first.from > 0) {
+      lead = lead.replace(/^[^.!?]*[.!?]+\s*/, '');
+    }
+    const firstSentence = (lead.match(/^[^.!?]*[.!?]?/) || [''])[0].trim();
+
+    const hasHeading = segments.some(segment => blocks[segment.blockIndex].type === 'heading' && segment.from === 0);
+    const startsMidBlock = !!first && first.from > 0;
+    const dangling = firstSentence.length > 0 && Parser.findDanglingReference(firstSentence) !== null;
+    const orphanedList = segments.some(segment => {
+      const block = blocks[segment.blockIndex];
+      if (block.type !== 'list-item') return false;
+      // The list started before this chunk, so its lead-in and first items are elsewhere
+      return !segments.some(other => {
+        const otherBlock = blocks[other.blockIndex];
+        return otherBlock.listId === block.listId && otherBlock.itemIndex === 0 && other.from === 0;
+      });
+    });
+
+    const checks = {
+      heading: hasHeading,
+      noDanglingReference: !dangling,
+      noOrphanedListItems: !orphanedList
+    };
+    const passed = Object.values(checks).filter(Boolean).length;
+
+    return {
+      tokens: segments.reduce((sum, segment) => sum + segment.to - segment.from, 0),
+      section: firstBlock ? firstBlock.section : blocks[segments[0].blockIndex].section,
+      excerpt: firstSentence.substring(0, 100),
+      startsMidBlock,
+      checks,
+      score: Math.round((passed / 3) * 100) / 10
+    };
+  },
+
+  /**
+   * Find ordered lists (procedures) that no single chunk contains whole
+   * @param {Array} chunks - Chunks as lists of segments
+   * @param {Array} blocks - Document blocks
+   * @returns {Array} Split procedures with section, steps, and chunk numbers
+   */
+  findSplitProcedures(chunks, blocks) {
+    const procedures = {};
+    blocks.forEach((block, blockIndex) => {
+      if (block.type !== 'list-item' || !block.ordered || block.itemCount < 2) return;
+      procedures[block.listId] = procedures[block.listId] || { section: block.section, steps: block.itemCount, blockIndexes: [] };
+      procedures[block.listId].blockIndexes.push(blockIndex);
+    });
+
+    return Object.values(procedures)
+      .map(procedure => {
+        const containing = [];
+        chunks.forEach((segments, chunkIndex) => {
+          if (segments.some(segment => procedure.blockIndexes.includes(segment.blockIndex))) containing.push(chunkIndex + 1);
+        });
+        const whole = chunks.some(segments => procedure.blockIndexes.every(blockIndex =>
+          segments.some(segment => segment.blockIndex === blockIndex && segment.from === 0 && segment.to === blocks[blockIndex].words.length)
+        ));
+        return { section: procedure.section, steps: procedure.steps, chunks: containing, split: !whole };
+      });
+  },
+
+  /**
+   * Run the chunk simulation for every configured strategy
+   * @param {Object} content - Normalized content
+   * @param {Object} options - Setting overrides (strategies, chunkTokens, overlapTokens)
+   * @returns {Object} Settings, procedure count, and per-strategy results
+   */
+  simulate(content, options = {}) {
+    const settings = this.getSettings(options);
+    const blocks = this.getBlocks(content);
+    const chunkers = {
+      fixed: () => this.chunkFixed(blocks, settings),
+      heading: () => this.chunkByHeading(blocks, settings),
+      paragraph: () => this.chunkByParagraph(blocks, settings)
+    };
+
+    const strategies = settings.strategies.map(id => {
+      const chunks = blocks.length > 0 ? chunkers[id]() : [];
+      const analyzed = chunks.map((segments, index) => ({
+        index: index + 1,
+        ...this.analyzeChunk(segments, blocks)
+      }));
+      const procedures = this.findSplitProcedures(chunks, blocks);
+      const standalone = analyzed.length > 0
+        ? Math.round((analyzed.reduce((sum, chunk) => sum + chunk.score, 0) / analyzed.length) * 10) / 10
+        : null;
+
+      return {
+        id,
+        label: this.STRATEGIES[id],
+        chunkCount: analyzed.length,
+        avgTokens: analyzed.length > 0
+          ? Math.round(analyzed.reduce((sum, chunk) => sum + chunk.tokens, 0) / analyzed.length)
+          : 0,
+        standalone,
+        procedures: procedures.length,
+        splitProcedures: procedures.filter(procedure => procedure.split),
+        chunks: analyzed
+      };
+    });
+
+    return {
+      settings: {
+        chunkTokens: settings.chunkTokens,
+        overlapTokens: settings.overlapTokens,
+        sectionLevel: !!(content.sections && content.sections.length > 0)
+      },
+      strategies
+    };
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Chunker;
+}
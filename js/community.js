@@ -0,0 +1,369 @@
+/**
+ * Community - Community content consolidation across a batch (CAT-07)
+ * Matches community thread answers to KB articles, flags answers the KB does not
+ * cover or contradicts, and scores consolidation per product area
+ */
+
+const Community = {
+  THREAD_URL_PATTERN: /\/(community|forums?|discussions?)\//i,
+
+  // Thread markup; Question microdata is left out because KB FAQ pages use it too
+  THREAD_SELECTORS: [
+    '[itemtype*="schema.org/QAPage"]',
+    '.community-thread',
+    '.topic-question',
+    '.forum-thread'
+  ],
+
+  ACCEPTED_SELECTORS: [
+    '[itemprop="acceptedAnswer"]',
+    '.accepted-answer',
+    '.best-answer',
+    '.answer.accepted',
+    '[data-accepted="true"]'
+  ],
+
+  AREA_SELECTORS: [
+    '.topic-category',
+    '.forum-name',
+    '.category-name',
+    '[itemprop="about"]'
+  ],
+
+  // Share of an answer's keywords that must appear in a KB article to count as covered
+  MATCH_THRESHOLD: 0.6,
+
+  QUANTITY_PATTERN: /\b(\d[\d,]*(?:\.\d+)?)\s*(days?|hours?|minutes?|months?|years?|records?|users?|gb|mb|tb|requests?|calls?|emails?|fields?|files?|characters?)\b/gi,
+
+  // Negated forms come first so "can not" is not read as "can"
+  POLARITY_PATTERN: /\b(cannot|can't|can not|can|isn't|is not|is|doesn't|does not|does)\s+(\w+(?:\s+\w+)?)/gi,
+
+  NEGATIVE_WORDS: ['cannot', "can't", 'can not', "isn't", 'is not', "doesn't", 'does not'],
+
+  /**
+   * Extract a community thread from a parsed document
+   * @param {Document} doc - Parsed document
+   * @param {string} url - Source URL
+   * @returns {Object|null} Thread with question, accepted answers, and product area, or null for non-thread pages
+   */
+  extractThread(doc, url) {
+    // Official FAQ pages mark up questions and accepted answers the same way threads do
+    if (this.isFaqPage(doc)) return null;
+
+    const jsonLd = this.findQaJsonLd(doc);
+    const qaPage = this.isQaPage(doc);
+    const markupMatch = this.THREAD_SELECTORS.some(selector => doc.querySelector(selector));
+    if (!jsonLd && !markupMatch && !this.THREAD_URL_PATTERN.test(url)) {
+      return null;
+    }
+
+    const clean = el => el.textContent.replace(/\s+/g, ' ').trim();
+    const acceptedAnswers = [];
+
+    if (jsonLd && jsonLd.acceptedAnswer) {
+      [].concat(jsonLd.acceptedAnswer).forEach(answer => {
+        if (answer && answer.text) acceptedAnswers.push(String(answer.text).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim());
+      });
+    }
+
+    if (acceptedAnswers.length === 0) {
+      doc.querySelectorAll(this.ACCEPTED_SELECTORS.join(', ')).forEach(el => {
+        const body = el.querySelector('[itemprop="text"]') || el;
+        const text = clean(body).replace(/^(accepted|best) answer:?\s*/i, '');
+        if (text.length > 0) acceptedAnswers.push(text);
+      });
+    }
+
+    // Plain exports: a label such as "Accepted Answer" followed by the answer block
+    if (acceptedAnswers.length === 0) {
+      doc.querySelectorAll('h2, h3, h4, strong, .label, .badge').forEach(label => {
+        if (!/^(accepted answer|best answer|solution)$/i.test(clean(label))) return;
+        const container = label.tagName.match(/^H\d$/) ? label : label.parentElement;
+        const answerEl = container && container.nextElementSibling;
+        if (answerEl && clean(answerEl).length > 0) acceptedAnswers.push(clean(answerEl));
+      });
+    }
+
+    // A community/forum URL or a Question entity alone also fits KB pages, so those need an accepted answer
+    if (!qaPage && !markupMatch && acceptedAnswers.length === 0) return null;
+
+    const questionEl = doc.querySelector('[itemprop="mainEntity"] [itemprop="name"], .topic-title, h1');
+    const areaEl = doc.querySelector(this.AREA_SELECTORS.join(', '));
+
+    return {
+      url,
+      title: doc.title || url,
+      question: (jsonLd && jsonLd.name) || (questionEl ? clean(questionEl) : doc.title || ''),
+      acceptedAnswers,
+      productArea: areaEl ? clean(areaEl).toLowerCase() : null
+    };
+  },
+
+  /**
+   * Find the schema.org types declared in JSON-LD and microdata
+   * @param {Document} doc - Parsed document
+   * @returns {string[]} Top-level JSON-LD types and microdata itemtypes
+   */
+  getSchemaTypes(doc) {
+    const types = Array.from(doc.querySelectorAll('[itemtype]'))
+      .map(el => el.getAttribute('itemtype').split('/').pop());
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        const data = JSON.parse(script.textContent);
+        [].concat(data['@graph'] || data).forEach(node => {
+          if (node && node['@type']) types.push(...[].concat(node['@type']));
+        });
+      } catch {
+        // Ignore malformed JSON-LD blocks
+      }
+    });
+    return types;
+  },
+
+  /**
+   * Check for an official FAQ page (schema.org FAQPage)
+   * @param {Document} doc - Parsed document
+   * @returns {boolean} True for FAQ pages
+   */
+  isFaqPage(doc) {
+    return this.getSchemaTypes(doc).includes('FAQPage');
+  },
+
+  /**
+   * Check for a schema.org QAPage, the markup community threads use
+   * @param {Document} doc - Parsed document
+   * @returns {boolean} True for Q&A pages
+   */
+  isQaPage(doc) {
+    return this.getSchemaTypes(doc).includes('QAPage');
+  },
+
+  /**
+   * Find a schema.org QAPage/Question entity in JSON-LD
+   * @param {Document} doc - Parsed document
+   * @returns {Object|null} Question entity
+   */
+  findQaJsonLd(doc) {
+    for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(script.textContent);
+        const nodes = [].concat(data['@graph'] || data);
+        for (const node of nodes) {
+          if (node['@type'] === 'QAPage' && node.mainEntity) return node.mainEntity;
+          if (node['@type'] === 'Question') return node;
+        }
+      } catch {
+        // Ignore malformed JSON-LD blocks
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Derive a product area from a page URL
+   * @param {string} url - Page URL
+   * @returns {string} Product area key
+   */
+  getProductArea(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return 'general';
+    }
+    const segments = parsed.pathname.split('/').filter(Boolean);
+
+    const kbIndex = segments.indexOf('kb');
+    if (kbIndex >= 0 && segments[kbIndex + 1]) return segments[kbIndex + 1].toLowerCase();
+
+    const helpIndex = segments.indexOf('help');
+    if (helpIndex > 0) return segments[helpIndex - 1].toLowerCase();
+
+    // Local exports: the containing folder names the product
+    if (parsed.protocol === 'file:' && segments.length >= 2) {
+      return decodeURIComponent(segments[segments.length - 2]).toLowerCase();
+    }
+
+    return 'general';
+  },
+
+  /**
+   * Tokenize text into lowercase keywords (same tokens as duplicate detection)
+   * @param {string} text - Text to tokenize
+   * @returns {Set<string>} Tokens
+   */
+  tokenize(text) {
+    return new Set((text || '').toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 3));
+  },
+
+  /**
+   * Collect numeric facts keyed by unit ("60 days" -> days: ['60'])
+   * @param {string} text - Text to scan
+   * @returns {Object} Map of unit to values
+   */
+  extractQuantities(text) {
+    const quantities = {};
+    for (const match of (text || '').matchAll(this.QUANTITY_PATTERN)) {
+      const unit = match[2].toLowerCase().replace(/s$/, '');
+      quantities[unit] = quantities[unit] || new Set();
+      quantities[unit].add(match[1].replace(/,/g, ''));
+    }
+    return quantities;
+  },
+
+  /**
+   * Collect capability statements keyed by the phrase ("cannot restore" -> restore: false)
+   * @param {string} text - Text to scan
+   * @returns {Object} Map of phrase to polarity
+   */
+  extractPolarity(text) {
+    const statements = {};
+    for (const match of (text || '').toLowerCase().matchAll(this.POLARITY_PATTERN)) {
+      const phrase = match[2].replace(/^(be|not)\s+/, '');
+      statements[phrase] = !this.NEGATIVE_WORDS.includes(match[1]);
+    }
+    return statements;
+  },
+
+  /**
+   * Find statements in an accepted answer that disagree with a KB article
+   * @param {string} answer - Accepted answer text
+   * @param {string} kbText - KB article text
+   * @returns {Array} Conflicts with answer and KB wording
+   */
+  findContradictions(answer, kbText) {
+    const conflicts = [];
+
+    const answerQuantities = this.extractQuantities(answer);
+    const kbQuantities = this.extractQuantities(kbText);
+    Object.entries(answerQuantities).forEach(([unit, values]) => {
+      const kbValues = kbQuantities[unit];
+      if (!kbValues) return;
+      const mismatched = Array.from(values).filter(value => !kbValues.has(value));
+      if (mismatched.length === values.size) {
+        conflicts.push({
+          type: 'value',
+          community: `${Array.from(values).join(', ')} ${unit}s`,
+          kb: `${Array.from(kbValues).join(', ')} ${unit}s`
+        });
+      }
+    });
+
+    const answerPolarity = this.extractPolarity(answer);
+    const kbPolarity = this.extractPolarity(kbText);
+    Object.entries(answerPolarity).forEach(([phrase, positive]) => {
+      if (phrase in kbPolarity && kbPolarity[phrase] !== positive) {
+        conflicts.push({
+          type: 'capability',
+          community: `${positive ? 'can' : 'cannot'} ${phrase}`,
+          kb: `${kbPolarity[phrase] ? 'can' : 'cannot'} ${phrase}`
+        });
+      }
+    });
+
+    return conflicts;
+  },
+
+  /**
+   * Analyze a batch that mixes KB articles and community threads
+   * @param {Array} kbPages - KB pages with url, title, and text
+   * @param {Array} threads - Threads from extractThread
+   * @returns {Object} Consolidation report
+   */
+  analyze(kbPages, threads) {
+    const kb = kbPages.map(page => ({
+      ...page,
+      tokens: this.tokenize(page.text),
+      productArea: this.getProductArea(page.url)
+    }));
+
+    const uncovered = [];
+    const contradictions = [];
+    const unanswered = [];
+    const areas = {};
+
+    threads.forEach(thread => {
+      if (thread.acceptedAnswers.length === 0) {
+        unanswered.push({ url: thread.url, question: thread.question });
+        return;
+      }
+
+      const answerText = thread.acceptedAnswers.join(' ');
+      const answerTokens = this.tokenize(`${thread.question} ${answerText}`);
+
+      // Containment: how much of the community answer the KB article already says
+      let best = null;
+      kb.forEach(page => {
+        let shared = 0;
+        answerTokens.forEach(token => {
+          if (page.tokens.has(token)) shared += 1;
+        });
+        const coverage = answerTokens.size === 0 ? 0 : shared / answerTokens.size;
+        if (!best || coverage > best.coverage) best = { page, coverage };
+      });
+
+      const matched = best && best.coverage >= this.MATCH_THRESHOLD ? best.page : null;
+      const area = thread.productArea || (matched ? matched.productArea : null) ||
+        (best && best.coverage > 0 ? best.page.productArea : this.getProductArea(thread.url));
+      areas[area] = areas[area] || { threads: 0, covered: 0, uncovered: 0, contradicted: 0 };
+      areas[area].threads += 1;
+
+      if (!matched) {
+        areas[area].uncovered += 1;
+        uncovered.push({
+          url: thread.url,
+          question: thread.question,
+          productArea: area,
+          closestKb: best && best.coverage > 0 ? best.page.url : null,
+          coverage: best ? Math.round(best.coverage * 100) : 0
+        });
+        return;
+      }
+
+      const conflicts = this.findContradictions(answerText, matched.text);
+      if (conflicts.length > 0) {
+        areas[area].contradicted += 1;
+        contradictions.push({
+          threadUrl: thread.url,
+          question: thread.question,
+          kbUrl: matched.url,
+          kbTitle: matched.title,
+          productArea: area,
+          conflicts
+        });
+        return;
+      }
+
+      areas[area].covered += 1;
+    });
+
+    // Contradictions count against an area more heavily than gaps
+    const productAreas = Object.entries(areas)
+      .map(([area, counts]) => ({
+        productArea: area,
+        ...counts,
+        score: Math.round(Math.max(0, (counts.covered - counts.contradicted * 0.5) / counts.threads) * 100) / 10
+      }))
+      .sort((a, b) => a.score - b.score);
+
+    return {
+      categoryId: 'CAT-07',
+      categoryName: 'Community Content Consolidation',
+      totals: {
+        kbPages: kbPages.length,
+        threads: threads.length,
+        answered: threads.length - unanswered.length
+      },
+      productAreas,
+      uncovered,
+      contradictions,
+      unanswered
+    };
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Community;
+}
@@ -17,6 +17,10 @@ const Export = {
     lines.push('');
     lines.push(`**Page:** ${results.meta.title}`);
     lines.push(`**URL:** ${results.meta.url}`);
+    lines.push(`**Last Updated:** ${this.formatLastUpdated(results.meta)}`);
+    if (results.meta.siteProfile) {
+      lines.push(`**Site Profile:** ${results.meta.siteProfile}`);
+    }
     lines.push(`**Scored:** ${new Date(results.meta.scoredAt).toLocaleString()}`);
     lines.push(`**Mode:** ${results.meta.mode === 'full' ? 'Full Analysis (Rules + AI)' : 'Rule-Based Only'}`);
     lines.push('');
@@ -71,9 +75,10 @@ const Export = {
     Object.entries(results.categories)
       .sort((a, b) => (b[1].weight || 0) - (a[1].weight || 0))
       .forEach(([key, category]) => {
-        const score = category.estimated ? 'N/A' : `${category.score}/10`;
+        const unscored = category.estimated || category.score === null;
+        const score = unscored ? 'N/A' : `${category.score}/10`;
         const weight = Math.round((category.weight || 0) * 100);
-        const status = category.estimated ? '-' : this.getStatusEmoji(Scorer.getStatus(category.score));
+        const status = unscored ? '-' : this.getStatusEmoji(Scorer.getStatus(category.score));
         lines.push(`| ${category.name} | ${score} | ${weight}% | ${status} |`);
       });
 
@@ -108,6 +113,70 @@ const Export = {
       });
     }
 
+    // Chunk simulation
+    if (results.chunking && results.chunking.strategies.length > 0) {
+      const { settings, strategies } = results.chunking;
+      lines.push('---');
+      lines.push('');
+      lines.push('## Chunk Simulation');
+      lines.push('');
+      lines.push(`*${settings.chunkTokens}-token chunks, ${settings.overlapTokens}-token overlap for fixed windows; tokens approximated as words.*`);
+      lines.push('');
+      lines.push('| Strategy | Chunks | Avg Tokens | Standalone | Split Procedures |');
+      lines.push('|----------|--------|------------|------------|------------------|');
+      strategies.forEach(strategy => {
+        const standalone = strategy.standalone === null ? 'N/A' : `${strategy.standalone}/10`;
+        lines.push(`| ${strategy.label} | ${strategy.chunkCount} | ${strategy.avgTokens} | ${standalone} | ${strategy.splitProcedures.length} of ${strategy.procedures} |`);
+      });
+      lines.push('');
+    }
+
+    // Requirements
+    if (results.requirements) {
+      const { roles, plans, permissions, statements, availabilityTables, firstProcedure } = results.requirements;
+      lines.push('---');
+      lines.push('');
+      lines.push('## Requirements');
+      lines.push('');
+      if (statements.length === 0 && availabilityTables.length === 0) {
+        lines.push('*No role, permission, or plan requirements found.*');
+        lines.push('');
+      } else {
+        lines.push(`- **Roles:** ${roles.length > 0 ? roles.join(', ') : '-'}`);
+        lines.push(`- **Permissions:** ${permissions.length > 0 ? permissions.join(', ') : '-'}`);
+        lines.push(`- **Plans:** ${plans.length > 0 ? plans.join(', ') : '-'}`);
+        availabilityTables.forEach(table => {
+          lines.push(`- **Availability table${table.caption ? ` "${table.caption}"` : ''}:** ${table.plans.join(', ')} (${table.rowCount} rows${table.section ? `, section "${table.section}"` : ''})`);
+        });
+        lines.push('');
+        statements.forEach(statement => {
+          const placement = firstProcedure ? (statement.beforeProcedure ? 'before steps' : 'after steps') : '';
+          lines.push(`> ${statement.text}  `);
+          lines.push(`> *${statement.kinds.join(', ')} - ${statement.section}${placement ? `, ${placement}` : ''}*`);
+          lines.push('');
+        });
+      }
+    }
+
+    // Keyword coverage
+    if (results.keywordCoverage && results.keywordCoverage.queries.length > 0) {
+      const { source, queries } = results.keywordCoverage;
+      const mark = value => value === 1 ? 'Yes' : value > 0 ? 'Partial' : 'No';
+      lines.push('---');
+      lines.push('');
+      lines.push('## Keyword Coverage');
+      lines.push('');
+      lines.push(`*${source === 'supplied' ? 'Target queries supplied for this page' : 'Queries derived from the page headings'}; coverage is the share of query terms in the best BM25 section.*`);
+      lines.push('');
+      lines.push('| Query | Title | H1 | Headings | First Paragraph | Best Section | Coverage |');
+      lines.push('|-------|-------|----|----------|-----------------|--------------|----------|');
+      queries.forEach(query => {
+        const { placement } = query;
+        lines.push(`| ${query.query} | ${mark(placement.title)} | ${mark(placement.h1)} | ${mark(placement.headings)} | ${mark(placement.firstParagraph)} | ${query.bestSection || '-'} | ${Math.round(query.coverage * 100)}% |`);
+      });
+      lines.push('');
+    }
+
     // Detailed Category Reports
     lines.push('---');
     lines.push('');
@@ -118,7 +187,7 @@ const Export = {
       lines.push(`### ${category.name}`);
       lines.push('');
 
-      if (category.estimated) {
+      if (category.estimated || category.score === null) {
         lines.push(`*${category.message}*`);
         lines.push('');
         return;
@@ -208,9 +277,10 @@ const Export = {
     lines.push('Category,Score,Weight,Status');
 
     Object.entries(results.categories).forEach(([key, category]) => {
-      const score = category.estimated ? '' : category.score;
+      const unscored = category.estimated || category.score === null;
+      const score = unscored ? '' : category.score;
       const weight = Math.round((category.weight || 0) * 100);
-      const status = category.estimated ? 'N/A' : Scorer.getStatus(category.score);
+      const status = unscored ? 'N/A' : Scorer.getStatus(category.score);
       lines.push(`"${category.name}",${score},${weight}%,${status}`);
     });
 
@@ -222,9 +292,12 @@ const Export = {
   /**
    * Generate a batch Markdown report
    * @param {Array} resultsList - Array of results or errors
+   * @param {Array} duplicates - Duplicate page pairs
+   * @param {Object} community - Community consolidation report (optional)
+   * @param {Object} llms - Machine-readable format report from LlmsTxt.check (optional)
    * @returns {string} Markdown report
    */
-  generateBatchMarkdown(resultsList, duplicates = []) {
+  generateBatchMarkdown(resultsList, duplicates = [], community = null, llms = null) {
     const lines = [];
     lines.push('# AI-Friendliness Batch Report');
     lines.push('');
@@ -250,6 +323,61 @@ const Export = {
       });
     }
 
+    if (community) {
+      lines.push('');
+      lines.push('## Community Content Consolidation');
+      lines.push('');
+      lines.push(`${community.totals.threads} community threads (${community.totals.answered} with accepted answers) compared against ${community.totals.kbPages} KB articles.`);
+      lines.push('');
+      lines.push('| Product Area | Score | Covered | Missing from KB | Contradicted |');
+      lines.push('|--------------|-------|---------|-----------------|--------------|');
+      community.productAreas.forEach(area => {
+        lines.push(`| ${area.productArea} | ${area.score.toFixed(1)}/10 | ${area.covered} | ${area.uncovered} | ${area.contradicted} |`);
+      });
+
+      if (community.contradictions.length > 0) {
+        lines.push('');
+        lines.push('### KB Articles Contradicting Accepted Answers');
+        lines.push('');
+        community.contradictions.forEach(item => {
+          lines.push(`- **${item.kbTitle}** (${item.kbUrl}) vs. [${item.question}](${item.threadUrl})`);
+          item.conflicts.forEach(conflict => {
+            lines.push(`  - KB says "${conflict.kb}", accepted answer says "${conflict.community}"`);
+          });
+        });
+      }
+
+      if (community.uncovered.length > 0) {
+        lines.push('');
+        lines.push('### Community Answers With No KB Article');
+        lines.push('');
+        community.uncovered.forEach(item => {
+          const closest = item.closestKb ? ` — closest KB: ${item.closestKb} (${item.coverage}% overlap)` : '';
+          lines.push(`- [${item.question}](${item.url})${closest}`);
+        });
+      }
+    }
+
+    if (llms) {
+      lines.push('');
+      lines.push('## Machine-Readable Formats (llms.txt)');
+      lines.push('');
+      lines.push(`**Score:** ${llms.score === null ? 'N/A' : `${llms.score.toFixed(1)}/10`}`);
+      lines.push('');
+      Object.values(llms.criteria).forEach(criterion => {
+        lines.push(`- **${criterion.criterionId}** ${criterion.score}/10 — ${criterion.details}`);
+      });
+      llms.issues.forEach(issue => {
+        lines.push(`- ${this.getSeverityIcon(issue.severity)} ${issue.message}`);
+      });
+      lines.push('');
+      lines.push('### Candidate llms.txt');
+      lines.push('');
+      lines.push('```markdown');
+      lines.push(llms.candidate.trim());
+      lines.push('```');
+    }
+
     lines.push('');
     return lines.join('\n');
   },
@@ -286,8 +414,8 @@ const Export = {
    * Download batch Markdown report
    * @param {Array} resultsList - Array of results
    */
-  downloadBatchMarkdown(resultsList, duplicates = []) {
-    const content = this.generateBatchMarkdown(resultsList, duplicates);
+  downloadBatchMarkdown(resultsList, duplicates = [], community = null, llms = null) {
+    const content = this.generateBatchMarkdown(resultsList, duplicates, community, llms);
     const filename = `batch_score_report_${new Date().toISOString().slice(0, 10)}.md`;
     this.downloadFile(content, filename, 'text/markdown');
   },
@@ -305,9 +433,11 @@ const Export = {
   /**
    * Download batch JSON export
    * @param {Array} resultsList - Array of results
+   * @param {Object} community - Community consolidation report (optional)
+   * @param {Object} llms - Machine-readable format report (optional)
    */
-  downloadBatchJson(resultsList) {
-    const content = JSON.stringify(resultsList, null, 2);
+  downloadBatchJson(resultsList, community = null, llms = null) {
+    const content = JSON.stringify(community || llms ? { results: resultsList, community, llms } : resultsList, null, 2);
     const filename = `batch_score_data_${new Date().toISOString().slice(0, 10)}.json`;
     this.downloadFile(content, filename, 'application/json');
   },
@@ -332,8 +462,8 @@ const Export = {
    * @param {Array} resultsList - Array of results
    * @returns {Promise<boolean>} Success status
    */
-  async copyBatchToClipboard(resultsList, duplicates = []) {
-    const content = this.generateBatchMarkdown(resultsList, duplicates);
+  async copyBatchToClipboard(resultsList, duplicates = [], community = null, llms = null) {
+    const content = this.generateBatchMarkdown(resultsList, duplicates, community, llms);
     try {
       await navigator.clipboard.writeText(content);
       return true;
@@ -343,6 +473,14 @@ const Export = {
   },
 
   // Helper methods
+  formatLastUpdated(meta) {
+    if (!meta.lastUpdated) return 'Not found';
+    const age = typeof meta.contentAgeDays === 'number' && meta.contentAgeDays >= 0
+      ? ` (${meta.contentAgeDays} days before scoring)`
+      : '';
+    return `${meta.lastUpdated}${age}`;
+  },
+
   getStatusEmoji(status) {
     const emojis = { green: '(Good)', yellow: '(Warning)', red: '(Critical)' };
     return emojis[status] || '';
@@ -0,0 +1,962 @@
+/**
+ * Content extraction shared by the bookmarklet, batch scoring, and manual input
+ * extractPageContent takes a Document and returns the payload Parser.normalize expects.
+ * The bookmarklet is generated from these functions, so they must stay self-contained:
+ * no references to other modules or to anything outside their own bodies.
+ * Site profiles are plain data for the same reason; the bookmarklet embeds them as JSON.
+ * Pasted Markdown and plain text have no DOM; Extractor builds the same payload from them directly.
+ */
+
+/**
+ * Pick the site profile for a page: by host and path first, then by portal markup
+ * (Zoho Desk portals often run on a customer's own domain)
+ * @param {Document} doc - Page document
+ * @param {string} url - Page URL
+ * @param {Object[]} profiles - Site profiles; the one without a hostPattern or markers is the fallback
+ * @returns {Object} Matching profile
+ */
+function selectSiteProfile(doc, url, profiles) {
+  const { hostname, pathname } = new URL(url);
+  const byLocation = profiles.find(profile => profile.hostPattern &&
+    new RegExp(profile.hostPattern, 'i').test(hostname) &&
+    (!profile.pathPattern || new RegExp(profile.pathPattern, 'i').test(pathname)));
+  if (byLocation) return byLocation;
+
+  const byMarkup = profiles.find(profile => (profile.markers || []).some(selector => doc.querySelector(selector)));
+  return byMarkup || profiles.find(profile => !profile.hostPattern && !profile.markers);
+}
+
+/**
+ * Extract documentation content from a page
+ * @param {Document} doc - Page document (live, DOMParser, or jsdom)
+ * @param {string} url - Page URL; relative links and images resolve against it
+ * @param {Object} profile - Site profile from selectSiteProfile
+ * @returns {Object} Raw content payload
+ */
+function extractPageContent(doc, url, profile) {
+  const domain = new URL(url).hostname;
+  // Parsed documents resolve relative URLs against the app, so resolve against the page instead
+  const resolveUrl = value => {
+    try {
+      return new URL(value, url).href;
+    } catch {
+      return value;
+    }
+  };
+
+  const content = {
+    meta: {
+      url,
+      title: doc.title || url,
+      extractedAt: new Date().toISOString(),
+      domain,
+      siteProfile: profile.id,
+      extractionWarnings: []
+    },
+    // Headings, paragraphs, lists, images, tables, and callouts are derived from blocks by the parser
+    blocks: [],
+    structure: {
+      codeBlocks: [],
+      disclosures: [],
+      links: []
+    },
+    text: {
+      fullText: '',
+      wordCount: 0
+    }
+  };
+
+  // Find the main content container: the profile's selectors first, then the generic ones
+  const genericContentSelectors = [
+    '.kb-article-content',
+    '.kb-article',
+    '.kb-content',
+    '.article-content',
+    '.article-body',
+    '.articleBody',
+    '.help-content',
+    '.content-area',
+    '.content',
+    '.doc-content',
+    '.document-content',
+    '.help-article',
+    'article',
+    '[role="main"]',
+    'main',
+    '.main-content',
+    '#main-content'
+  ];
+
+  let mainContent = null;
+  let matchedSelector = null;
+  const candidates = [];
+
+  const getTextLength = element => {
+    if (!element) return 0;
+    return element.textContent.replace(/\s+/g, ' ').trim().length;
+  };
+
+  const collectCandidates = selectors => selectors.forEach(selector => {
+    doc.querySelectorAll(selector).forEach(node => {
+      candidates.push({
+        node,
+        selector,
+        textLength: getTextLength(node)
+      });
+    });
+  });
+
+  collectCandidates(profile.contentSelectors || []);
+  if (candidates.length === 0) {
+    if ((profile.contentSelectors || []).length > 0) {
+      content.meta.extractionWarnings.push(`No content container matched the ${profile.id} site profile; used generic selectors`);
+    }
+    collectCandidates(genericContentSelectors);
+  }
+
+  if (candidates.length > 0) {
+    candidates.sort((a, b) => b.textLength - a.textLength);
+    mainContent = candidates[0].node;
+    matchedSelector = candidates[0].selector;
+  } else {
+    mainContent = doc.body;
+    content.meta.extractionWarnings.push('No content container matched; fell back to document.body');
+  }
+
+  if (matchedSelector && matchedSelector !== 'article' && matchedSelector !== 'main') {
+    content.meta.extractionWarnings.push(`Using content selector: ${matchedSelector}`);
+  }
+
+  if (mainContent && getTextLength(mainContent) < 200) {
+    content.meta.extractionWarnings.push('Selected content container has low text volume; extraction may be incomplete');
+  }
+
+  const boilerplateSelectors = [
+    'nav',
+    'aside',
+    'footer',
+    '.breadcrumb',
+    '.breadcrumbs',
+    '.toc',
+    '.table-of-contents',
+    '.sidebar',
+    '.related',
+    '.prev-next',
+    '.pagination',
+    '.header',
+    '.top-nav',
+    ...(profile.boilerplateSelectors || [])
+  ];
+  const boilerplateSelector = boilerplateSelectors.join(', ');
+  const isInBoilerplate = element => element && element.closest(boilerplateSelector);
+  const stripBoilerplate = element => {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(boilerplateSelector).forEach(el => el.remove());
+    return clone;
+  };
+
+  // Extract code blocks; the language comes from a language- or lang- class on pre or its inner code
+  const getCodeLanguage = el => {
+    const inner = el.tagName.toLowerCase() === 'pre' ? el.querySelector('code') : null;
+    const classes = `${el.className || ''} ${inner ? inner.className || '' : ''}`;
+    const match = classes.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+    return match ? match[1] : (el.getAttribute('data-lang') || el.getAttribute('data-language') || 'unknown');
+  };
+  const codeBlocks = mainContent.querySelectorAll('pre, code');
+  const processedCode = new Set();
+  codeBlocks.forEach((code, index) => {
+    if (isInBoilerplate(code)) return;
+    const text = code.textContent.trim();
+    const isInline = code.tagName.toLowerCase() === 'code' && !code.closest('pre');
+    // Avoid duplicates (code inside pre)
+    if (text.length > 0 && !processedCode.has(text)) {
+      processedCode.add(text);
+      content.structure.codeBlocks.push({
+        content: text,
+        type: isInline ? 'inline' : 'block',
+        language: getCodeLanguage(code),
+        index: index
+      });
+    }
+  });
+
+  // Callouts/notes, recorded as blocks by the document-order walk below
+  const calloutSelectors = [
+    '.callout',
+    '.notice',
+    '.alert',
+    '.warning',
+    '.info',
+    '.tip',
+    '.note',
+    '.admonition',
+    '.kb-callout',
+    '.kb-note',
+    '.kb-warning',
+    '.kb-tip',
+    '[role="note"]',
+    '[role="alert"]',
+    ...Object.keys(profile.calloutClasses || {}).map(className => `.${className}`)
+  ];
+  const calloutSelector = calloutSelectors.join(',');
+  const getCalloutType = el => {
+    // Portal-specific classes name the type outright; otherwise guess from class names and role
+    const mapped = Object.entries(profile.calloutClasses || {}).find(([className]) => el.classList.contains(className));
+    if (mapped) return mapped[1];
+    const classNames = (el.className || '').toLowerCase();
+    const role = (el.getAttribute('role') || '').toLowerCase();
+    return ['warning', 'alert', 'caution', 'danger', 'tip', 'info', 'note', 'success']
+      .find(label => classNames.includes(label) || role === label) || 'note';
+  };
+
+  // Extract disclosure widgets (<details>/<summary>), often used for FAQs
+  const disclosures = mainContent.querySelectorAll('details');
+  disclosures.forEach((el, index) => {
+    if (isInBoilerplate(el)) return;
+    const summaryEl = el.querySelector('summary');
+    const summary = summaryEl ? summaryEl.textContent.replace(/\s+/g, ' ').trim() : '';
+    const body = el.cloneNode(true);
+    const bodySummary = body.querySelector('summary');
+    if (bodySummary) bodySummary.remove();
+    const text = body.textContent.replace(/\s+/g, ' ').trim();
+    if (summary.length > 0 || text.length > 0) {
+      content.structure.disclosures.push({
+        summary,
+        text,
+        index
+      });
+    }
+  });
+
+  // Extract links
+  const links = mainContent.querySelectorAll('a[href]');
+  links.forEach((link, index) => {
+    if (isInBoilerplate(link)) return;
+    const href = resolveUrl(link.getAttribute('href'));
+    let isBroken = false;
+    let reason = null;
+    if (href.startsWith('#')) {
+      const targetId = href.slice(1);
+      const target = doc.getElementById(targetId) || doc.querySelector(`[name="${targetId}"]`);
+      if (!target) {
+        isBroken = true;
+        reason = 'Missing anchor target';
+      }
+    } else if (href.includes('#')) {
+      const [baseUrl, hash] = href.split('#');
+      if (baseUrl === url.split('#')[0] && hash) {
+        const target = doc.getElementById(hash) || doc.querySelector(`[name="${hash}"]`);
+        if (!target) {
+          isBroken = true;
+          reason = 'Missing anchor target';
+        }
+      }
+    }
+    const isInternal = href.includes(domain) || href.startsWith('/') || href.startsWith('#');
+    content.structure.links.push({
+      href: href,
+      text: link.textContent.trim(),
+      type: isInternal ? 'internal' : 'external',
+      index: index,
+      isBroken,
+      reason
+    });
+  });
+
+  // Walk the content in document order; the parser groups these blocks into sections
+  // and derives the per-type structure arrays from them
+  const getPath = el => {
+    const parts = [];
+    for (let node = el; node && node !== mainContent; node = node.parentElement) {
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+  const elements = mainContent.querySelectorAll(`h1,h2,h3,h4,h5,h6,p,ul,ol,img,table,pre,${calloutSelector}`);
+
+  elements.forEach(el => {
+    if (isInBoilerplate(el)) return;
+    const tag = el.tagName.toLowerCase();
+    const path = getPath(el);
+
+    // Callouts often wrap paragraphs, so record them and keep going
+    if (el.matches(calloutSelector)) {
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+      if (text.length > 0) {
+        content.blocks.push({ type: 'callout', calloutType: getCalloutType(el), text, path });
+      }
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      content.blocks.push({ type: 'heading', level: parseInt(tag.slice(1), 10), text: el.textContent.trim(), path });
+    }
+
+    if (tag === 'p') {
+      const text = el.textContent.trim();
+      if (text.length > 0) {
+        content.blocks.push({ type: 'paragraph', text, path });
+      }
+    }
+
+    if (tag === 'ul' || tag === 'ol') {
+      const items = Array.from(el.querySelectorAll(':scope > li')).map(li => li.textContent.trim()).filter(Boolean);
+      if (items.length > 0) {
+        content.blocks.push({ type: 'list', listType: tag, items, path });
+      }
+    }
+
+    if (tag === 'img') {
+      content.blocks.push({
+        type: 'image',
+        src: resolveUrl(el.getAttribute('src') || ''),
+        alt: el.alt || null,
+        width: el.naturalWidth || el.width,
+        height: el.naturalHeight || el.height,
+        path
+      });
+    }
+
+    if (tag === 'table') {
+      const captionEl = el.querySelector('caption');
+      const headers = Array.from(el.querySelectorAll('th')).map(th => th.textContent.trim());
+      const rows = Array.from(el.querySelectorAll('tr')).map(tr =>
+        Array.from(tr.querySelectorAll('td')).map(td => td.textContent.trim())
+      ).filter(row => row.length > 0);
+      content.blocks.push({ type: 'table', caption: captionEl ? captionEl.textContent.trim() : null, headers, rows, path });
+    }
+
+    if (tag === 'pre') {
+      const text = el.textContent.trim();
+      if (text.length > 0) {
+        content.blocks.push({ type: 'code', text, language: getCodeLanguage(el), path });
+      }
+    }
+  });
+
+  // Get full text content
+  const cleanContent = stripBoilerplate(mainContent);
+  content.text.fullText = cleanContent.textContent
+    .replace(/\s+/g, ' ')
+    .trim();
+  content.text.wordCount = content.text.fullText
+    .split(/\s+/)
+    .filter(w => w.length > 0).length;
+
+  // Try to extract last updated date (visible dates first, then metadata)
+  const dateSelectors = [
+    '.last-updated',
+    '.modified-date',
+    '.article-date',
+    '[itemprop="dateModified"]',
+    'time[datetime]',
+    '.date',
+    'meta[property="article:modified_time"]',
+    'meta[name="last-modified"]'
+  ];
+  for (const selector of dateSelectors) {
+    const dateEl = doc.querySelector(selector);
+    if (dateEl) {
+      content.meta.lastUpdated = dateEl.getAttribute('datetime') || dateEl.getAttribute('content') || dateEl.textContent.trim();
+      break;
+    }
+  }
+
+  // Product or API version badge, if the page shows one
+  const versionEl = doc.querySelector('meta[name="version"], .doc-version, .version-badge, [data-doc-version]');
+  if (versionEl) {
+    content.meta.docVersion = versionEl.getAttribute('data-doc-version') || versionEl.getAttribute('content') || versionEl.textContent.trim();
+  }
+
+  // Extract breadcrumbs for context
+  const breadcrumbSelectors = [
+    '.breadcrumb',
+    '.breadcrumbs',
+    'nav[aria-label="breadcrumb"]',
+    '.kb-breadcrumb'
+  ];
+  for (const selector of breadcrumbSelectors) {
+    const breadcrumb = doc.querySelector(selector);
+    if (breadcrumb) {
+      content.meta.breadcrumbs = Array.from(breadcrumb.querySelectorAll('a, span'))
+        .map(el => el.textContent.trim())
+        .filter(t => t.length > 0);
+      break;
+    }
+  }
+
+  // Page metadata for provenance scoring: <meta> tags, canonical URL, og:* and JSON-LD
+  const metaContent = selector => {
+    const el = doc.querySelector(selector);
+    const value = el ? (el.getAttribute('content') || '').trim() : '';
+    return value.length > 0 ? value : null;
+  };
+  const canonicalEl = doc.querySelector('link[rel="canonical"]');
+  const metadata = {
+    description: metaContent('meta[name="description"]'),
+    canonical: canonicalEl ? resolveUrl(canonicalEl.getAttribute('href')) : null,
+    author: metaContent('meta[name="author"]'),
+    product: metaContent('meta[name="product"]') || metaContent('meta[name="application-name"]'),
+    og: {},
+    jsonLd: []
+  };
+  doc.querySelectorAll('meta[property^="og:"]').forEach(el => {
+    metadata.og[el.getAttribute('property').slice(3)] = el.getAttribute('content') || '';
+  });
+  const nameOf = value => {
+    if (!value) return null;
+    const first = Array.isArray(value) ? value[0] : value;
+    return typeof first === 'string' ? first : (first && first.name) || null;
+  };
+  doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      const data = JSON.parse(script.textContent);
+      [].concat(data['@graph'] || data).forEach(node => {
+        if (!node || !node['@type']) return;
+        const type = [].concat(node['@type'])[0];
+        const items = node.mainEntity || node.step || node.itemListElement;
+        metadata.jsonLd.push({
+          type,
+          headline: node.headline || node.name || null,
+          description: node.description || null,
+          author: nameOf(node.author),
+          datePublished: node.datePublished || null,
+          dateModified: node.dateModified || null,
+          itemCount: Array.isArray(items) ? items.length : null
+        });
+        if (type === 'BreadcrumbList' && Array.isArray(node.itemListElement) && !content.meta.breadcrumbs) {
+          content.meta.breadcrumbs = node.itemListElement.map(item => nameOf(item.item) || item.name).filter(Boolean);
+        }
+      });
+    } catch (e) {
+      content.meta.extractionWarnings.push('Skipped a JSON-LD block that is not valid JSON');
+    }
+  });
+  if (!metadata.author) {
+    const authorEl = doc.querySelector('[rel="author"], [itemprop="author"], .author-name, .article-author');
+    metadata.author = authorEl ? authorEl.textContent.trim() || null : null;
+  }
+  content.meta.metadata = metadata;
+
+  // Markdown alternate version of the page, if the site publishes one
+  const markdownLink = doc.querySelector('link[rel="alternate"][type="text/markdown"], link[rel="alternate"][type="text/x-markdown"]');
+  if (markdownLink) {
+    content.meta.markdownAlternate = resolveUrl(markdownLink.getAttribute('href'));
+  }
+
+  return content;
+}
+
+/**
+ * Bookmarklet entry point: pick the site profile, extract the page, and hand the payload to the app
+ * @param {Function} extract - extractPageContent
+ * @param {Function} selectProfile - selectSiteProfile
+ * @param {string} appUrl - Scoring app URL
+ * @param {Object[]} profiles - Site profiles; pages that only match the generic one are refused
+ */
+function launchBookmarklet(extract, selectProfile, appUrl, profiles) {
+  const profile = selectProfile(document, window.location.href, profiles);
+  if (profile.id === 'generic') {
+    const portals = profiles.filter(p => p.id !== 'generic').map(p => p.label);
+    alert(`AI Doc Scorer works on these documentation portals:\n${portals.join('\n')}\n\nPlease navigate to a supported help documentation page and try again.`);
+    return;
+  }
+
+  const extractedContent = extract(document, window.location.href, profile);
+  const appWindow = window.open(appUrl, '_blank');
+  if (!appWindow) {
+    alert('Could not open the scoring app. Please check your popup blocker settings.');
+    return;
+  }
+
+  // Store in sessionStorage as backup
+  try {
+    sessionStorage.setItem('aiDocScorerContent', JSON.stringify(extractedContent));
+  } catch {
+    console.warn('Could not store content in sessionStorage');
+  }
+
+  // Post until the app has loaded and picked it up, for up to 10 seconds
+  const checkInterval = setInterval(() => {
+    try {
+      appWindow.postMessage({ type: 'AI_DOC_SCORER_CONTENT', payload: extractedContent }, '*');
+    } catch {
+      // Window not ready yet
+    }
+  }, 500);
+  setTimeout(() => clearInterval(checkInterval), 10000);
+}
+
+// help.zoho.com and its regional mirrors share one knowledge base layout
+const HELP_CENTER_LAYOUT = {
+  contentSelectors: ['.kb-article-content', '.kb-article', '.kb-content'],
+  boilerplateSelectors: ['.kb-sidebar', '.kb-article-feedback', '.kb-related-articles', '.kb-article-navigation'],
+  calloutClasses: {
+    'kb-note': 'note',
+    'kb-tip': 'tip',
+    'kb-warning': 'warning',
+    'kb-info': 'info',
+    'kb-callout': 'note'
+  }
+};
+
+const Extractor = {
+  SITE_PROFILES: [
+    {
+      id: 'zoho-help',
+      label: 'Zoho Help Center (help.zoho.com)',
+      hostPattern: '^help\\.zoho\\.com$',
+      ...HELP_CENTER_LAYOUT
+    },
+    {
+      id: 'zoho-help-regional',
+      label: 'Zoho Help Center regional mirrors (help.zoho.eu, help.zoho.in, help.zoho.com.au)',
+      hostPattern: '^help\\.zoho\\.(eu|in|com\\.au)$',
+      ...HELP_CENTER_LAYOUT
+    },
+    {
+      id: 'zoho-product-help',
+      label: 'Zoho product help pages (zoho.com/<product>/help)',
+      hostPattern: '^(www\\.)?zoho\\.(com|eu|in|com\\.au)$',
+      pathPattern: '^/[\\w-]+/help(/|$)',
+      contentSelectors: ['.help-content', '.helpContent', '.content-wrap', '#content'],
+      boilerplateSelectors: ['.help-left-panel', '.help-toc', '.leftpanel', '.zw-product-header', '.zw-footer', '.help-feedback'],
+      calloutClasses: {
+        'note-box': 'note',
+        'tip-box': 'tip',
+        'warning-box': 'warning',
+        'info-box': 'info',
+        'help-note': 'note'
+      }
+    },
+    {
+      id: 'zoho-desk-portal',
+      label: 'Zoho Desk help centers (*.zohodesk.com or a custom domain)',
+      hostPattern: '\\.zohodesk\\.(com|eu|in|com\\.au)$',
+      // Custom-domain portals still load Desk assets and render Desk's knowledge base markup
+      markers: ['script[src*="zohodesk"]', 'link[href*="zohodesk"]', '[class*="KbDetailLtContainer"]'],
+      contentSelectors: ['[class*="KbDetailLtContainer__articleContent"]', '[class*="ArticleDetail__content"]', '[data-id="articleContent"]'],
+      boilerplateSelectors: ['[class*="KbDetailRtContainer"]', '[class*="Header__"]', '[class*="Footer__"]', '[class*="ArticleFeedback"]', '[class*="RelatedArticles"]'],
+      calloutClasses: {
+        'zd-note': 'note',
+        'zd-tip': 'tip',
+        'zd-warning': 'warning',
+        'zd-info': 'info'
+      }
+    },
+    {
+      id: 'generic',
+      label: 'Generic page'
+    }
+  ],
+
+  /**
+   * Pick the site profile for a page
+   * @param {Document} doc - Page document
+   * @param {string} url - Page URL
+   * @returns {Object} Matching profile, or the generic one
+   */
+  getProfile(doc, url) {
+    return selectSiteProfile(doc, url, this.SITE_PROFILES);
+  },
+
+  /**
+   * Extract content from a parsed or live document, using the page's site profile
+   * @param {Document} doc - Page document
+   * @param {string} url - Page URL
+   * @returns {Object} Raw content payload
+   */
+  extract(doc, url) {
+    return extractPageContent(doc, url, this.getProfile(doc, url));
+  },
+
+  /**
+   * Build the bookmarklet link from the extraction source, so it never drifts from batch and manual input
+   * @param {string} appUrl - Scoring app URL the bookmarklet opens
+   * @returns {string} javascript: URL
+   */
+  buildBookmarklet(appUrl) {
+    const code = `(${launchBookmarklet.toString()})(${extractPageContent.toString()}, ${selectSiteProfile.toString()}, ${JSON.stringify(appUrl)}, ${JSON.stringify(this.SITE_PROFILES)});`;
+    // Indentation only adds length; line breaks stay (encoded) because they end the comments
+    return `javascript:${encodeURIComponent(code.replace(/\n\s+/g, '\n'))}`;
+  },
+
+  // GitHub alert markers and "Note:"-style lead-ins in blockquotes, mapped to extractor callout types
+  CALLOUT_LABELS: {
+    note: 'note',
+    tip: 'tip',
+    important: 'info',
+    info: 'info',
+    warning: 'warning',
+    caution: 'caution',
+    danger: 'danger'
+  },
+
+  /**
+   * Guess whether pasted input is HTML, Markdown, or plain text
+   * @param {string} input - Pasted input
+   * @returns {string} 'html', 'markdown', or 'text'
+   */
+  detectFormat(input) {
+    if (/<(html|body|article|main|div|section|p|h[1-6]|ul|ol|table)\b[^>]*>/i.test(input)) return 'html';
+    if (/^(---\s*$|#{1,6}\s|\s*([-*+]|\d+[.)])\s+\S|```|~~~|>\s|\|.*\|\s*$)/m.test(input)) return 'markdown';
+    return 'text';
+  },
+
+  /**
+   * URL for a draft that has none yet, so history and saved queries still have a key
+   * @param {string} title - Draft title
+   * @returns {string} draft: URL
+   */
+  getDraftUrl(title) {
+    return `draft:${encodeURIComponent((title || 'untitled').trim().toLowerCase().replace(/\s+/g, '-'))}`;
+  },
+
+  /**
+   * Start an empty payload for input that did not come from a live page
+   * @param {Object} options - title and url
+   * @param {string} format - Input format recorded in meta
+   * @returns {Object} Raw content payload with no blocks yet
+   */
+  createPayload(options, format) {
+    const url = options.url || this.getDraftUrl(options.title);
+    let domain = '';
+    try {
+      domain = new URL(url).hostname;
+    } catch {
+      // Not an absolute URL; links stay as written
+    }
+
+    return {
+      meta: {
+        url,
+        title: options.title || '',
+        extractedAt: new Date().toISOString(),
+        domain,
+        inputFormat: format,
+        extractionWarnings: []
+      },
+      blocks: [],
+      structure: {
+        codeBlocks: [],
+        disclosures: [],
+        links: []
+      },
+      text: {
+        fullText: '',
+        wordCount: 0
+      }
+    };
+  },
+
+  /**
+   * Title untitled input after its first heading, and name its draft URL after that
+   * @param {Object} content - Payload with blocks
+   * @param {Object} options - title and url the payload was created with
+   */
+  applyDraftTitle(content, options) {
+    const firstHeading = content.blocks.find(block => block.type === 'heading');
+    if (!options.title && firstHeading) {
+      content.meta.title = firstHeading.text;
+      if (!options.url) content.meta.url = this.getDraftUrl(firstHeading.text);
+    }
+    content.meta.title = content.meta.title || content.meta.url;
+  },
+
+  /**
+   * Fill in the title and full text once the blocks are in place
+   * @param {Object} content - Payload from createPayload
+   * @param {Object} options - title and url the payload was created with
+   * @returns {Object} The same payload
+   */
+  finishPayload(content, options) {
+    this.applyDraftTitle(content, options);
+
+    // Same reading order the extractor's textContent gives, so the parser can locate every block
+    content.text.fullText = content.blocks.map(block => {
+      if (block.type === 'list') return block.items.join(' ');
+      if (block.type === 'table') return [...block.headers, ...block.rows.flat()].join(' ');
+      return block.text || '';
+    }).join(' ').replace(/\s+/g, ' ').trim();
+    content.text.wordCount = content.text.fullText.split(/\s+/).filter(w => w.length > 0).length;
+    return content;
+  },
+
+  /**
+   * Extract pasted or fetched HTML that has already been parsed into a document
+   * @param {Document} doc - Parsed document
+   * @param {Object} options - title and url; both optional
+   * @returns {Object} Raw content payload
+   */
+  fromDocument(doc, options = {}) {
+    const title = options.title || doc.title;
+    const content = this.extract(doc, options.url || this.getDraftUrl(title));
+    content.meta.inputFormat = 'html';
+    // Pasted fragments have no <title>, so fall back to the first heading
+    this.applyDraftTitle(content, { title, url: options.url });
+    if (title) content.meta.title = title;
+    return content;
+  },
+
+  /**
+   * Build a payload from plain text: blank lines separate paragraphs
+   * @param {string} text - Plain text
+   * @param {Object} options - title and url; both optional
+   * @returns {Object} Raw content payload
+   */
+  fromText(text, options = {}) {
+    const content = this.createPayload(options, 'text');
+    text.replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(chunk => {
+      const paragraph = chunk.replace(/\s+/g, ' ').trim();
+      if (paragraph.length > 0) {
+        content.blocks.push({ type: 'paragraph', text: paragraph });
+      }
+    });
+    return this.finishPayload(content, options);
+  },
+
+  /**
+   * Strip inline Markdown, recording links and inline code the way the extractor does
+   * @param {string} text - Markdown text of one paragraph, list item, or cell
+   * @param {Object} content - Payload being built
+   * @returns {Object} Plain text and any images found inline
+   */
+  parseInline(text, content) {
+    const images = [];
+    const resolveUrl = value => {
+      try {
+        return new URL(value, content.meta.url).href;
+      } catch {
+        return value;
+      }
+    };
+
+    const plain = text
+      .replace(/`([^`]+)`/g, (match, code) => {
+        content.structure.codeBlocks.push({ content: code.trim(), type: 'inline', language: 'unknown', index: content.structure.codeBlocks.length });
+        return code;
+      })
+      .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, alt, src) => {
+        images.push({ type: 'image', src: resolveUrl(src), alt: alt.trim() || null, width: 0, height: 0 });
+        return '';
+      })
+      .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)|<(https?:\/\/[^>\s]+)>/g, (match, label, href, autolink) => {
+        const target = autolink || href;
+        const resolved = target.startsWith('#') ? target : resolveUrl(target);
+        const isInternal = target.startsWith('#') || target.startsWith('/') ||
+          (content.meta.domain && resolved.includes(content.meta.domain));
+        content.structure.links.push({
+          href: resolved,
+          text: label || autolink,
+          type: isInternal ? 'internal' : 'external',
+          index: content.structure.links.length,
+          isBroken: false,
+          reason: null
+        });
+        return label || autolink;
+      })
+      .replace(/<\/?[a-z][^>]*>/gi, '')
+      .replace(/(\*\*|__|~~)(\S(?:.*?\S)?)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_](\S(?:.*?\S)?)[*_](?=[^\w*]|$)/g, '$1$2')
+      .replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return { text: plain, images };
+  },
+
+  /**
+   * Split YAML frontmatter from a Markdown source
+   * Handles the flat subset docs-as-code frontmatter uses: scalars, [inline] lists, and "- item" lists
+   * @param {string} markdown - Markdown source
+   * @returns {Object} data (null without frontmatter), the remaining body, and warnings
+   */
+  parseFrontmatter(markdown) {
+    const match = markdown.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) return { data: null, body: markdown, warnings: [] };
+
+    const data = {};
+    const warnings = [];
+    const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+    let listKey = null;
+    match[1].split(/\r?\n/).forEach(line => {
+      if (/^\s*(#.*)?$/.test(line)) return;
+      const item = line.match(/^\s*-\s+(.*)$/);
+      if (item && listKey) {
+        data[listKey].push(unquote(item[1]));
+        return;
+      }
+      const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+      if (!pair) return;
+
+      // last-updated and last_updated are the same key
+      const key = pair[1].toLowerCase().replace(/-/g, '_');
+      const value = pair[2].trim();
+      listKey = value === '' ? key : null;
+      if (value === '') {
+        data[key] = [];
+      } else if (/^\[.*\]$/.test(value)) {
+        data[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+      } else if (value.startsWith('[')) {
+        // An inline list without its closing bracket; keeping the raw value would record "[Admin" as a role
+        warnings.push(`Frontmatter "${pair[1]}" has an unterminated [ list; value ignored`);
+      } else {
+        data[key] = unquote(value);
+      }
+    });
+
+    return { data, body: markdown.slice(match[0].length), warnings };
+  },
+
+  /**
+   * Record frontmatter in meta: the date feeds freshness, product feeds metadata,
+   * and plan and roles count as requirement statements for permissions and plans
+   * @param {Object} content - Payload being built
+   * @param {Object} data - Parsed frontmatter
+   */
+  applyFrontmatter(content, data) {
+    const list = value => [].concat(value || [])
+      .flatMap(entry => String(entry).split(','))
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    const first = value => list(value)[0] || null;
+
+    content.meta.frontmatter = {
+      title: first(data.title),
+      product: first(data.product),
+      plans: list(data.plan || data.plans),
+      roles: list(data.roles || data.role),
+      lastUpdated: first(data.last_updated)
+    };
+    if (content.meta.frontmatter.lastUpdated) {
+      content.meta.lastUpdated = content.meta.frontmatter.lastUpdated;
+    }
+    content.meta.metadata = {
+      description: first(data.description),
+      author: first(data.author),
+      product: content.meta.frontmatter.product
+    };
+  },
+
+  /**
+   * Build a payload from Markdown: ATX headings, lists, fenced code, pipe tables,
+   * images, and blockquotes (as callouts) become the same blocks the extractor emits.
+   * Frontmatter, if any, is recorded in meta
+   * @param {string} markdown - Markdown source
+   * @param {Object} options - title and url; both optional
+   * @returns {Object} Raw content payload
+   */
+  fromMarkdown(markdown, options = {}) {
+    const { data, body, warnings } = this.parseFrontmatter(markdown);
+    // An explicit title wins over the frontmatter title, which wins over the first heading
+    const payloadOptions = { ...options, title: options.title || (data && data.title ? String(data.title) : '') };
+    const content = this.createPayload(payloadOptions, 'markdown');
+    if (data) this.applyFrontmatter(content, data);
+    content.meta.extractionWarnings.push(...warnings);
+    const lines = body.replace(/\r\n?/g, '\n').split('\n');
+    const splitRow = line => line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+    const isTableRule = line => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+    let paragraph = [];
+    let list = null;
+    let quote = null;
+
+    const pushText = (type, text, extra = {}) => {
+      const { text: plain, images } = this.parseInline(text, content);
+      if (plain.length > 0) content.blocks.push({ type, text: plain, ...extra });
+      content.blocks.push(...images);
+    };
+    const flush = () => {
+      if (paragraph.length > 0) {
+        pushText('paragraph', paragraph.join(' '));
+        paragraph = [];
+      }
+      if (list) {
+        const parsed = list.items.map(item => this.parseInline(item, content));
+        const items = parsed.map(item => item.text).filter(Boolean);
+        if (items.length > 0) content.blocks.push({ type: 'list', listType: list.listType, items });
+        parsed.forEach(item => content.blocks.push(...item.images));
+        list = null;
+      }
+      if (quote) {
+        const alert = quote[0].match(/^\[!(\w+)\]\s*$/);
+        const body = (alert ? quote.slice(1) : quote).join(' ');
+        const lead = body.match(/^\s*(?:\*\*|__)?(\w+)(?:\*\*|__)?:/);
+        const label = (alert ? alert[1] : lead ? lead[1] : '').toLowerCase();
+        pushText('callout', body, { calloutType: this.CALLOUT_LABELS[label] || 'note' });
+        quote = null;
+      }
+    };
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+      const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)/);
+      const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+      const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+      const quoted = line.match(/^\s*>\s?(.*)$/);
+
+      if (fence) {
+        flush();
+        const code = [];
+        for (i += 1; i < lines.length && !lines[i].trim().startsWith(fence[1]); i += 1) {
+          code.push(lines[i]);
+        }
+        const text = code.join('\n').trim();
+        if (text.length > 0) {
+          const language = fence[2] || 'unknown';
+          content.blocks.push({ type: 'code', text, language });
+          content.structure.codeBlocks.push({ content: text, type: 'block', language, index: content.structure.codeBlocks.length });
+        }
+      } else if (line.trim().length === 0) {
+        if (paragraph.length > 0 || quote) flush();
+        if (list) list.blank = true;
+      } else if (heading) {
+        flush();
+        content.blocks.push({ type: 'heading', level: heading[1].length, text: this.parseInline(heading[2], content).text });
+      } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flush();
+      } else if (line.includes('|') && i + 1 < lines.length && isTableRule(lines[i + 1])) {
+        flush();
+        const headers = splitRow(line).map(cell => this.parseInline(cell, content).text);
+        const rows = [];
+        for (i += 2; i < lines.length && lines[i].includes('|'); i += 1) {
+          rows.push(splitRow(lines[i]).map(cell => this.parseInline(cell, content).text));
+        }
+        i -= 1;
+        content.blocks.push({ type: 'table', caption: null, headers, rows });
+      } else if (quoted) {
+        if (!quote) flush();
+        quote = quote || [];
+        quote.push(quoted[1]);
+      } else if (item && (!list || item[1].length <= list.indent)) {
+        // A new list, or the next item of the current one
+        const listType = /\d/.test(item[2]) ? 'ol' : 'ul';
+        if (list && list.listType !== listType) flush();
+        if (paragraph.length > 0) flush();
+        list = list || { listType, indent: item[1].length, items: [] };
+        list.items.push(item[3]);
+        list.blank = false;
+      } else if (list && (/^\s+\S/.test(line) || (!list.blank && paragraph.length === 0))) {
+        // Nested items and continuation lines belong to the current item, as they do in the li's text
+        list.items[list.items.length - 1] += ` ${line.trim().replace(/^([-*+]|\d+[.)])\s+/, '')}`;
+      } else {
+        if (list || quote) flush();
+        paragraph.push(line.trim());
+      }
+    }
+    flush();
+
+    // Published docs render the frontmatter title as the page's H1
+    if (data && data.title && !content.blocks.some(block => block.type === 'heading' && block.level === 1)) {
+      content.blocks.unshift({ type: 'heading', level: 1, text: String(data.title) });
+    }
+
+    return this.finishPayload(content, payloadOptions);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Extractor;
+}
@@ -0,0 +1,231 @@
+/**
+ * Gate - Evaluates scoring results against a pass/fail policy
+ * Used by CI runs to fail builds when pages drop below minimum scores
+ *
+ * Policy format:
+ * {
+ *   "minComposite": 6,
+ *   "minStatus": "yellow",
+ *   "categories": {
+ *     "content-structure": { "minScore": 6, "minStatus": "yellow" },
+ *     "text-over-visuals": { "noCriticalIssues": true }
+ *   }
+ * }
+ */
+
+const Gate = {
+  // Status ranking used for minStatus comparisons
+  STATUS_RANK: {
+    red: 0,
+    yellow: 1,
+    green: 2
+  },
+
+  /**
+   * Validate a policy object
+   * @param {Object} policy - Gate policy
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validatePolicy(policy) {
+    const errors = [];
+
+    if (!policy || typeof policy !== 'object') {
+      errors.push('Policy must be a JSON object');
+      return { isValid: false, errors };
+    }
+
+    if (policy.minComposite !== undefined && typeof policy.minComposite !== 'number') {
+      errors.push('minComposite must be a number');
+    }
+
+    if (policy.minStatus !== undefined && !(policy.minStatus in this.STATUS_RANK)) {
+      errors.push(`minStatus must be one of: ${Object.keys(this.STATUS_RANK).join(', ')}`);
+    }
+
+    if (policy.categories !== undefined && (!policy.categories || typeof policy.categories !== 'object' || Array.isArray(policy.categories))) {
+      errors.push('categories must be an object keyed by category ID');
+      return { isValid: false, errors };
+    }
+
+    // A misspelled key would otherwise be skipped as "not scored" and never gate anything
+    const knownCategories = Object.keys(globalThis.ScoringConfig?.categories || Scorer.CATEGORY_WEIGHTS);
+    Object.entries(policy.categories || {}).forEach(([key, rule]) => {
+      if (!knownCategories.includes(key)) {
+        errors.push(`categories.${key} is not a known category (expected one of: ${knownCategories.join(', ')})`);
+        return;
+      }
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`categories.${key} must be an object`);
+        return;
+      }
+      if (rule.minScore !== undefined && typeof rule.minScore !== 'number') {
+        errors.push(`categories.${key}.minScore must be a number`);
+      }
+      if (rule.minStatus !== undefined && !(rule.minStatus in this.STATUS_RANK)) {
+        errors.push(`categories.${key}.minStatus must be one of: ${Object.keys(this.STATUS_RANK).join(', ')}`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  },
+
+  /**
+   * Check whether a score meets a minimum status using Scorer thresholds
+   * @param {number} score - Score 0-10
+   * @param {string} minStatus - 'red', 'yellow', or 'green'
+   * @returns {boolean}
+   */
+  meetsStatus(score, minStatus) {
+    return this.STATUS_RANK[Scorer.getStatus(score)] >= this.STATUS_RANK[minStatus];
+  },
+
+  /**
+   * Evaluate a single page result against the policy
+   * @param {Object} result - Scoring results (or { url, error } entry)
+   * @param {Object} policy - Gate policy
+   * @returns {Object} Page verdict with failures and skipped checks
+   */
+  evaluate(result, policy) {
+    if (result.error) {
+      return {
+        url: result.url,
+        title: null,
+        passed: false,
+        compositeScore: null,
+        status: null,
+        failures: [{ rule: 'error', message: `Scoring failed: ${result.error}` }],
+        skipped: []
+      };
+    }
+
+    const failures = [];
+    const skipped = [];
+
+    if (typeof policy.minComposite === 'number' && result.compositeScore < policy.minComposite) {
+      failures.push({
+        rule: 'minComposite',
+        expected: policy.minComposite,
+        actual: result.compositeScore,
+        message: `Composite score ${result.compositeScore} is below ${policy.minComposite}`
+      });
+    }
+
+    if (policy.minStatus && !this.meetsStatus(result.compositeScore, policy.minStatus)) {
+      failures.push({
+        rule: 'minStatus',
+        expected: policy.minStatus,
+        actual: result.status,
+        message: `Composite status ${result.status} is below ${policy.minStatus}`
+      });
+    }
+
+    Object.entries(policy.categories || {}).forEach(([key, rule]) => {
+      const category = result.categories[key];
+      if (!category) {
+        skipped.push({ category: key, reason: 'Category not scored' });
+        return;
+      }
+
+      // Estimated categories are excluded from the composite, so don't gate on them either
+      const scored = category.score !== null && !category.estimated;
+
+      if (typeof rule.minScore === 'number' || rule.minStatus) {
+        if (!scored) {
+          skipped.push({ category: key, reason: category.estimated ? 'Category score is estimated' : 'Category not applicable' });
+        } else {
+          if (typeof rule.minScore === 'number' && category.score < rule.minScore) {
+            failures.push({
+              rule: 'minScore',
+              category: key,
+              expected: rule.minScore,
+              actual: category.score,
+              message: `${category.name} score ${category.score} is below ${rule.minScore}`
+            });
+          }
+          if (rule.minStatus && !this.meetsStatus(category.score, rule.minStatus)) {
+            failures.push({
+              rule: 'minStatus',
+              category: key,
+              expected: rule.minStatus,
+              actual: Scorer.getStatus(category.score),
+              message: `${category.name} status ${Scorer.getStatus(category.score)} is below ${rule.minStatus}`
+            });
+          }
+        }
+      }
+
+      if (rule.noCriticalIssues) {
+        const critical = (category.issues || []).filter(issue => issue.severity === 'critical');
+        if (critical.length > 0) {
+          failures.push({
+            rule: 'noCriticalIssues',
+            category: key,
+            expected: 0,
+            actual: critical.length,
+            message: `${category.name} has ${critical.length} critical issue${critical.length === 1 ? '' : 's'}: ${critical[0].message}`
+          });
+        }
+      }
+    });
+
+    return {
+      url: result.meta.url,
+      title: result.meta.title,
+      passed: failures.length === 0,
+      compositeScore: result.compositeScore,
+      status: result.status,
+      failures,
+      skipped
+    };
+  },
+
+  /**
+   * Evaluate a batch of results and produce an overall verdict
+   * @param {Array} resultsList - Array of results or errors
+   * @param {Object} policy - Gate policy
+   * @returns {Object} Machine-readable gate summary
+   * @throws {Error} When the policy is invalid or there are no pages to evaluate
+   */
+  evaluateBatch(resultsList, policy) {
+    const validation = this.validatePolicy(policy);
+    if (!validation.isValid) {
+      throw new Error(`Invalid gate policy: ${validation.errors.join(', ')}`);
+    }
+    if (resultsList.length === 0) {
+      // A batch of community threads alone has nothing to hold to the thresholds
+      throw new Error('No pages to gate: none of the inputs were scored as KB articles');
+    }
+
+    const pages = resultsList.map(result => this.evaluate(result, policy));
+    const failed = pages.filter(page => !page.passed);
+
+    return {
+      passed: pages.length > 0 && failed.length === 0,
+      evaluatedAt: new Date().toISOString(),
+      policy,
+      totals: {
+        pages: pages.length,
+        passed: pages.length - failed.length,
+        failed: failed.length,
+        errors: resultsList.filter(result => result.error).length
+      },
+      pages
+    };
+  },
+
+  /**
+   * Map a gate summary to a process exit code
+   * @param {Object} summary - Result of evaluateBatch
+   * @returns {number} 0 when the gate passes, 1 otherwise
+   */
+  getExitCode(summary) {
+    return summary.passed ? 0 : 1;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Gate;
+}
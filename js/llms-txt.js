@@ -0,0 +1,393 @@
+/**
+ * LlmsTxt - Machine-readable format readiness (GAP-01)
+ * Validates llms.txt / llms-full.txt against the llmstxt.org format, checks that
+ * scored pages are listed and have markdown alternates, and generates a candidate llms.txt
+ *
+ * llms.txt format:
+ *   # Site or product name          (required, first line)
+ *   > Short summary                 (optional blockquote)
+ *   Free-form notes                 (optional)
+ *   ## Section                      (zero or more file-list sections)
+ *   - [Link title](https://url): Optional notes
+ *   ## Optional                     (links that can be skipped for shorter context)
+ */
+
+const LlmsTxt = {
+  LINK_ITEM_PATTERN: /^[-*]\s+\[([^\]]+)\]\(([^)\s]+)\)(?::\s*(.*))?$/,
+
+  // Default criterion weights (site-level, not part of the page composite)
+  WEIGHTS: {
+    'LLM-01': 0.30,
+    'LLM-02': 0.20,
+    'LLM-03': 0.25,
+    'LLM-04': 0.25
+  },
+
+  /**
+   * Parse and validate an llms.txt file
+   * @param {string} text - File contents
+   * @returns {Object} Parsed structure with errors and warnings
+   */
+  validate(text) {
+    const errors = [];
+    const warnings = [];
+    const parsed = {
+      title: null,
+      summary: null,
+      sections: [],
+      links: []
+    };
+
+    const lines = (text || '').split(/\r?\n/);
+    const firstContent = lines.findIndex(line => line.trim().length > 0);
+
+    if (firstContent === -1) {
+      errors.push('File is empty');
+      return { isValid: false, errors, warnings, ...parsed };
+    }
+
+    let currentSection = null;
+    const seenUrls = new Set();
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      const lineNumber = index + 1;
+      if (!line) return;
+
+      if (/^#\s/.test(line)) {
+        if (index !== firstContent) {
+          errors.push(`Line ${lineNumber}: only one H1 is allowed, and it must be the first line`);
+        } else {
+          parsed.title = line.replace(/^#\s+/, '');
+        }
+        return;
+      }
+
+      if (index === firstContent) {
+        errors.push(`Line ${lineNumber}: file must start with an H1 title ("# Name")`);
+      }
+
+      if (/^##\s/.test(line)) {
+        currentSection = { name: line.replace(/^##\s+/, ''), links: [] };
+        parsed.sections.push(currentSection);
+        return;
+      }
+
+      if (/^#{3,}\s/.test(line)) {
+        warnings.push(`Line ${lineNumber}: headings below H2 are not part of the llms.txt format`);
+        return;
+      }
+
+      if (!currentSection) {
+        if (line.startsWith('>')) {
+          if (parsed.summary === null) parsed.summary = line.replace(/^>\s*/, '');
+        }
+        return;
+      }
+
+      const match = line.match(this.LINK_ITEM_PATTERN);
+      if (!match) {
+        if (/^[-*]\s/.test(line)) {
+          errors.push(`Line ${lineNumber}: list item is not a "[title](url)" link`);
+        } else {
+          warnings.push(`Line ${lineNumber}: text inside "${currentSection.name}" is not a link list item`);
+        }
+        return;
+      }
+
+      const link = {
+        title: match[1],
+        url: match[2],
+        notes: match[3] || null,
+        section: currentSection.name,
+        optional: /^optional$/i.test(currentSection.name)
+      };
+
+      if (!/^https?:\/\//i.test(link.url)) {
+        warnings.push(`Line ${lineNumber}: link URL is not absolute (${link.url})`);
+      }
+      if (seenUrls.has(link.url)) {
+        warnings.push(`Line ${lineNumber}: duplicate link (${link.url})`);
+      }
+      seenUrls.add(link.url);
+
+      currentSection.links.push(link);
+      parsed.links.push(link);
+    });
+
+    if (parsed.summary === null) {
+      warnings.push('No blockquote summary ("> ...") after the title');
+    }
+    if (parsed.sections.length === 0) {
+      warnings.push('No H2 sections with link lists');
+    }
+    parsed.sections.filter(section => section.links.length === 0).forEach(section => {
+      warnings.push(`Section "${section.name}" has no links`);
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      ...parsed
+    };
+  },
+
+  /**
+   * Normalize a URL into a comparable page key
+   * Strips the site root, query, hash, file extension, and trailing index/slash so
+   * https://help.zoho.com/kb/crm/x, /kb/crm/x.md, and a local export kb/crm/x.html match
+   * @param {string} url - Page or link URL
+   * @param {string} rootUrl - Site root URL for resolving relative links (optional)
+   * @returns {string|null} Page key
+   */
+  pageKey(url, rootUrl = null) {
+    let parsed;
+    try {
+      parsed = rootUrl ? new URL(url, rootUrl) : new URL(url);
+    } catch {
+      return null;
+    }
+
+    // A malformed escape such as "%E0%A4" throws; compare those paths as written
+    const decode = value => {
+      try {
+        return decodeURIComponent(value);
+      } catch {
+        return value;
+      }
+    };
+    let pathname = decode(parsed.pathname);
+    if (rootUrl && parsed.protocol === 'file:') {
+      const rootPath = decode(new URL(rootUrl).pathname);
+      if (pathname.startsWith(rootPath)) {
+        pathname = '/' + pathname.slice(rootPath.length);
+      }
+    }
+
+    return pathname
+      .replace(/\.(md|html?|txt)$/i, '')
+      .replace(/\/index$/i, '')
+      .replace(/\/+$/, '')
+      .toLowerCase() || '/';
+  },
+
+  /**
+   * Find the llms.txt link for a page
+   * @param {Array} links - Parsed llms.txt links
+   * @param {string} url - Page URL
+   * @param {string} rootUrl - Site root URL (optional)
+   * @returns {Object|null} Matching link
+   */
+  findLink(links, url, rootUrl = null) {
+    const key = this.pageKey(url, rootUrl);
+    if (!key) return null;
+    return links.find(link => this.pageKey(link.url, rootUrl) === key) || null;
+  },
+
+  /**
+   * Check a batch of results against the site's llms.txt files
+   * @param {Array} resultsList - Scoring results (error entries are ignored)
+   * @param {Object} files - { llmsTxt, llmsFullTxt, rootUrl, unreachable }; a null file is missing
+   * @returns {Object} Criterion results, page listing, and a candidate llms.txt
+   */
+  check(resultsList, files = {}) {
+    const pages = resultsList.filter(entry => !entry.error).map(entry => entry.meta);
+    const rootUrl = files.rootUrl || null;
+    const validation = typeof files.llmsTxt === 'string' ? this.validate(files.llmsTxt) : null;
+    const criteria = {};
+
+    // LLM-01: llms.txt exists and follows the format
+    if (!files.unreachable) {
+      if (!validation) {
+        criteria['LLM-01'] = {
+          criterionId: 'LLM-01',
+          score: 0,
+          issues: [{
+            severity: 'critical',
+            message: 'No llms.txt at the site root',
+            fix: 'Publish /llms.txt with a title, summary, and curated links to the key help pages'
+          }],
+          details: 'llms.txt not found'
+        };
+      } else {
+        const issues = [
+          ...validation.errors.map(message => ({ severity: 'warning', message: `llms.txt: ${message}`, fix: 'Follow the llms.txt format: "# Title", "> Summary", then "## Section" link lists' })),
+          ...validation.warnings.map(message => ({ severity: 'info', message: `llms.txt: ${message}`, fix: 'Follow the llms.txt format: "# Title", "> Summary", then "## Section" link lists' }))
+        ];
+        criteria['LLM-01'] = {
+          criterionId: 'LLM-01',
+          score: Math.max(0, 10 - validation.errors.length * 3 - validation.warnings.length),
+          issues: issues.slice(0, 8),
+          details: `${validation.links.length} links in ${validation.sections.length} sections. ${validation.errors.length} errors, ${validation.warnings.length} warnings.`
+        };
+      }
+
+      // LLM-02: llms-full.txt exists and contains the scored pages
+      if (typeof files.llmsFullTxt !== 'string') {
+        criteria['LLM-02'] = {
+          criterionId: 'LLM-02',
+          score: 0,
+          issues: [{
+            severity: 'warning',
+            message: 'No llms-full.txt at the site root',
+            fix: 'Publish /llms-full.txt with the full help content as a single Markdown file'
+          }],
+          details: 'llms-full.txt not found'
+        };
+      } else {
+        const issues = [];
+        const headings = (files.llmsFullTxt.match(/^#{1,3}\s+.+$/gm) || [])
+          .map(heading => heading.replace(/^#+\s+/, '').trim().toLowerCase());
+        const included = pages.filter(page => headings.includes((page.title || '').trim().toLowerCase()));
+        if (!/^\s*#\s/.test(files.llmsFullTxt)) {
+          issues.push({
+            severity: 'info',
+            message: 'llms-full.txt does not start with an H1 title',
+            fix: 'Start llms-full.txt with "# Site name" like llms.txt'
+          });
+        }
+        const missing = pages.length - included.length;
+        if (missing > 0) {
+          issues.push({
+            severity: 'warning',
+            message: `${missing} scored page(s) not found in llms-full.txt`,
+            details: 'Matched by page title appearing as a heading',
+            fix: 'Regenerate llms-full.txt so each article is included under its title'
+          });
+        }
+        const coverage = pages.length > 0 ? included.length / pages.length : 1;
+        criteria['LLM-02'] = {
+          criterionId: 'LLM-02',
+          score: Math.max(0, Math.round(4 + coverage * 6) - (issues.some(i => i.severity === 'info') ? 1 : 0)),
+          issues,
+          details: `${included.length} of ${pages.length} pages included.`
+        };
+      }
+    }
+
+    const listing = pages.map(page => {
+      const link = validation ? this.findLink(validation.links, page.url, rootUrl) : null;
+      const linkIsMarkdown = !!link && /\.md($|[?#])/i.test(link.url);
+      return {
+        url: page.url,
+        title: page.title,
+        listed: !!link,
+        section: link ? link.section : null,
+        markdownAlternate: page.markdownAlternate || (linkIsMarkdown ? link.url : null)
+      };
+    });
+
+    // LLM-03: each scored page is listed in llms.txt
+    if (!files.unreachable && pages.length > 0) {
+      const unlisted = listing.filter(page => !page.listed);
+      criteria['LLM-03'] = {
+        criterionId: 'LLM-03',
+        score: Math.round(((pages.length - unlisted.length) / pages.length) * 10),
+        issues: unlisted.length > 0 ? [{
+          severity: 'warning',
+          message: `${unlisted.length} scored page(s) not listed in llms.txt`,
+          location: unlisted.slice(0, 3).map(page => page.url).join(', '),
+          fix: 'Add the pages to llms.txt, or use the candidate llms.txt generated from this batch'
+        }] : [],
+        details: `${pages.length - unlisted.length} of ${pages.length} pages listed.`
+      };
+    }
+
+    // LLM-04: each scored page has a markdown alternate
+    if (pages.length > 0) {
+      const withoutMarkdown = listing.filter(page => !page.markdownAlternate);
+      criteria['LLM-04'] = {
+        criterionId: 'LLM-04',
+        score: Math.round(((pages.length - withoutMarkdown.length) / pages.length) * 10),
+        issues: withoutMarkdown.length > 0 ? [{
+          severity: 'warning',
+          message: `${withoutMarkdown.length} page(s) without a markdown alternate`,
+          location: withoutMarkdown.slice(0, 3).map(page => page.url).join(', '),
+          fix: 'Serve a .md version of each page and link it with <link rel="alternate" type="text/markdown" href="...">'
+        }] : [],
+        details: `${pages.length - withoutMarkdown.length} of ${pages.length} pages have a markdown alternate.`
+      };
+    }
+
+    const issues = Object.values(criteria).flatMap(c => c.issues);
+    if (files.unreachable) {
+      issues.push({
+        severity: 'info',
+        message: 'Could not fetch llms.txt files (blocked or offline); only markdown alternates were checked',
+        fix: 'Score from the command line with --llms-root to check a local copy'
+      });
+    }
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    Object.entries(criteria).forEach(([id, result]) => {
+      weightedSum += result.score * this.WEIGHTS[id];
+      totalWeight += this.WEIGHTS[id];
+    });
+
+    return {
+      categoryId: 'GAP-01',
+      categoryName: 'Machine-Readable Formats',
+      score: totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 10) / 10 : null,
+      criteria,
+      issues: issues.sort((a, b) => {
+        const severityOrder = { critical: 0, warning: 1, info: 2 };
+        return severityOrder[a.severity] - severityOrder[b.severity];
+      }),
+      pages: listing,
+      candidate: this.generate(resultsList, { title: validation ? validation.title : null })
+    };
+  },
+
+  /**
+   * Generate a candidate llms.txt from batch results
+   * Pages are grouped into sections by product area; weak pages go under "Optional"
+   * @param {Array} resultsList - Scoring results (error entries are ignored)
+   * @param {Object} options - { title, summary }
+   * @returns {string} llms.txt contents
+   */
+  generate(resultsList, options = {}) {
+    const results = resultsList.filter(entry => !entry.error);
+    const firstUrl = results[0] ? results[0].meta.url : '';
+    let domain = '';
+    try {
+      domain = new URL(firstUrl).hostname;
+    } catch {
+      domain = '';
+    }
+
+    const title = options.title || (domain ? `${domain} Help` : 'Help Documentation');
+    const summary = options.summary || `Help articles selected from ${results.length} scored page${results.length === 1 ? '' : 's'}, with markdown versions where available.`;
+
+    const sections = {};
+    const optional = [];
+    results.forEach(result => {
+      const link = `- [${(result.meta.title || result.meta.url).replace(/[[\]]/g, '')}](${result.meta.markdownAlternate || result.meta.url})`;
+      if (result.status === 'red') {
+        optional.push(link);
+        return;
+      }
+      const area = Community.getProductArea(result.meta.url);
+      // Short product keys are acronyms (crm -> CRM)
+      const name = area.length <= 3 ? area.toUpperCase() : area.charAt(0).toUpperCase() + area.slice(1);
+      sections[name] = sections[name] || [];
+      sections[name].push(link);
+    });
+
+    const lines = [`# ${title}`, '', `> ${summary}`];
+    Object.keys(sections).sort().forEach(name => {
+      lines.push('', `## ${name}`, '', ...sections[name]);
+    });
+    if (optional.length > 0) {
+      lines.push('', '## Optional', '', ...optional);
+    }
+    lines.push('');
+
+    return lines.join('\n');
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LlmsTxt;
+}
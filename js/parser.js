@@ -4,6 +4,25 @@
  */
 
 const Parser = {
+  // Imperative openings that mark a list item as a step
+  PROCEDURAL_VERB_PATTERN: /^(click|select|choose|open|go to|enter|type|add|remove|delete|enable|disable|run|install|configure|create|update|save|set|navigate|verify|copy|paste|upload|download|edit|apply|start|stop|restart|connect|sign in|log in|sign out|logout)\b/i,
+
+  // Dangling references; patterns anchored with ^ only count at the start of the text.
+  // detection.danglingReferencePatterns in the scoring config replaces this list.
+  DANGLING_REFERENCE_PATTERNS: [
+    '^(this|that|these|those)\\b',
+    '^(it|its|they|their|them)\\b',
+    '^the (above|previous|preceding)\\b',
+    '^as (mentioned|noted|described|shown|discussed|explained)\\b',
+    '^(see|refer to) (above|the above|the previous)\\b',
+    '\\bas (mentioned|noted|described|shown|discussed|explained) (above|earlier|before|previously)\\b',
+    '\\bsee (above|previous)\\b',
+    '\\bthe above\\b',
+    '\\bprevious (section|question|answer)\\b',
+    '\\bclick here\\b',
+    '\\b(this|below) link\\b'
+  ],
+
   /**
    * Validate the structure of extracted content
    * @param {Object} content - Raw content from bookmarklet
@@ -46,13 +65,222 @@ const Parser = {
       throw new Error(`Invalid content: ${validation.errors.join(', ')}`);
     }
 
-    return {
+    // Payloads with document-order blocks get their section map and structure arrays from the tree
+    const tree = this.buildTree(content);
+    const enriched = {
       ...content,
-      metrics: this.computeMetrics(content),
+      ...(content.blocks ? this.deriveFromTree(tree, content) : {}),
+      tree
+    };
+
+    return {
+      ...enriched,
+      metrics: this.computeMetrics(enriched),
       normalized: true
     };
   },
 
+  /**
+   * Get the document tree, building it when the content was not normalized
+   * @param {Object} content - Content
+   * @returns {Object} Tree with sections of ordered blocks
+   */
+  getTree(content) {
+    return content.tree || this.buildTree(content);
+  },
+
+  /**
+   * Turn a pre-block payload into blocks: section maps keep order through positions,
+   * flat structure arrays only keep order within each type
+   * @param {Object} content - Validated content
+   * @returns {Array} Raw blocks
+   */
+  getLegacyBlocks(content) {
+    const { structure } = content;
+    // Older section maps have no callouts; place page callouts by the paragraphs they wrap
+    const withCallouts = section => (section.callouts ? section : {
+      ...section,
+      callouts: (structure.callouts || [])
+        .map(callout => ({
+          ...callout,
+          wraps: (section.paragraphs || []).find(p => callout.text.includes(p.text) || p.text.includes(callout.text))
+        }))
+        .filter(callout => callout.wraps)
+        .map(({ wraps, ...callout }) => ({ ...callout, position: (wraps.position ?? 0) - 0.5 }))
+    });
+    const toBlocks = section => [
+      ...(section.paragraphs || []).map(p => ({ type: 'paragraph', text: p.text, position: p.position })),
+      ...(section.lists || []).map(list => ({ type: 'list', listType: list.type, items: list.items, position: list.position })),
+      ...(section.tables || []).map(table => ({
+        type: 'table',
+        caption: table.caption || null,
+        headers: table.headers || [],
+        rows: table.rows || [],
+        rowCount: table.rowCount,
+        position: table.position
+      })),
+      ...(section.codeBlocks || []).map(block => ({ type: 'code', text: block.content, language: block.language || 'unknown', position: block.position })),
+      ...(section.callouts || []).map(callout => ({ type: 'callout', calloutType: callout.type, text: callout.text, position: callout.position }))
+    ]
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .concat((section.images || []).map(image => ({ type: 'image', ...image })));
+
+    if (content.sections && content.sections.length > 0) {
+      // The first section stands in for the page title when the page opens without a heading
+      const implicitTitle = content.meta.title || 'Introduction';
+      return content.sections.flatMap((section, index) => [
+        ...(index === 0 && section.level === 1 && section.title === implicitTitle
+          ? []
+          : [{ type: 'heading', level: section.level, text: section.title }]),
+        ...toBlocks(withCallouts(section))
+      ]);
+    }
+
+    return toBlocks({
+      paragraphs: structure.paragraphs,
+      lists: structure.lists,
+      tables: structure.tables,
+      codeBlocks: (structure.codeBlocks || []).filter(block => block.type !== 'inline'),
+      callouts: structure.callouts || [],
+      images: structure.images
+    });
+  },
+
+  /**
+   * Build the document tree: sections in reading order, each with its blocks
+   * Every block keeps its type, text, DOM path (when extracted with one), and character
+   * offsets into the page's full text; blocks inside a callout are marked inCallout
+   * @param {Object} content - Validated content
+   * @returns {Object} Tree with sections [{title, level, heading, blocks, wordCount}]
+   */
+  buildTree(content) {
+    const fullText = content.text.fullText || '';
+    const countWords = text => text.split(/\s+/).filter(w => w.length > 0).length;
+    const blockText = block => {
+      if (block.type === 'list') return block.items.join(' ');
+      if (block.type === 'table') return [...(block.headers || []), ...(block.rows || []).flat()].join(' ');
+      if (block.type === 'image') return block.alt || '';
+      return block.text || '';
+    };
+    const firstPart = block => (block.type === 'list' ? block.items[0]
+      : block.type === 'table' ? [...(block.headers || []), ...(block.rows || []).flat()][0]
+        : blockText(block)) || '';
+
+    // Offsets are searched forward from the previous block, so repeated text maps to the next copy;
+    // a callout's inner paragraphs start where the callout does
+    let cursor = 0;
+    const locate = block => {
+      const text = blockText(block).replace(/\s+/g, ' ').trim();
+      const probe = firstPart(block).replace(/\s+/g, ' ').trim().substring(0, 60);
+      if (!probe) return null;
+      const start = fullText.indexOf(probe, cursor);
+      if (start < 0) return null;
+      cursor = block.type === 'callout' ? start : start + 1;
+      return { start, end: Math.min(fullText.length, start + text.length) };
+    };
+
+    const sections = [];
+    let current = { title: content.meta.title || 'Introduction', level: 1, heading: null, blocks: [], wordCount: 0 };
+    let callout = null;
+
+    (content.blocks || this.getLegacyBlocks(content)).forEach(raw => {
+      const path = raw.path || null;
+      const offset = locate(raw);
+
+      if (raw.type === 'heading') {
+        sections.push(current);
+        current = {
+          title: raw.text,
+          level: raw.level,
+          heading: { text: raw.text, level: raw.level, path, offset },
+          blocks: [],
+          wordCount: 0
+        };
+        callout = null;
+        return;
+      }
+
+      const text = blockText(raw);
+      const inCallout = !!callout && raw.type !== 'callout' && (path && callout.path
+        ? path === callout.path || path.startsWith(`${callout.path} > `)
+        : raw.type === 'paragraph' && callout.text.includes(text.replace(/\s+/g, ' ').trim()));
+      const block = { ...raw, path, offset, wordCount: countWords(text), inCallout };
+      delete block.position;
+      current.blocks.push(block);
+
+      if (raw.type === 'callout') {
+        callout = block;
+      } else if (!inCallout) {
+        callout = null;
+      }
+      if (raw.type === 'paragraph' || raw.type === 'list') {
+        current.wordCount += block.wordCount;
+      }
+    });
+    sections.push(current);
+
+    // The implicit first section only exists when content comes before the first heading
+    return { sections: sections.filter(section => section.heading || section.blocks.length > 0) };
+  },
+
+  /**
+   * Derive the per-type structure arrays and the section map from the tree, for rules that
+   * predate it. Inline code, disclosures, and links are extracted directly and kept as they are
+   * @param {Object} tree - Result of buildTree
+   * @param {Object} content - Validated content
+   * @returns {Object} structure and sections
+   */
+  deriveFromTree(tree, content) {
+    const structure = { headings: [], paragraphs: [], lists: [], images: [], tables: [], callouts: [] };
+    const sections = [];
+    let position = 0;
+
+    tree.sections.forEach(section => {
+      if (section.heading) {
+        structure.headings.push({ level: `h${section.heading.level}`, text: section.heading.text, index: structure.headings.length });
+      }
+      const mapped = { title: section.title, level: section.level, paragraphs: [], lists: [], images: [], tables: [], codeBlocks: [], callouts: [], wordCount: section.wordCount };
+
+      section.blocks.forEach(block => {
+        if (block.type === 'paragraph') {
+          structure.paragraphs.push({ text: block.text, wordCount: block.wordCount, index: structure.paragraphs.length });
+          mapped.paragraphs.push({ text: block.text, wordCount: block.wordCount, position: position++ });
+        } else if (block.type === 'list') {
+          structure.lists.push({ type: block.listType, items: block.items, itemCount: block.items.length, index: structure.lists.length });
+          mapped.lists.push({ type: block.listType, items: block.items, itemCount: block.items.length, position: position++ });
+        } else if (block.type === 'table') {
+          const rows = block.rows || [];
+          const headers = block.headers || [];
+          structure.tables.push({
+            caption: block.caption || null,
+            headers,
+            rows,
+            rowCount: rows.length,
+            columnCount: headers.length || (rows[0] ? rows[0].length : 0),
+            index: structure.tables.length
+          });
+          mapped.tables.push({ rowCount: rows.length, position: position++ });
+        } else if (block.type === 'code') {
+          mapped.codeBlocks.push({ content: block.text, position: position++ });
+        } else if (block.type === 'callout') {
+          structure.callouts.push({ type: block.calloutType, text: block.text, index: structure.callouts.length });
+          mapped.callouts.push({ type: block.calloutType, text: block.text, position: position++ });
+        } else if (block.type === 'image') {
+          const hasAlt = !!block.alt && block.alt.trim().length > 0;
+          structure.images.push({ src: block.src, alt: block.alt || null, hasAlt, width: block.width, height: block.height, index: structure.images.length });
+          mapped.images.push({ hasAlt });
+        }
+      });
+
+      if (section.blocks.length > 0) sections.push(mapped);
+    });
+
+    return {
+      structure: { ...content.structure, ...structure },
+      sections
+    };
+  },
+
   /**
    * Compute metrics from the content structure
    * @param {Object} content - Validated content
@@ -63,7 +291,7 @@ const Parser = {
 
     // Paragraph metrics
     const paragraphLengths = structure.paragraphs.map(p => p.wordCount);
-    const paragraphThreshold = window.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-01']?.threshold || 150;
+    const paragraphThreshold = globalThis.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-01']?.threshold || 150;
     const longParagraphs = structure.paragraphs.filter(p => p.wordCount > paragraphThreshold);
     const avgParagraphLength = paragraphLengths.length > 0
       ? paragraphLengths.reduce((a, b) => a + b, 0) / paragraphLengths.length
@@ -123,17 +351,10 @@ const Parser = {
 
     // List metrics
     const totalListItems = structure.lists.reduce((sum, list) => sum + list.itemCount, 0);
-    const proceduralVerbPattern = /^(click|select|choose|open|go to|enter|type|add|remove|delete|enable|disable|run|install|configure|create|update|save|set|navigate|verify|copy|paste|upload|download|edit|apply|start|stop|restart|connect|sign in|log in|sign out|logout)\b/i;
-    const isProceduralItem = text =>
-      proceduralVerbPattern.test(text.trim()) || /^step\s+\d+/i.test(text.trim());
-    const listAnalysis = structure.lists.map(list => {
-      const proceduralItems = list.items.filter(item => isProceduralItem(item)).length;
-      const procedural = list.type === 'ol' || proceduralItems >= Math.max(1, Math.ceil(list.items.length * 0.3));
-      return {
-        type: list.type,
-        procedural
-      };
-    });
+    const listAnalysis = structure.lists.map(list => ({
+      type: list.type,
+      procedural: this.isProceduralList(list)
+    }));
     const orderedCount = listAnalysis.filter(list => list.type === 'ol').length;
     const proceduralCount = listAnalysis.filter(list => list.procedural).length;
     const descriptiveCount = listAnalysis.length - proceduralCount;
@@ -235,10 +456,211 @@ const Parser = {
           reason: link.reason,
           index: link.index
         }))
+      },
+      freshness: this.computeFreshness(content),
+      procedures: this.computeProcedures(content)
+    };
+  },
+
+  /**
+   * Find a first step that refers to something the reader must already have made
+   * ("Open the form you created", "Select the previously saved view")
+   * @param {string} step - Step text
+   * @returns {Object|null} Matched phrase and the noun it assumes, or null
+   */
+  getAssumedState(step) {
+    const verbs = 'created|added|set up|configured|saved|made|imported|defined|built|installed|enabled|uploaded|generated|copied';
+    const afterNoun = new RegExp(`\\b(?:the|your)\\s+(?:[\\w-]+\\s+){0,2}?([\\w-]+)\\s+(?:that\\s+|which\\s+)?you(?:'ve|\\s+have)?\\s+(?:previously\\s+|already\\s+|just\\s+|earlier\\s+)?(?:${verbs})\\b`, 'i');
+    const beforeNoun = new RegExp(`\\b(?:the|your)\\s+(?:previously|already|newly|recently)\\s+(?:${verbs})\\s+([\\w-]+)`, 'i');
+    const match = step.match(afterNoun) || step.match(beforeNoun);
+    return match ? { phrase: match[0], noun: match[1].toLowerCase() } : null;
+  },
+
+  /**
+   * Find procedures and the prerequisite blocks that precede them (PP-04)
+   * Prerequisite blocks are "Prerequisites" / "Before you begin" / "Requirements" sections,
+   * callouts with that intent, or a lead-in sentence in the procedure's own section.
+   * A first step that assumes earlier work is established when earlier text creates the
+   * thing it names, or a prerequisite block mentions it
+   * @param {Object} content - Validated content
+   * @returns {Array} Procedures with section, steps, first step, prerequisite, and assumed state
+   */
+  computeProcedures(content) {
+    const headingPattern = /^(prerequisites?|pre-requisites?|before you (begin|start)|requirements|what you('ll| will)? need)\b/i;
+    const intentPattern = /^(prerequisites?|before you (begin|start)|requirements?)\b|\b(before you (begin|start)|make sure (that )?you|ensure (that )?you|you (must|need to|should) (first|already)|you (must|need to) have)\b/i;
+    const procedures = [];
+    let pagePrerequisite = null;
+    let prerequisiteText = '';
+    let seenText = '';
+
+    this.getTree(content).sections.forEach(section => {
+      const parts = section.blocks
+        .filter(block => ['paragraph', 'list', 'callout'].includes(block.type))
+        .map(block => (block.type === 'list'
+          ? { kind: 'list', list: { type: block.listType, items: block.items }, text: block.items.join('\n') }
+          : { kind: block.type, text: block.text }));
+
+      if (headingPattern.test((section.title || '').trim())) {
+        pagePrerequisite = { type: 'section', title: section.title };
+        prerequisiteText += `\n${parts.map(part => part.text).join('\n')}`;
+        seenText += `\n${section.title}\n${parts.map(part => part.text).join('\n')}`;
+        return;
       }
+
+      seenText += `\n${section.title || ''}`;
+      let localPrerequisite = null;
+      parts.forEach(part => {
+        if (part.kind !== 'list') {
+          if (intentPattern.test(part.text)) {
+            localPrerequisite = { type: part.kind === 'callout' ? 'callout' : 'lead-in', text: part.text.substring(0, 160) };
+            prerequisiteText += `\n${part.text}`;
+          }
+          seenText += `\n${part.text}`;
+          return;
+        }
+
+        if (this.isProceduralList(part.list) && part.list.items.length >= 2) {
+          const firstStep = part.list.items[0];
+          const assumed = this.getAssumedState(firstStep);
+          if (assumed) {
+            const noun = assumed.noun.replace(/s$/, '');
+            const created = new RegExp(`\\b(create|add|set up|configure|save|make|import|define|build|install|enable|upload|generate|copy)\\w*\\b[^.!?\\n]*\\b${noun}s?\\b`, 'i');
+            assumed.established = created.test(seenText) || new RegExp(`\\b${noun}s?\\b`, 'i').test(prerequisiteText);
+          }
+          procedures.push({
+            section: section.title,
+            steps: part.list.items.length,
+            firstStep,
+            prerequisite: localPrerequisite || pagePrerequisite,
+            assumedState: assumed
+          });
+        }
+        seenText += `\n${part.text}`;
+      });
+    });
+
+    return procedures;
+  },
+
+  /**
+   * Parse a date from an attribute value or visible text
+   * Handles ISO dates and "12 March 2024" / "March 12, 2024" / "March 2024" forms
+   * @param {string} value - Date string
+   * @returns {Date|null} Parsed date
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+      const date = new Date(Date.UTC(+iso[1], +iso[2] - 1, +iso[3]));
+      return isNaN(date) ? null : date;
+    }
+
+    const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const monthName = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+    const patterns = [
+      { regex: new RegExp(`\\b(\\d{1,2})\\s+${monthName},?\\s+(\\d{4})\\b`, 'i'), day: 1, month: 2, year: 3 },
+      { regex: new RegExp(`\\b${monthName}\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'i'), month: 1, day: 2, year: 3 },
+      { regex: new RegExp(`\\b${monthName}\\s+(\\d{4})\\b`, 'i'), month: 1, year: 2 }
+    ];
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern.regex);
+      if (match) {
+        const month = months.indexOf(match[pattern.month].toLowerCase().slice(0, 3));
+        const day = pattern.day ? parseInt(match[pattern.day], 10) : 1;
+        return new Date(Date.UTC(parseInt(match[pattern.year], 10), month, day));
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Find date and version signals (GAP-04)
+   * @param {Object} content - Validated content
+   * @returns {Object} Last-updated date, dated statements, versions, and release note references
+   */
+  computeFreshness(content) {
+    const { structure, text, meta } = content;
+    const fullText = text.fullText || '';
+    const toIsoDate = date => date.toISOString().slice(0, 10);
+    const dateText = '((?:\\d{4}-\\d{2}-\\d{2})|(?:\\d{1,2}\\s+[A-Z][a-z]+\\.?,?\\s+\\d{4})|(?:[A-Z][a-z]+\\.?\\s+(?:\\d{1,2},?\\s+)?\\d{4}))';
+
+    let lastUpdated = this.parseDate(meta.lastUpdated);
+    let source = lastUpdated ? (meta.frontmatter && meta.frontmatter.lastUpdated ? 'frontmatter' : 'page') : null;
+
+    // Fall back to "Last updated on ..." written in the article text
+    if (!lastUpdated) {
+      const updatedMatch = fullText.match(new RegExp(`\\b(?:last\\s+)?(?:updated|modified|reviewed)(?:\\s+on)?:?\\s*${dateText}`, 'i'));
+      if (updatedMatch) {
+        lastUpdated = this.parseDate(updatedMatch[1]);
+        source = lastUpdated ? 'text' : null;
+      }
+    }
+
+    // Dated statements such as "As of January 2025"
+    const asOfDates = Array.from(fullText.matchAll(new RegExp(`\\bas of\\s+${dateText}`, 'gi')))
+      .map(match => this.parseDate(match[1]))
+      .filter(Boolean)
+      .map(toIsoDate);
+
+    const versions = new Set();
+    if (meta.docVersion) versions.add(meta.docVersion);
+    for (const match of fullText.matchAll(/\b(?:version\s+|v)(\d+(?:\.\d+){0,2})\b|\b(?:api|sdk)\s+v?(\d+(?:\.\d+)?)\b/gi)) {
+      versions.add(match[0].trim());
+    }
+
+    const releaseNotePattern = /release[\s-]?notes?|changelog|what'?s new/i;
+    const releaseNoteRefs = structure.links.filter(link => releaseNotePattern.test(`${link.text} ${link.href}`)).length +
+      (fullText.match(new RegExp(releaseNotePattern.source, 'gi')) || []).length;
+
+    // Batch extraction does not tag code blocks, so treat multi-line code as a block there
+    const technical = structure.codeBlocks.some(block => block.type ? block.type === 'block' : block.content.includes('\n')) ||
+      /\b(api|sdk|endpoint|webhook|oauth|rest|json)\b/i.test(`${meta.title || ''} ${structure.headings.map(h => h.text).join(' ')}`);
+
+    return {
+      lastUpdated: lastUpdated ? toIsoDate(lastUpdated) : null,
+      lastUpdatedRaw: meta.lastUpdated || null,
+      source,
+      asOfDates,
+      versions: Array.from(versions).slice(0, 5),
+      releaseNoteRefs,
+      technical
     };
   },
 
+  /**
+   * Check whether a list is a procedure: ordered, or mostly imperative steps
+   * @param {Object} list - List with type and items
+   * @returns {boolean} True for procedural lists
+   */
+  isProceduralList(list) {
+    const isProceduralItem = text =>
+      this.PROCEDURAL_VERB_PATTERN.test(text.trim()) || /^step\s+\d+/i.test(text.trim());
+    const proceduralItems = list.items.filter(item => isProceduralItem(item)).length;
+    return list.type === 'ol' || proceduralItems >= Math.max(1, Math.ceil(list.items.length * 0.3));
+  },
+
+  /**
+   * Find a dangling reference: a pronoun opening or a pointer to content elsewhere on the page
+   * Used by section openings (GAP-03), FAQ answers, and chunk simulation
+   * @param {string} text - Sentence or answer to check
+   * @param {Object} options - skipOpenings ignores the ^-anchored pronoun openings
+   * @returns {string|null} Matched text, or null when the text stands on its own
+   */
+  findDanglingReference(text, options = {}) {
+    const patterns = globalThis.ScoringConfig?.detection?.danglingReferencePatterns || this.DANGLING_REFERENCE_PATTERNS;
+    for (const source of patterns) {
+      if (options.skipOpenings && source.startsWith('^')) continue;
+      const match = (text || '').trim().match(new RegExp(source, 'i'));
+      if (match) return match[0];
+    }
+    return null;
+  },
+
   /**
    * Validate heading hierarchy (h1 -> h2 -> h3, no skipping levels)
    * @param {number[]} levels - Array of heading levels
@@ -287,100 +709,67 @@ const Parser = {
   },
 
   /**
-   * Extract text suitable for Claude analysis
+   * Extract text suitable for Claude analysis, in the page's reading order
    * @param {Object} content - Normalized content
    * @returns {string} Cleaned text for analysis
    */
   getTextForAnalysis(content) {
-    const sections = [];
+    const lines = [];
+    const maxTables = 3;
+    const maxRows = 3;
+    const maxCodeBlocks = 3;
+    const normalizeCell = value => value.replace(/\s+/g, ' ').trim();
+    const formatRow = row => `| ${row.map(normalizeCell).join(' | ')} |`;
+    let tableCount = 0;
+    let codeCount = 0;
 
     // Add title
     if (content.meta.title) {
-      sections.push(`# ${content.meta.title}`);
+      lines.push(`# ${content.meta.title}`);
     }
 
-    // Add structured content with headings preserved
-    if (content.structure.headings.length > 0) {
-      let currentText = '';
-
-      for (const heading of content.structure.headings) {
-        const prefix = '#'.repeat(parseInt(heading.level.replace('h', '')));
-        currentText += `\n\n${prefix} ${heading.text}`;
+    this.getTree(content).sections.forEach(section => {
+      if (section.heading) {
+        lines.push('', `${'#'.repeat(section.heading.level)} ${section.heading.text}`);
       }
 
-      sections.push(currentText);
-    }
-
-    // Add paragraphs
-    if (content.structure.paragraphs.length > 0) {
-      sections.push('\n## Content Paragraphs:');
-      content.structure.paragraphs.forEach((p, i) => {
-        sections.push(`[P${i + 1}] ${p.text}`);
-      });
-    }
-
-    // Add lists
-    if (content.structure.lists.length > 0) {
-      sections.push('\n## Lists:');
-      content.structure.lists.forEach((list, i) => {
-        sections.push(`[List ${i + 1} - ${list.type}]`);
-        list.items.forEach((item, j) => {
-          const marker = list.type === 'ol' ? `${j + 1}.` : '-';
-          sections.push(`  ${marker} ${item}`);
-        });
-      });
-    }
-
-    // Add callouts/notes
-    if (content.structure.callouts && content.structure.callouts.length > 0) {
-      sections.push('\n## Callouts:');
-      content.structure.callouts.forEach((callout, i) => {
-        sections.push(`[Callout ${i + 1} - ${callout.type}] ${callout.text}`);
-      });
-    }
-
-    // Add tables (limited rows for brevity)
-    if (content.structure.tables.length > 0) {
-      const maxTables = 3;
-      const maxRows = 3;
-      const normalizeCell = value => value.replace(/\s+/g, ' ').trim();
-      const formatRow = row => `| ${row.map(normalizeCell).join(' | ')} |`;
-
-      content.structure.tables.slice(0, maxTables).forEach((table, i) => {
-        const title = table.caption ? ` - ${table.caption}` : '';
-        sections.push(`\n## Table ${i + 1}${title}`);
-        if (table.headers && table.headers.length > 0) {
-          sections.push(formatRow(table.headers));
-          sections.push(`| ${table.headers.map(() => '---').join(' | ')} |`);
-        }
-        if (table.rows && table.rows.length > 0) {
-          table.rows.slice(0, maxRows).forEach(row => {
+      section.blocks.forEach(block => {
+        // The callout block already carries the text of the paragraphs inside it
+        if (block.inCallout) return;
+
+        if (block.type === 'paragraph') {
+          lines.push('', block.text);
+        } else if (block.type === 'list') {
+          lines.push('');
+          block.items.forEach((item, j) => {
+            const marker = block.listType === 'ol' ? `${j + 1}.` : '-';
+            lines.push(`${marker} ${item}`);
+          });
+        } else if (block.type === 'callout') {
+          lines.push('', `[${block.calloutType.charAt(0).toUpperCase()}${block.calloutType.slice(1)}] ${block.text}`);
+        } else if (block.type === 'table' && tableCount < maxTables) {
+          // Tables keep a few rows for brevity
+          tableCount += 1;
+          lines.push('', `[Table ${tableCount}${block.caption ? ` - ${block.caption}` : ''}]`);
+          if (block.headers && block.headers.length > 0) {
+            lines.push(formatRow(block.headers));
+            lines.push(`| ${block.headers.map(() => '---').join(' | ')} |`);
+          }
+          (block.rows || []).slice(0, maxRows).forEach(row => {
             if (row.length > 0) {
-              sections.push(formatRow(row));
+              lines.push(formatRow(row));
             }
           });
+        } else if (block.type === 'code' && codeCount < maxCodeBlocks) {
+          codeCount += 1;
+          const language = block.language && block.language !== 'unknown' ? block.language : '';
+          const trimmed = block.text.length > 500 ? `${block.text.slice(0, 500)}...` : block.text;
+          lines.push('', `\`\`\`${language}`, trimmed, '```');
         }
       });
-    }
-
-    // Add code blocks (block-level only, limited)
-    if (content.structure.codeBlocks.length > 0) {
-      const blockCode = content.structure.codeBlocks.filter(block => block.type !== 'inline');
-      if (blockCode.length > 0) {
-        const maxCodeBlocks = 3;
-        sections.push('\n## Code Blocks:');
-        blockCode.slice(0, maxCodeBlocks).forEach((block, i) => {
-          const language = block.language && block.language !== 'unknown' ? block.language : '';
-          const trimmed = block.content.length > 500 ? `${block.content.slice(0, 500)}...` : block.content;
-          sections.push(`[Code ${i + 1}]`);
-          sections.push(`\`\`\`${language}`);
-          sections.push(trimmed);
-          sections.push('```');
-        });
-      }
-    }
+    });
 
-    return sections.join('\n').trim();
+    return lines.join('\n').trim();
   }
 };
 
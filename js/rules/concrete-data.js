@@ -0,0 +1,245 @@
+/**
+ * Concrete Data Rule-Based Scoring (CAT-11, GAP-05)
+ * Compares vague quantifiers near limit-related nouns with explicit numeric limits
+ */
+
+const ConcreteDataRules = {
+  VAGUE_QUANTIFIERS: [
+    'a number of', 'a lot of', 'lots of', 'a few', 'many', 'several', 'few', 'numerous',
+    'large', 'huge', 'big', 'small', 'quickly', 'fast', 'slow', 'slowly', 'limited',
+    'frequently', 'periodically', 'a while'
+  ],
+
+  LIMIT_NOUNS: [
+    'files?', 'attachments?', 'uploads?', 'imports?', 'exports?', 'size', 'storage', 'data',
+    'records?', 'rows?', 'columns?', 'fields?', 'users?', 'contacts?', 'items?', 'emails?',
+    'characters?', 'requests?', 'api calls?', 'calls?', 'limits?', 'quota',
+    'seconds?', 'minutes?', 'hours?', 'days?', 'time'
+  ],
+
+  UNIT_PATTERN: /\b\d[\d,]*(\.\d+)?\s?(%|kb|mb|gb|tb|seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|months?|years?|records?|users?|files?|rows?|columns?|fields?|characters?|requests?|api calls?|calls?|emails?|attachments?|contacts?|items?|times?)(?![a-z])/i,
+
+  UNBACKED_QUALIFIER_PATTERN: /\b(significantly|greatly|dramatically|substantially|considerably|vastly|massively|much (faster|slower|better|easier|larger|smaller|quicker))\b/i,
+
+  SIZE_NOUNS: /^(files?|attachments?|uploads?|imports?|exports?|size|storage|data)$/i,
+
+  TIME_NOUNS: /^(seconds?|minutes?|hours?|days?|time)$/i,
+
+  /**
+   * Build the vague-quantifier-near-noun patterns
+   * Matches "large files" / "a few minutes" and "files that are too large"
+   * @returns {RegExp[]} Patterns with named groups vague and noun
+   */
+  getVaguePatterns() {
+    if (!this.vaguePatterns) {
+      const vague = this.VAGUE_QUANTIFIERS.map(word => word.replace(/ /g, '\\s+')).join('|');
+      const nouns = this.LIMIT_NOUNS.map(noun => noun.replace(/ /g, '\\s+')).join('|');
+      this.vaguePatterns = [
+        new RegExp(`\\b(?<vague>${vague})\\s+(?:\\w+\\s+){0,2}?(?<noun>${nouns})\\b`, 'i'),
+        new RegExp(`\\b(?<noun>${nouns})\\s+(?:\\w+\\s+){0,3}?(?<vague>${vague})\\b`, 'i')
+      ];
+    }
+    return this.vaguePatterns;
+  },
+
+  /**
+   * Split text into sentences
+   * @param {string} text - Text to split
+   * @returns {string[]} Sentences
+   */
+  splitSentences(text) {
+    return (text.match(/[^.!?]+[.!?]+|[^.!?]+$/g) || []).map(s => s.trim()).filter(s => s.length > 0);
+  },
+
+  /**
+   * Collect sentences from paragraphs and list items with their locations
+   * @param {Object} content - Normalized content
+   * @returns {Array} Sentences with text and location
+   */
+  collectSentences(content) {
+    const sentences = [];
+    content.structure.paragraphs.forEach(p => {
+      this.splitSentences(p.text).forEach(text => sentences.push({ text, location: `Paragraph ${p.index + 1}` }));
+    });
+    content.structure.lists.forEach(list => {
+      list.items.forEach((item, i) => {
+        this.splitSentences(item).forEach(text => sentences.push({ text, location: `List ${list.index + 1}, item ${i + 1}` }));
+      });
+    });
+    return sentences;
+  },
+
+  /**
+   * Suggest a numeric replacement for a vague phrase
+   * @param {string} vague - Vague quantifier
+   * @param {string} noun - Limit noun
+   * @param {boolean} nounFirst - Whether the noun came before the quantifier
+   * @returns {string} Replacement text with [N] placeholders
+   */
+  suggestReplacement(vague, noun, nounFirst) {
+    const word = vague.toLowerCase().replace(/\s+/g, ' ');
+    const isSize = this.SIZE_NOUNS.test(noun);
+    const isTime = this.TIME_NOUNS.test(noun);
+    const timeUnit = noun.toLowerCase() === 'time' ? 'minutes' : noun.toLowerCase();
+
+    if (['quickly', 'fast'].includes(word)) return nounFirst ? `within [N] seconds` : `${noun} of under [N] seconds`;
+    if (['slow', 'slowly', 'a while'].includes(word)) return nounFirst ? `about [N] minutes` : `${noun} of about [N] minutes`;
+    if (['frequently', 'periodically'].includes(word)) return nounFirst ? `every [N] hours` : `every [N] hours, ${noun}`;
+
+    if (['large', 'huge', 'big'].includes(word)) {
+      if (nounFirst) return isSize ? 'larger than [N] MB' : `more than [N]`;
+      return isSize ? `${noun} over [N] MB` : `more than [N] ${noun}`;
+    }
+    if (word === 'small') {
+      if (nounFirst) return isSize ? 'smaller than [N] MB' : `fewer than [N]`;
+      return isSize ? `${noun} under [N] MB` : `fewer than [N] ${noun}`;
+    }
+    if (word === 'limited') {
+      if (nounFirst) return isSize ? 'limited to [N] MB' : `limited to [N] ${noun}`;
+      return isSize ? `[N] GB of ${noun}` : `up to [N] ${noun}`;
+    }
+
+    // Count quantifiers: many, several, a few, numerous, ...
+    if (nounFirst) return 'more than [N]';
+    if (isTime) return `[N] ${timeUnit}`;
+    return `up to [N] ${noun}`;
+  },
+
+  /**
+   * Suggest a rewrite that replaces an unbacked qualifier with a figure
+   * "much faster" -> "[N]% faster"; "significantly improves X." -> "improves X by [N]%."
+   * @param {string} sentence - Original sentence
+   * @param {string} qualifier - Matched qualifier
+   * @returns {string} Suggested sentence
+   */
+  suggestQualifierRewrite(sentence, qualifier) {
+    if (/^much\s/i.test(qualifier)) {
+      return sentence.replace(qualifier, qualifier.replace(/^much\s+/i, '[N]% '));
+    }
+    return sentence
+      .replace(new RegExp(`\\s*\\b${qualifier}\\b`), '')
+      .replace(/([.!?])?$/, ' by [N]%$1');
+  },
+
+  /**
+   * Score explicit limits vs vague quantifiers (CD-01)
+   * @param {Array} sentences - Sentences with locations
+   * @returns {Object} Score and issues
+   */
+  scoreExplicitLimits(sentences) {
+    const issues = [];
+    let explicit = 0;
+    const vague = [];
+
+    sentences.forEach(sentence => {
+      // A sentence that already gives a number with a unit is explicit, even if it also says "large"
+      if (this.UNIT_PATTERN.test(sentence.text)) {
+        explicit += 1;
+        return;
+      }
+      // Use whichever order matches first ("Storage is limited for free users" is about storage)
+      const [forward, nounFirstMatch] = this.getVaguePatterns().map(pattern => sentence.text.match(pattern));
+      const nounFirst = !!nounFirstMatch && (!forward || nounFirstMatch.index < forward.index);
+      const match = nounFirst ? nounFirstMatch : forward;
+      if (!match) return;
+
+      const replacement = this.suggestReplacement(match.groups.vague, match.groups.noun, nounFirst);
+      const target = nounFirst ? match.groups.vague : match[0];
+      vague.push({
+        ...sentence,
+        phrase: match[0],
+        rewrite: sentence.text.replace(target, replacement)
+      });
+    });
+
+    const total = explicit + vague.length;
+    if (total === 0) {
+      return {
+        criterionId: 'CD-01',
+        score: 10,
+        issues: [],
+        details: 'No limit or quantity statements found'
+      };
+    }
+
+    vague.slice(0, 8).forEach(item => {
+      issues.push({
+        severity: 'warning',
+        message: `Vague quantity: "${item.phrase}"`,
+        location: item.location,
+        excerpt: item.text,
+        fix: `State the actual number, for example: "${item.rewrite}"`
+      });
+    });
+
+    if (vague.length > 8) {
+      issues.push({
+        severity: 'info',
+        message: `${vague.length - 8} more vague quantities`,
+        fix: 'Replace words like "large", "many", and "a few" with the actual limits'
+      });
+    }
+
+    return {
+      criterionId: 'CD-01',
+      score: Math.round((explicit / total) * 10),
+      issues,
+      details: `${explicit} of ${total} quantity statements give explicit numbers.`
+    };
+  },
+
+  /**
+   * Score unbacked qualifiers such as "significantly faster" (CD-02)
+   * @param {Array} sentences - Sentences with locations
+   * @returns {Object} Score and issues
+   */
+  scoreUnbackedQualifiers(sentences) {
+    const unbacked = sentences.filter(sentence =>
+      this.UNBACKED_QUALIFIER_PATTERN.test(sentence.text) && !/\d/.test(sentence.text)
+    );
+
+    const issues = unbacked.slice(0, 5).map(sentence => {
+      const qualifier = sentence.text.match(this.UNBACKED_QUALIFIER_PATTERN)[0];
+      return {
+        severity: 'info',
+        message: `Claim without data: "${qualifier}"`,
+        location: sentence.location,
+        excerpt: sentence.text,
+        fix: `Back the claim with a measured figure, for example: "${this.suggestQualifierRewrite(sentence.text, qualifier)}"`
+      };
+    });
+
+    return {
+      criterionId: 'CD-02',
+      score: Math.max(4, 10 - unbacked.length * 2),
+      issues,
+      details: `${unbacked.length} unbacked qualifier(s) found.`
+    };
+  },
+
+  /**
+   * Run all concrete data rules
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results
+   */
+  scoreAll(content) {
+    const results = {
+      categoryId: 'CAT-11',
+      categoryName: 'Concrete Data',
+      criteria: {}
+    };
+
+    const sentences = this.collectSentences(content);
+    results.criteria['CD-01'] = this.scoreExplicitLimits(sentences);
+    results.criteria['CD-02'] = this.scoreUnbackedQualifiers(sentences);
+
+    return RuleHelpers.finishCategory(results, 'concrete-data', {
+      'CD-01': 0.70,
+      'CD-02': 0.30
+    }, 0.5);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ConcreteDataRules;
+}
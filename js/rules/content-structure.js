@@ -1,9 +1,74 @@
 /**
  * Content Structure Rule-Based Scoring
- * Evaluates paragraph length, list usage, and heading hierarchy
+ * Evaluates paragraph length, list usage, step atomicity, heading hierarchy, workflow separation,
+ * duplicated or conflicting instructions, and code example placement
  */
 
 const ContentStructureRules = {
+  // A sentence that introduces the code block after it
+  CODE_LEAD_IN_PATTERN: /:\s*$|\b(example|following|below|sample|snippet|command|code|request|response|run|call|returns?|output|syntax|script|query|endpoint|method|function|file)\b/i,
+
+  // Text after a block that points back at it, so the block came before its step
+  CODE_BACK_REFERENCE_PATTERN: /\b(above|preceding|previous) (code|command|snippet|example|request|script|query|sample)\b|\b(code|command|snippet|example|request|script|query|sample) above\b/i,
+
+  // Sections that collect code away from the steps that use it
+  CODE_SECTION_PATTERN: /^((sample|example) code|code (samples?|examples?|snippets?)|examples?|samples?|snippets?|appendix\b.*)$/i,
+
+  // "the Display Name field", "the Save button"
+  UI_LABEL_PATTERN: /\b((?:[A-Z][\w-]*\s+){0,3}[A-Z][\w-]*)\s+(field|button|tab|menu|option|column|checkbox|dropdown|drop-down|toggle|link)\b/g,
+
+  // snake_case and camelCase field names
+  FIELD_NAME_PATTERN: /\b([a-z][a-z0-9]*(?:_[a-z0-9]+)+|[a-z]{2,}(?:[A-Z][a-z0-9]+)+)\b/g,
+
+  // Joins between actions in one step: ";", ", then", "and then", "and", "then"
+  STEP_JOIN_PATTERN: /\s*;\s*|\s*,\s*(?:and\s+)?(?:then\s+)?|\s+and\s+(?:then\s+)?|\s+then\s+/i,
+
+  // Heading vocabulary and step verbs for each workflow a section can belong to
+  WORKFLOWS: {
+    install: {
+      label: 'Installation and setup',
+      primary: true,
+      heading: /\b(install(ation|ing)?|set ?up|setting up|get(ting)? started|onboarding|prerequisites|requirements|deploy(ment|ing)?|activat(e|ion|ing)|sign(ing)? up)\b/i,
+      verbs: /^(install|download|set up|deploy|activate|sign up|register|upgrade)\b/i
+    },
+    usage: {
+      label: 'Usage',
+      primary: true,
+      heading: /\b(use|using|how to|creat(e|ing)|add(ing)?|edit(ing)?|send(ing)?|shar(e|ing)|manag(e|ing)|work(ing)? with|view(ing)?|import(ing)?|export(ing)?)\b/i,
+      verbs: /^(click|select|choose|open|enter|type|create|add|edit|send|share|view|import|export|upload|save)\b/i
+    },
+    configuration: {
+      label: 'Configuration',
+      primary: true,
+      heading: /\b(configur(e|ation|ing)|settings?|customi[sz](e|ation|ing)|preferences|permissions|mapping)\b/i,
+      verbs: /^(configure|set|customi[sz]e|change|toggle|map|assign|enable|specify)\b/i
+    },
+    uninstall: {
+      label: 'Uninstall',
+      primary: true,
+      // Deleting a record is usage; removing the app or integration is not
+      heading: /\b(uninstall(ing|ation)?|deactivat(e|ing|ion)|disconnect(ing)?|(remov(e|ing|al)|delet(e|ing|ion)|disabl(e|ing)) (of )?(the |an? |your )?(app|extension|integration|plugin|add-?on|connector|account|widget)s?)\b/i,
+      verbs: /^(uninstall|deactivate|disconnect)\b/i
+    },
+    troubleshooting: {
+      label: 'Troubleshooting',
+      primary: false,
+      heading: /\b(troubleshoot(ing)?|errors?|issues?|problems?|faqs?|not working|fix(ing)?|debug(ging)?)\b/i,
+      verbs: /^(check|verify|retry|clear|contact|restart|ensure|make sure)\b/i
+    },
+    reference: {
+      label: 'Reference',
+      primary: false,
+      heading: /\b(reference|parameters?|fields?|attributes?|api|endpoints?|glossary|properties|specifications?|limits|syntax|schema)\b/i,
+      verbs: null
+    }
+  },
+
+  NEGATION_PATTERN: /^(not|never|no|none|cannot|can't|don't|doesn't|didn't|won't|isn't|aren't|shouldn't|mustn't|without)$/,
+
+  // Sub-steps written inline ("1) ... 2) ...", "(a) ... (b) ...") inside one list item
+  SUB_STEP_PATTERN: /(?:^|\s)(?:\(?(?:\d{1,2}|[a-h])\)|\d{1,2}\.)\s+(?=\S)/gi,
+
   /**
    * Score paragraph brevity (CS-01)
    * Flag paragraphs over 150 words
@@ -13,7 +78,7 @@ const ContentStructureRules = {
   scoreParagraphBrevity(metrics) {
     const { paragraphs } = metrics;
     const issues = [];
-    const threshold = window.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-01']?.threshold || 150;
+    const threshold = globalThis.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-01']?.threshold || 150;
 
     // No paragraphs = perfect score (likely all lists/tables)
     if (paragraphs.count === 0) {
@@ -97,7 +162,7 @@ const ContentStructureRules = {
     const issues = [];
 
     // Ideal ratio is ~0.3 (30% lists relative to paragraphs)
-    const idealRatio = window.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-02']?.idealRatio || 0.3;
+    const idealRatio = globalThis.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-02']?.idealRatio || 0.3;
     const actualRatio = lists.listToParagraphRatio;
 
     // No content = neutral score
@@ -161,6 +226,127 @@ const ContentStructureRules = {
     };
   },
 
+  /**
+   * Collect the items of procedural lists as steps, with their section
+   * @param {Object} content - Normalized content
+   * @returns {Array} Steps with section, step number, and text
+   */
+  getProcedureSteps(content) {
+    const sections = content.sections && content.sections.length > 0
+      ? content.sections
+      : [{ title: null, lists: content.structure.lists }];
+
+    return sections.flatMap(section => section.lists
+      .filter(list => Parser.isProceduralList(list))
+      .flatMap(list => list.items.map((text, index) => ({ section: section.title, step: index + 1, text: text.trim() }))));
+  },
+
+  /**
+   * Break one step into its actions and hidden sub-steps
+   * Actions are clauses that open with a procedural verb, joined by "and", "then", commas,
+   * or sentence breaks; sub-steps are inline enumerators or a nested list flattened into the item
+   * @param {string} text - Step text
+   * @returns {Object} Actions, lead-in and sub-steps, sentences, and word count
+   */
+  analyzeStep(text) {
+    const sentences = text
+      .split(/(?<=[.!?])\s+|\n+|(?<=[a-z.:)])(?=[A-Z][a-z]+\s)/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+    const actions = sentences
+      .flatMap(sentence => sentence.split(this.STEP_JOIN_PATTERN))
+      .map(clause => clause.trim().replace(/^then\s+/i, ''))
+      .filter(clause => Parser.PROCEDURAL_VERB_PATTERN.test(clause));
+
+    const markers = Array.from(text.matchAll(this.SUB_STEP_PATTERN));
+    let lead = '';
+    let subSteps = [];
+    if (markers.length >= 2) {
+      [lead, ...subSteps] = text.split(this.SUB_STEP_PATTERN).map(part => part.trim());
+      subSteps = subSteps.filter(Boolean);
+    } else if (sentences.length >= 2 && sentences.filter(sentence => Parser.PROCEDURAL_VERB_PATTERN.test(sentence)).length >= 2 &&
+      /\n|[a-z.:)][A-Z]/.test(text)) {
+      subSteps = sentences;
+    }
+
+    return {
+      actions,
+      lead,
+      subSteps,
+      sentences,
+      wordCount: text.split(/\s+/).filter(Boolean).length
+    };
+  },
+
+  /**
+   * Score step atomicity (CS-03)
+   * Flags steps with more than one action, sub-steps hidden in one item, and steps over
+   * the word limit, each with a suggested split
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null when the page has no procedures
+   */
+  scoreStepAtomicity(content) {
+    const steps = this.getProcedureSteps(content);
+    if (steps.length === 0) return null;
+
+    const maxWords = globalThis.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-03']?.maxWords || 25;
+    const asStep = text => {
+      const trimmed = text.trim().replace(/[.,;:]+$/, '');
+      return `${trimmed.charAt(0).toUpperCase()}${trimmed.slice(1)}.`;
+    };
+    const numbered = parts => parts.map((part, index) => `${index + 1}. ${asStep(part)}`).join(' ');
+
+    const flagged = steps
+      .map(step => ({ ...step, ...this.analyzeStep(step.text) }))
+      .map(step => {
+        if (step.subSteps.length >= 2) {
+          return { ...step, problem: 'nested', split: numbered(step.lead ? [step.lead, ...step.subSteps] : step.subSteps) };
+        }
+        if (step.actions.length >= 2) {
+          return { ...step, problem: 'compound', split: numbered(step.actions) };
+        }
+        if (step.wordCount > maxWords) {
+          return {
+            ...step,
+            problem: 'long',
+            split: step.sentences.length >= 2
+              ? `Keep "${asStep(step.sentences[0])}" as the step and move the rest into a note below it`
+              : `Keep the action and move conditions or explanation into a separate sentence, under ${maxWords} words`
+          };
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    const describe = {
+      nested: step => `Step ${step.step} hides ${step.subSteps.length} sub-steps in one item`,
+      compound: step => `Step ${step.step} combines ${step.actions.length} actions`,
+      long: step => `Step ${step.step} is ${step.wordCount} words (limit ${maxWords})`
+    };
+    const issues = flagged.slice(0, 6).map(step => ({
+      severity: step.problem === 'long' ? 'info' : 'warning',
+      message: describe[step.problem](step),
+      location: step.section ? `Section "${step.section}", step ${step.step}` : `Step ${step.step}`,
+      excerpt: step.text.substring(0, 160),
+      fix: step.problem === 'long' ? step.split : `Split into: ${step.split}`
+    }));
+    if (flagged.length > 6) {
+      issues.push({
+        severity: 'info',
+        message: `${flagged.length - 6} more steps are not atomic`,
+        fix: 'Give every step one action; put sub-steps in their own numbered items'
+      });
+    }
+
+    const count = problem => flagged.filter(step => step.problem === problem).length;
+    return {
+      criterionId: 'CS-03',
+      score: Math.round((1 - flagged.length / steps.length) * 10),
+      issues,
+      details: `${steps.length - flagged.length} of ${steps.length} steps are atomic (compound: ${count('compound')}, hidden sub-steps: ${count('nested')}, over ${maxWords} words: ${count('long')}) (rule-based).`
+    };
+  },
+
   /**
    * Score heading hierarchy (CS-04)
    * Validate proper H1->H2->H3 structure
@@ -264,6 +450,238 @@ const ContentStructureRules = {
     };
   },
 
+  /**
+   * Classify a section by workflow from its heading vocabulary and the verbs its steps open with
+   * A heading match counts as three steps; availability tables lean a section toward reference
+   * @param {Object} section - Content section
+   * @returns {string|null} Workflow key, or null when nothing points to a workflow
+   */
+  classifySection(section) {
+    const units = [
+      ...section.paragraphs.flatMap(p => p.text.split(/(?<=[.!?])\s+/)),
+      ...section.lists.flatMap(list => list.items)
+    ].map(text => text.trim()).filter(Boolean);
+
+    let best = null;
+    let bestScore = 0;
+    Object.entries(this.WORKFLOWS).forEach(([key, workflow]) => {
+      let score = workflow.heading.test(section.title || '') ? 3 : 0;
+      if (workflow.verbs) {
+        score += units.filter(unit => workflow.verbs.test(unit)).length;
+      } else {
+        score += (section.tables || []).length;
+      }
+      if (score > bestScore) {
+        best = key;
+        bestScore = score;
+      }
+    });
+
+    return bestScore >= 2 ? best : null;
+  },
+
+  /**
+   * Score workflow separation (CS-05)
+   * Groups sections by workflow and lowers the score when the page carries several primary
+   * workflows (install, use, configure, uninstall); troubleshooting and reference can sit with any
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null without a section map
+   */
+  scoreWorkflowSeparation(content) {
+    const sections = content.sections || [];
+    if (sections.length < 2) return null;
+
+    const groups = {};
+    let classifiedWords = 0;
+    sections.forEach(section => {
+      const key = this.classifySection(section);
+      if (!key) return;
+      if (!groups[key]) groups[key] = { key, ...this.WORKFLOWS[key], sections: [], words: 0 };
+      groups[key].sections.push(section.title);
+      groups[key].words += section.wordCount || 0;
+      classifiedWords += section.wordCount || 0;
+    });
+
+    // A one-line mention ("To remove the app, see ...") is not a workflow of its own
+    const primary = Object.values(groups).filter(group =>
+      group.primary && (classifiedWords === 0 || group.words / classifiedWords >= 0.1)
+    );
+    const supporting = Object.values(groups).filter(group => !group.primary);
+    const issues = [];
+
+    if (primary.length >= 2) {
+      const listSections = group => group.sections.map(title => `"${title}"`).join(', ');
+      issues.push({
+        severity: 'warning',
+        message: `Page mixes ${primary.length} workflows: ${primary.map(group => group.label).join(', ')}`,
+        details: Object.values(groups).map(group => `${group.label}: ${listSections(group)}`).join('; '),
+        fix: `Split into ${primary.length} pages: ${primary.map(group => `${group.label} (${listSections(group)})`).join('; ')}` +
+          (supporting.length > 0 ? `; keep ${supporting.map(group => group.label.toLowerCase()).join(' and ')} sections with the page they support` : '')
+      });
+    }
+
+    const summary = Object.values(groups).map(group => `${group.label}: ${group.sections.length}`).join(', ');
+    return {
+      criterionId: 'CS-05',
+      score: primary.length <= 1 ? 10 : Math.max(2, 10 - (primary.length - 1) * 3),
+      issues,
+      details: `${primary.length} primary workflow(s); sections by workflow: ${summary || 'none classified'} (rule-based).`
+    };
+  },
+
+  /**
+   * Collect paragraphs and list items as comparable units, with where each one sits
+   * @param {Object} content - Normalized content
+   * @returns {Array} Units with text, tokens, shingles, location, and list key
+   */
+  getInstructionUnits(content) {
+    const { structure } = content;
+    const sections = content.sections && content.sections.length > 0
+      ? content.sections
+      : [{ title: null, paragraphs: structure.paragraphs, lists: structure.lists }];
+    const units = [];
+
+    sections.forEach((section, sectionIndex) => {
+      const prefix = section.title ? `Section "${section.title}", ` : '';
+      section.paragraphs.forEach((p, index) => {
+        units.push({ text: p.text, location: `${prefix}paragraph ${index + 1}`, list: null });
+      });
+      section.lists.forEach((list, listIndex) => {
+        list.items.forEach((item, itemIndex) => {
+          const label = list.type === 'ol' ? `step ${itemIndex + 1}` : `list ${listIndex + 1}, item ${itemIndex + 1}`;
+          units.push({ text: item, location: `${prefix}${label}`, list: `${sectionIndex}:${listIndex}` });
+        });
+      });
+    });
+
+    return units
+      .map(unit => ({ ...unit, text: unit.text.trim(), tokens: unit.text.toLowerCase().match(/[a-z0-9][a-z0-9'.-]*[a-z0-9]|[a-z0-9]/g) || [] }))
+      .filter(unit => unit.tokens.length >= 6)
+      .map(unit => ({ ...unit, shingles: this.getShingles(unit.tokens) }));
+  },
+
+  /**
+   * Build word shingles (overlapping word pairs)
+   * @param {string[]} tokens - Lowercased words
+   * @returns {Set<string>} Shingles
+   */
+  getShingles(tokens) {
+    const shingles = new Set();
+    for (let i = 0; i < tokens.length - 1; i += 1) {
+      shingles.add(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+    return shingles;
+  },
+
+  /**
+   * Describe how two similar units differ, when it is one kind of difference only
+   * Numbers or UI labels that changed on both sides, or a negation on one side, suggest a conflict;
+   * a pair that differs in both a label and a number is a parallel statement ("Free: 10 users")
+   * @param {Object} a - First unit
+   * @param {Object} b - Second unit
+   * @returns {Object|null} Kind and the differing values, or null
+   */
+  getConflict(a, b) {
+    const numbers = unit => new Set(unit.text.match(/\b\d+(?:[.,]\d+)?\b/g) || []);
+    const labels = unit => new Set((unit.text.match(/(?<!^|[.!?]\s)\b[A-Z][\w-]*(?:\s+[A-Z][\w-]*)*/g) || []));
+    const negations = unit => unit.tokens.filter(token => this.NEGATION_PATTERN.test(token)).length;
+    const onlyIn = (left, right) => Array.from(left).filter(value => !right.has(value));
+
+    const numbersA = onlyIn(numbers(a), numbers(b));
+    const numbersB = onlyIn(numbers(b), numbers(a));
+    const labelsA = onlyIn(labels(a), labels(b));
+    const labelsB = onlyIn(labels(b), labels(a));
+    const differs = {
+      number: numbersA.length > 0 && numbersB.length > 0,
+      label: labelsA.length > 0 && labelsB.length > 0,
+      negation: negations(a) !== negations(b)
+    };
+    const kinds = Object.keys(differs).filter(kind => differs[kind]);
+    if (kinds.length !== 1) return null;
+
+    const tokensA = new Set(a.tokens);
+    const tokensB = new Set(b.tokens);
+    if (onlyIn(tokensA, tokensB).length > 3 || onlyIn(tokensB, tokensA).length > 3) return null;
+
+    return {
+      number: { kind: 'number', values: `${numbersA[0]} vs ${numbersB[0]}` },
+      label: { kind: 'UI label', values: `"${labelsA[0]}" vs "${labelsB[0]}"` },
+      negation: { kind: 'negation', values: negations(a) > negations(b) ? 'the first is negated' : 'the second is negated' }
+    }[kinds[0]];
+  },
+
+  /**
+   * Score duplicated and conflicting instructions (CS-06)
+   * Compares every pair of paragraphs and list items by shingle similarity
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null with fewer than two comparable units
+   */
+  scoreDuplication(content) {
+    const units = this.getInstructionUnits(content);
+    if (units.length < 2) return null;
+
+    const config = globalThis.ScoringConfig?.categories?.['content-structure']?.criteria?.['CS-06'] || {};
+    const duplicateThreshold = config.duplicateThreshold || 0.8;
+    const conflictThreshold = config.conflictThreshold || 0.5;
+    const similarity = (a, b) => {
+      let intersection = 0;
+      a.forEach(shingle => {
+        if (b.has(shingle)) intersection += 1;
+      });
+      const union = a.size + b.size - intersection;
+      return union === 0 ? 0 : intersection / union;
+    };
+
+    const duplicates = [];
+    const conflicts = [];
+    for (let i = 0; i < units.length; i += 1) {
+      for (let j = i + 1; j < units.length; j += 1) {
+        const score = similarity(units[i].shingles, units[j].shingles);
+        if (score < conflictThreshold) continue;
+        // Items of one list share a template ("Select the Name field"), so only compare them for duplicates
+        const conflict = units[i].list !== null && units[i].list === units[j].list ? null : this.getConflict(units[i], units[j]);
+        if (conflict) {
+          conflicts.push({ a: units[i], b: units[j], conflict });
+        } else if (score >= duplicateThreshold) {
+          duplicates.push({ a: units[i], b: units[j], similarity: Math.round(score * 100) });
+        }
+      }
+    }
+
+    const quote = text => `"${text.substring(0, 80)}${text.length > 80 ? '...' : ''}"`;
+    const issues = [
+      ...conflicts.slice(0, 5).map(({ a, b, conflict }) => ({
+        severity: 'warning',
+        message: `Possibly conflicting instructions differ in a ${conflict.kind} (${conflict.values})`,
+        location: `${a.location}; ${b.location}`,
+        excerpt: `${quote(a.text)} / ${quote(b.text)}`,
+        fix: 'Make the two instructions agree, or say what makes them different (plan, region, version, or case)'
+      })),
+      ...duplicates.slice(0, 5).map(({ a, b, similarity: percent }) => ({
+        severity: 'info',
+        message: `Near-duplicate instructions (${percent}% similar)`,
+        location: `${a.location}; ${b.location}`,
+        excerpt: `${quote(a.text)} / ${quote(b.text)}`,
+        fix: 'Keep the instruction in one place and refer to it from the other, so the two cannot drift apart'
+      }))
+    ];
+    const hidden = Math.max(0, conflicts.length - 5) + Math.max(0, duplicates.length - 5);
+    if (hidden > 0) {
+      issues.push({
+        severity: 'info',
+        message: `${hidden} more duplicated or conflicting pairs`,
+        fix: 'State each instruction once'
+      });
+    }
+
+    return {
+      criterionId: 'CS-06',
+      score: Math.max(0, 10 - conflicts.length * 2 - duplicates.length),
+      issues,
+      details: `${units.length} paragraphs and list items compared: ${conflicts.length} possible conflict(s), ${duplicates.length} near-duplicate(s) (rule-based).`
+    };
+  },
+
   /**
    * Score link integrity (CS-07)
    * Flag broken internal anchors
@@ -313,12 +731,183 @@ const ContentStructureRules = {
     };
   },
 
+  /**
+   * Find block-level code in document order, with the text around each block
+   * Sections keep document order through positions; without them only the language is known
+   * @param {Object} content - Normalized content
+   * @returns {Array} Blocks with number, language, section, previous and next parts
+   */
+  getCodeExamples(content) {
+    // Batch extraction did not always tag code blocks, so treat multi-line code as a block there
+    const blocks = content.structure.codeBlocks
+      .filter(block => block.type ? block.type === 'block' : block.content.includes('\n'))
+      .map((block, index) => ({ number: index + 1, content: block.content, language: block.language, section: null }));
+
+    (content.sections || []).forEach(section => {
+      const parts = [
+        ...section.paragraphs.map(p => ({ kind: 'paragraph', text: p.text, position: p.position })),
+        ...section.lists.map(list => ({ kind: 'list', text: list.items[list.items.length - 1] || '', firstItem: list.items[0] || '', ordered: list.type === 'ol', position: list.position })),
+        ...(section.tables || []).map(table => ({ kind: 'table', text: '', position: table.position })),
+        ...(section.codeBlocks || []).map(block => ({ kind: 'code', text: block.content, position: block.position }))
+      ].sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+
+      parts.forEach((part, index) => {
+        if (part.kind !== 'code') return;
+        const block = blocks.find(candidate => candidate.section === null && candidate.content === part.text);
+        if (!block) return;
+        block.section = section.title;
+        block.previous = parts[index - 1] || null;
+        block.next = parts[index + 1] || null;
+      });
+    });
+
+    return blocks;
+  },
+
+  /**
+   * Score code example placement (CS-08, GAP-09)
+   * Checks language identifiers, a lead-in sentence before each block, blocks placed
+   * after the step that uses them, and inline code for UI labels and field names
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null when the page has no code
+   */
+  scoreCodeExamples(content) {
+    const { structure } = content;
+    if (!structure.codeBlocks || structure.codeBlocks.length === 0) return null;
+
+    const blocks = this.getCodeExamples(content);
+    const inlineCode = structure.codeBlocks.filter(block => !blocks.some(candidate => candidate.content === block.content));
+    const issues = [];
+    const shares = [];
+    const located = blocks.filter(block => block.section !== null);
+    const hasProcedure = (content.sections || []).some(section =>
+      section.lists.some(list => list.type === 'ol') && !this.CODE_SECTION_PATTERN.test(section.title.trim())
+    );
+    const where = block => block.section ? `Code block ${block.number} (section "${block.section}")` : `Code block ${block.number}`;
+
+    // Language identifiers
+    const unlabeled = blocks.filter(block => !block.language || block.language === 'unknown');
+    if (blocks.length > 0) {
+      shares.push(1 - unlabeled.length / blocks.length);
+    }
+    unlabeled.slice(0, 3).forEach(block => {
+      issues.push({
+        severity: 'info',
+        message: `Code block ${block.number} has no language identifier`,
+        location: where(block),
+        excerpt: block.content.split('\n')[0].substring(0, 80),
+        fix: 'Add a language class (for example class="language-bash") so readers and AI tools know how to run it'
+      });
+    });
+    if (unlabeled.length > 3) {
+      issues.push({
+        severity: 'info',
+        message: `${unlabeled.length - 3} more code blocks have no language identifier`,
+        fix: 'Add a language class to every code block'
+      });
+    }
+
+    // Lead-in sentence right before each block
+    const withoutLeadIn = located.filter(block => {
+      const { previous } = block;
+      if (!previous || previous.kind === 'code' || previous.kind === 'table') return true;
+      const sentences = previous.text.split(/(?<=[.!?])\s+/);
+      const lead = sentences[sentences.length - 1];
+      const codeWords = new Set(block.content.toLowerCase().split(/[^a-z0-9_]+/).filter(word => word.length > 3));
+      return !this.CODE_LEAD_IN_PATTERN.test(lead) &&
+        !lead.toLowerCase().split(/[^a-z0-9_]+/).some(word => codeWords.has(word));
+    });
+    if (located.length > 0) {
+      shares.push(1 - withoutLeadIn.length / located.length);
+    }
+    withoutLeadIn.slice(0, 3).forEach(block => {
+      const { previous } = block;
+      issues.push({
+        severity: 'warning',
+        message: !previous
+          ? `Code block ${block.number} follows its heading with no explanation`
+          : previous.kind === 'code' || previous.kind === 'table'
+            ? `Code block ${block.number} follows another ${previous.kind === 'code' ? 'code block' : 'table'} with no explanation`
+            : `The sentence before code block ${block.number} does not introduce it`,
+        location: where(block),
+        excerpt: previous && (previous.kind === 'paragraph' || previous.kind === 'list') ? previous.text.substring(0, 100) : undefined,
+        fix: 'Add a sentence right before the block that says what it does, ending with a colon (for example "To list all records, run:")'
+      });
+    });
+
+    // Blocks placed after the step that uses them, not gathered elsewhere or ahead of it
+    const misplaced = located.filter(block =>
+      (hasProcedure && this.CODE_SECTION_PATTERN.test(block.section.trim())) ||
+      (block.next && this.CODE_BACK_REFERENCE_PATTERN.test(block.next.kind === 'list' ? block.next.firstItem : block.next.text))
+    );
+    if (located.length > 0) {
+      shares.push(1 - misplaced.length / located.length);
+    }
+    misplaced.slice(0, 3).forEach(block => {
+      const separate = hasProcedure && this.CODE_SECTION_PATTERN.test(block.section.trim());
+      issues.push({
+        severity: 'warning',
+        message: separate
+          ? `Code block ${block.number} is collected in "${block.section}", away from the steps that use it`
+          : `Code block ${block.number} comes before the step that refers to it`,
+        location: where(block),
+        fix: separate
+          ? 'Move the example into the procedure, right after the step that uses it, so both land in the same chunk'
+          : 'Put the step first and the code right after it, instead of pointing back to "the code above"'
+      });
+    });
+
+    // Inline code for UI labels and field names mentioned in prose
+    const prose = [
+      ...structure.paragraphs.map(p => p.text),
+      ...structure.lists.flatMap(list => list.items)
+    ].join('\n');
+    const references = new Set();
+    Array.from(prose.matchAll(this.UI_LABEL_PATTERN)).forEach(match => references.add(match[1].trim()));
+    Array.from(prose.matchAll(this.FIELD_NAME_PATTERN)).forEach(match => references.add(match[1]));
+    const formatted = Array.from(references).filter(reference =>
+      inlineCode.some(block => block.content.includes(reference))
+    );
+    const plain = Array.from(references).filter(reference => !formatted.includes(reference));
+    if (references.size > 0 && inlineCode.length > 0) {
+      shares.push(formatted.length / references.size);
+      if (plain.length > 0) {
+        issues.push({
+          severity: 'info',
+          message: `${plain.length} UI label${plain.length === 1 ? '' : 's'} or field name${plain.length === 1 ? '' : 's'} not formatted as inline code`,
+          details: plain.slice(0, 5).map(reference => `"${reference}"`).join(', '),
+          fix: 'Format UI labels and field names as inline code consistently, the way the page already does elsewhere'
+        });
+      }
+    }
+
+    const score = shares.length > 0
+      ? Math.round((shares.reduce((sum, share) => sum + share, 0) / shares.length) * 10)
+      : 10;
+    const detailParts = [`${blocks.length} code block(s): ${blocks.length - unlabeled.length} with a language`];
+    if (located.length > 0) {
+      detailParts.push(`${located.length - withoutLeadIn.length} of ${located.length} introduced`);
+      detailParts.push(`${misplaced.length} placed away from their step`);
+    }
+    if (references.size > 0 && inlineCode.length > 0) {
+      detailParts.push(`${formatted.length} of ${references.size} labels and field names in inline code`);
+    }
+
+    return {
+      criterionId: 'CS-08',
+      score: Math.max(0, Math.min(10, score)),
+      issues,
+      details: `${detailParts.join('; ')}.`
+    };
+  },
+
   /**
    * Run all content structure rules
    * @param {Object} metrics - Computed metrics
+   * @param {Object} content - Normalized content (for the rules that need section and document order)
    * @returns {Object} Combined results
    */
-  scoreAll(metrics) {
+  scoreAll(metrics, content = null) {
     const results = {
       categoryId: 'CAT-01',
       categoryName: 'Content Structure',
@@ -328,16 +917,28 @@ const ContentStructureRules = {
     // Run each rule
     results.criteria['CS-01'] = this.scoreParagraphBrevity(metrics);
     results.criteria['CS-02'] = this.scoreListUsage(metrics);
+    const stepAtomicity = content ? this.scoreStepAtomicity(content) : null;
+    if (stepAtomicity) results.criteria['CS-03'] = stepAtomicity;
     results.criteria['CS-04'] = this.scoreHeadingHierarchy(metrics);
+    const workflows = content ? this.scoreWorkflowSeparation(content) : null;
+    if (workflows) results.criteria['CS-05'] = workflows;
+    const duplication = content ? this.scoreDuplication(content) : null;
+    if (duplication) results.criteria['CS-06'] = duplication;
     results.criteria['CS-07'] = this.scoreLinkIntegrity(metrics);
+    const codeExamples = content ? this.scoreCodeExamples(content) : null;
+    if (codeExamples) results.criteria['CS-08'] = codeExamples;
 
     // Calculate category score (weighted average)
-    const configWeights = window.ScoringConfig?.categories?.['content-structure']?.criteria || {};
+    const configWeights = globalThis.ScoringConfig?.categories?.['content-structure']?.criteria || {};
     const weights = {
       'CS-01': configWeights['CS-01']?.weight || 0.35,
       'CS-02': configWeights['CS-02']?.weight || 0.30,
+      'CS-03': configWeights['CS-03']?.weight || 0.25,
       'CS-04': configWeights['CS-04']?.weight || 0.35,
-      'CS-07': configWeights['CS-07']?.weight || 0.10
+      'CS-05': configWeights['CS-05']?.weight || 0.10,
+      'CS-06': configWeights['CS-06']?.weight || 0.10,
+      'CS-07': configWeights['CS-07']?.weight || 0.10,
+      'CS-08': configWeights['CS-08']?.weight || 0.10
     };
     let totalWeight = 0;
     let weightedSum = 0;
@@ -0,0 +1,313 @@
+/**
+ * Error Message Documentation Rule-Based Scoring (CAT-13, GAP-10)
+ * Finds troubleshooting content and checks that it quotes the exact error text,
+ * formats error codes, and pairs each cause with a resolution
+ */
+
+const ErrorMessageRules = {
+  // Heading vocabulary only: "Create issues" or "Why can't I log in?" are not troubleshooting sections
+  TROUBLESHOOTING_PATTERN: /\b(troubleshoot\w*|errors?|(known|common) (issues|problems)|not working|(doesn't|does not) work)\b/i,
+
+  ERROR_WORDS_PATTERN: /\b(error|failed|failure|invalid|denied|not found|not allowed|unable|cannot|can't|exceeded|expired|unauthorized|forbidden|timed? ?out)\b/i,
+
+  QUOTED_PATTERN: /["“]([^"”]{6,200})["”]/g,
+
+  // INVALID_TOKEN, ERR_1001, E1023, CRM-4001, HTTP 403
+  ERROR_CODE_PATTERN: /\b([A-Z][A-Z0-9]*_[A-Z0-9_]{2,}|ERR[-_]?\d{2,}|E\d{3,}|[A-Z]{2,5}-\d{3,}|[45]\d{2}(?= (error|status|response|bad request|unauthorized|forbidden|not found|too many)))\b/g,
+
+  CAUSE_PATTERN: /\b(caus(e|es|ed)|because|due to|occurs? (when|if|because)|happens? (when|if|because)|reasons?|this (error|message|issue|problem) (means|appears|indicates|occurs))\b/i,
+
+  RESOLUTION_PATTERN: /\b(resolution|solution|to (fix|resolve|solve|correct)|fix (this|it|the)|workaround|resolve (this|it|the)|try (again|to|the)|make sure|ensure|check (that|whether|the|your)|go to|update (the|your)|contact (support|your))\b/i,
+
+  /**
+   * Check whether a heading or title introduces troubleshooting content
+   * The page title is tested the same way, so it only counts when it is itself a troubleshooting title
+   * @param {string} text - Heading text
+   * @returns {boolean}
+   */
+  isTroubleshootingHeading(text) {
+    return this.TROUBLESHOOTING_PATTERN.test(text || '');
+  },
+
+  /**
+   * Build a troubleshooting unit from a section and its subsections
+   * @param {Array} sections - Content sections
+   * @param {number} start - Index of the unit's section
+   * @param {Array} headings - Page headings (for locations)
+   * @param {Set<number>} covered - Section indexes already assigned to a unit
+   * @param {boolean} withSubsections - Include deeper sections that follow
+   * @returns {Object} Unit with title, location, text, code, and whether it is a reference table
+   */
+  buildSectionUnit(sections, start, headings, covered, withSubsections = true) {
+    const level = sections[start].level;
+    const parts = [];
+    const code = [];
+    let tables = 0;
+    for (let i = start; i < sections.length && (i === start || (withSubsections && sections[i].level > level)); i++) {
+      if (covered.has(i)) continue;
+      const section = sections[i];
+      covered.add(i);
+      parts.push(...section.paragraphs.map(p => p.text), ...section.lists.flatMap(list => list.items));
+      code.push(...section.codeBlocks.map(block => block.content));
+      tables += section.tables.length;
+    }
+    const heading = headings.find(h => h.text === sections[start].title);
+    const text = parts.join(' ');
+    return {
+      title: sections[start].title,
+      location: heading ? `Heading ${heading.index + 1}` : `Section ${start + 1}`,
+      order: start,
+      text,
+      code,
+      // An error-code table with little prose is scored only for code formatting
+      reference: tables > 0 && text.split(/\s+/).filter(Boolean).length < 20
+    };
+  },
+
+  /**
+   * Collect the troubleshooting units to score
+   * With section data each troubleshooting section is a unit; a heading that only introduces
+   * subsections ("Troubleshooting", or the page title) is split into one unit per subsection.
+   * Without section data the page body is one unit attributed to the first troubleshooting heading
+   * @param {Object} content - Normalized content
+   * @returns {Object} units and whether they are section-level
+   */
+  findUnits(content) {
+    const { structure } = content;
+    const headings = structure.headings.filter(h => this.isTroubleshootingHeading(h.text));
+    const titleMatch = this.isTroubleshootingHeading(content.meta.title);
+    const sections = content.sections || [];
+
+    if (headings.length === 0 && !titleMatch) {
+      return { units: [], sectionLevel: false };
+    }
+
+    if (sections.length > 0) {
+      const units = [];
+      const covered = new Set();
+      // Deepest headings first, so an umbrella heading only takes the subsections left over
+      const starts = headings.length > 0
+        ? headings
+          .map(h => sections.findIndex(section => section.title === h.text))
+          .filter(start => start >= 0)
+          .sort((a, b) => sections[b].level - sections[a].level || a - b)
+        : [0];
+
+      starts.forEach(start => {
+        if (covered.has(start)) return;
+        const level = sections[start].level;
+        let childLevel = null;
+        for (let i = start + 1; i < sections.length && sections[i].level > level; i++) {
+          childLevel = childLevel === null ? sections[i].level : Math.min(childLevel, sections[i].level);
+        }
+        const ownWords = sections[start].paragraphs.reduce((sum, p) => sum + p.text.split(/\s+/).length, 0);
+        if (childLevel === null || ownWords >= 20) {
+          units.push(this.buildSectionUnit(sections, start, structure.headings, covered));
+          return;
+        }
+        // Keep the introduction as its own unit when it already talks about an error
+        const ownText = sections[start].paragraphs.map(p => p.text).join(' ');
+        if (this.ERROR_WORDS_PATTERN.test(ownText) || this.findErrorCodes(ownText).size > 0) {
+          units.push(this.buildSectionUnit(sections, start, structure.headings, covered, false));
+        }
+        covered.add(start);
+        for (let i = start + 1; i < sections.length && sections[i].level > level; i++) {
+          if (sections[i].level === childLevel && !covered.has(i)) {
+            units.push(this.buildSectionUnit(sections, i, structure.headings, covered));
+          }
+        }
+      });
+
+      const scored = units
+        .filter(unit => unit.text.length > 0 || unit.code.length > 0 || unit.reference)
+        .sort((a, b) => a.order - b.order);
+      if (scored.length > 0) return { units: scored, sectionLevel: true };
+    }
+
+    const anchor = headings.find(h => h.level !== 'h1') || headings[0];
+    return {
+      units: [{
+        title: anchor ? anchor.text : content.meta.title,
+        location: anchor ? `Heading ${anchor.index + 1}` : 'Page',
+        text: [
+          ...structure.paragraphs.map(p => p.text),
+          ...structure.lists.flatMap(list => list.items),
+          ...structure.callouts.map(callout => callout.text),
+          ...(structure.disclosures || []).map(d => `${d.summary} ${d.text}`)
+        ].join(' '),
+        code: structure.codeBlocks.map(block => block.content),
+        reference: false
+      }],
+      sectionLevel: false
+    };
+  },
+
+  /**
+   * Find quoted or code-formatted error text in a unit
+   * @param {Object} unit - Troubleshooting unit
+   * @returns {string[]} Exact error messages
+   */
+  findExactMessages(unit) {
+    const messages = [];
+    for (const match of unit.text.matchAll(this.QUOTED_PATTERN)) {
+      const quoted = match[1].trim();
+      if (this.ERROR_WORDS_PATTERN.test(quoted) || quoted.split(/\s+/).length >= 3) {
+        messages.push(quoted);
+      }
+    }
+    unit.code.forEach(text => {
+      if (this.ERROR_WORDS_PATTERN.test(text) && text.length <= 300) messages.push(text);
+    });
+    return messages;
+  },
+
+  /**
+   * Collect error codes from text
+   * @param {string} text - Text to scan
+   * @returns {Set<string>} Error codes
+   */
+  findErrorCodes(text) {
+    return new Set(Array.from((text || '').matchAll(this.ERROR_CODE_PATTERN), match => match[1]));
+  },
+
+  /**
+   * Score quoted error messages per troubleshooting unit (ER-01)
+   * @param {Array} units - Troubleshooting units
+   * @returns {Object} Score and issues
+   */
+  scoreExactMessages(units) {
+    const missing = units.filter(unit => this.findExactMessages(unit).length === 0);
+    const issues = missing.slice(0, 5).map(unit => ({
+      severity: 'warning',
+      message: `No exact error message quoted under "${unit.title}"`,
+      location: unit.location,
+      fix: `Under "${unit.title}", quote the error text exactly as users see it (for example: "Unable to save record: Mandatory field missing") so searches for the message find this page`
+    }));
+
+    return {
+      criterionId: 'ER-01',
+      score: Math.round(((units.length - missing.length) / units.length) * 10),
+      issues,
+      details: `${units.length - missing.length} of ${units.length} troubleshooting section(s) quote the exact error text.`
+    };
+  },
+
+  /**
+   * Score error code formatting (ER-02)
+   * Codes should appear in code spans or a reference table, not only in running prose
+   * @param {Array} units - Troubleshooting units
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null when no error codes are mentioned
+   */
+  scoreErrorCodes(units, content) {
+    const { structure } = content;
+    const formatted = new Set();
+    [
+      ...structure.codeBlocks.map(block => block.content),
+      ...structure.tables.flatMap(table => [...table.headers, ...table.rows.flat()]),
+      ...units.flatMap(unit => unit.code)
+    ].forEach(text => this.findErrorCodes(text).forEach(code => formatted.add(code)));
+
+    const issues = [];
+    const unformatted = new Set();
+    units.forEach(unit => {
+      const codes = Array.from(this.findErrorCodes(unit.text)).filter(code => !formatted.has(code));
+      if (codes.length === 0) return;
+      codes.forEach(code => unformatted.add(code));
+      issues.push({
+        severity: 'info',
+        message: `Error code${codes.length === 1 ? '' : 's'} only in prose under "${unit.title}": ${codes.slice(0, 5).join(', ')}`,
+        location: unit.location,
+        fix: `Under "${unit.title}", format each code as \`code\` or list the codes in a table with their meaning and fix`
+      });
+    });
+
+    const total = formatted.size + unformatted.size;
+    if (total === 0) return null;
+
+    return {
+      criterionId: 'ER-02',
+      score: Math.round((formatted.size / total) * 10),
+      issues: issues.slice(0, 5),
+      details: `${formatted.size} of ${total} error code(s) appear in code spans or tables.`
+    };
+  },
+
+  /**
+   * Score cause and resolution pairing per troubleshooting unit (ER-03)
+   * @param {Array} units - Troubleshooting units
+   * @returns {Object} Score and issues
+   */
+  scoreCauseResolution(units) {
+    let paired = 0;
+    const issues = [];
+
+    units.forEach(unit => {
+      const hasCause = this.CAUSE_PATTERN.test(unit.text);
+      const hasResolution = this.RESOLUTION_PATTERN.test(unit.text);
+      if (hasCause && hasResolution) {
+        paired += 1;
+        return;
+      }
+      const missingPart = !hasCause && !hasResolution
+        ? 'cause or resolution'
+        : (hasCause ? 'resolution' : 'cause');
+      issues.push({
+        severity: hasCause || hasResolution ? 'info' : 'warning',
+        message: `No ${missingPart} given under "${unit.title}"`,
+        location: unit.location,
+        fix: `Under "${unit.title}", state why the error occurs ("Cause: ...") and what to do about it ("Resolution: ...") next to each message`
+      });
+    });
+
+    return {
+      criterionId: 'ER-03',
+      score: Math.round((paired / units.length) * 10),
+      issues: issues.slice(0, 5),
+      details: `${paired} of ${units.length} troubleshooting section(s) pair a cause with a resolution.`
+    };
+  },
+
+  /**
+   * Run all error message rules
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results
+   */
+  scoreAll(content) {
+    const { units, sectionLevel } = this.findUnits(content);
+    const results = {
+      categoryId: 'CAT-13',
+      categoryName: 'Error Message Documentation',
+      applicable: units.length > 0,
+      detection: {
+        sections: units.map(unit => unit.title),
+        sectionLevel
+      },
+      criteria: {}
+    };
+
+    if (units.length === 0) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    // Error-code reference tables are checked for formatting, not for prose
+    const described = units.some(unit => !unit.reference) ? units.filter(unit => !unit.reference) : units;
+
+    results.criteria['ER-01'] = this.scoreExactMessages(described);
+    const codes = this.scoreErrorCodes(units, content);
+    if (codes) results.criteria['ER-02'] = codes;
+    results.criteria['ER-03'] = this.scoreCauseResolution(described);
+
+    return RuleHelpers.finishCategory(results, 'error-messages', {
+      'ER-01': 0.40,
+      'ER-02': 0.25,
+      'ER-03': 0.35
+    });
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ErrorMessageRules;
+}
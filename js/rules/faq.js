@@ -0,0 +1,366 @@
+/**
+ * Intent-Driven FAQ Rule-Based Scoring (CAT-06)
+ * Finds FAQ entries and checks question phrasing, direct answers, and self-contained answers
+ */
+
+const FaqRules = {
+  FAQ_HEADING_PATTERN: /\b(faqs?|frequently asked questions?|common questions)\b/i,
+
+  // Questions phrased from the user's side ("How do I...", "Why can't my...")
+  INTENT_PATTERN: /^(how (do|can|should|would) (i|we)|can (i|we)|could (i|we)|should (i|we)|why (do|does|did|can't|cannot|is|are|isn't|aren't|won't|am) (i|we|my|our)|what (happens|should i|do i|can i|if i)|where (do|can) (i|we)|when (do|should|can) (i|we)|is it possible|do i|does my|i (want|need|can't|cannot))\b/i,
+
+  // First-person words anywhere in the question also signal user intent
+  FIRST_PERSON_PATTERN: /\b(i|my|we|our|me)\b/i,
+
+  YES_NO_PATTERN: /^(can|could|is|are|does|do|will|should|am|was|were|has|have)\b/i,
+
+  QUESTION_WORD_PATTERN: /^(how|what|why|where|when|which|who|can|could|is|are|does|do|will|should|am|was|were|has|have)\b/i,
+
+  DIRECT_YES_NO_PATTERN: /^(yes|no|you can|you cannot|you can't|you can not|you do|you don't|it is|it isn't|it does|it doesn't|not|only)\b/i,
+
+  DEFLECTING_PATTERN: /^(please )?(refer to|see |click here|for more (information|details)|read more|check (out )?(this|the)|contact (support|us|your)|this (article|page|document) (explains|describes|covers))/i,
+
+  STOP_WORDS: new Set([
+    'how', 'do', 'does', 'did', 'i', 'we', 'my', 'our', 'can', 'could', 'should', 'would',
+    'what', 'why', 'where', 'when', 'which', 'who', 'is', 'are', 'the', 'a', 'an', 'to',
+    'in', 'of', 'for', 'on', 'with', 'it', 'be', 'and', 'or', 'if', 'me', 'that', 'this',
+    'there', 'from', 'at', 'by', 'not', 'possible', 'happens', 'get', 'use'
+  ]),
+
+  /**
+   * Split text into sentences
+   * @param {string} text - Text to split
+   * @returns {string[]} Sentences
+   */
+  splitSentences(text) {
+    return (text || '').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.length > 0);
+  },
+
+  /**
+   * Check whether a piece of text reads as a question
+   * @param {string} text - Heading, summary, or list item text
+   * @returns {boolean}
+   */
+  isQuestion(text) {
+    return /\?\s*$/.test((text || '').trim());
+  },
+
+  /**
+   * Collect FAQ entries from question headings, <details> elements, and question list items
+   * An answer of undefined means the extraction could not tell what followed the question
+   * @param {Object} content - Normalized content
+   * @returns {Array} Entries with question, answer, source, and location
+   */
+  findEntries(content) {
+    const entries = [];
+    const { structure } = content;
+    const sections = content.sections || [];
+
+    // Question-form headings; the answer is the start of the section that follows
+    structure.headings.filter(h => this.isQuestion(h.text)).forEach(heading => {
+      let answer;
+      if (sections.length > 0) {
+        const section = sections.find(s => s.title === heading.text);
+        if (section) {
+          const parts = [
+            ...section.paragraphs.map(p => p.text),
+            ...section.lists.map(list => list.items.join('. '))
+          ];
+          answer = parts.join(' ').trim();
+        } else {
+          answer = '';
+        }
+      }
+      entries.push({
+        question: heading.text,
+        answer,
+        source: 'heading',
+        location: `Heading ${heading.index + 1}`
+      });
+    });
+
+    // <details>/<summary> disclosure widgets
+    (structure.disclosures || []).filter(d => this.isQuestion(d.summary)).forEach(disclosure => {
+      entries.push({
+        question: disclosure.summary,
+        answer: disclosure.text,
+        source: 'details',
+        location: `Expandable section ${disclosure.index + 1}`
+      });
+    });
+
+    // List items ending in "?" (answer in the next item), or "Question? Answer" in one item
+    structure.lists.forEach(list => {
+      list.items.forEach((item, i) => {
+        const match = item.match(/^([^?]{3,}\?)\s*(.*)$/s);
+        if (!match) return;
+        if (match[2] && !this.QUESTION_WORD_PATTERN.test(match[1])) return;
+        let answer = match[2].trim();
+        if (!answer) {
+          const next = list.items[i + 1];
+          answer = next && !this.isQuestion(next) ? next : '';
+        }
+        entries.push({
+          question: match[1].trim(),
+          answer,
+          source: 'list',
+          location: `List ${list.index + 1}, item ${i + 1}`
+        });
+      });
+    });
+
+    return entries;
+  },
+
+  /**
+   * Detect whether the page has an FAQ
+   * @param {Object} content - Normalized content
+   * @returns {Object} Detection result with entries
+   */
+  detectFaq(content) {
+    const entries = this.findEntries(content);
+    const faqHeading = content.structure.headings.some(h => this.FAQ_HEADING_PATTERN.test(h.text)) ||
+      this.FAQ_HEADING_PATTERN.test(content.meta.title || '');
+
+    return {
+      isFaq: entries.length >= 2 || (faqHeading && entries.length > 0),
+      faqHeading,
+      entries
+    };
+  },
+
+  /**
+   * Suggest a user-intent phrasing for a feature-centric question
+   * @param {string} question - Original question
+   * @returns {string} Suggested question
+   */
+  suggestIntentPhrasing(question) {
+    const text = question.replace(/\?\s*$/, '').trim();
+    const howTo = text.match(/^how to\s+(.+)$/i);
+    if (howTo) return `How do I ${howTo[1]}?`;
+    const whatIs = text.match(/^what (is|are)\s+(.+)$/i);
+    if (whatIs) return `What can I do with ${whatIs[2]}?`;
+    if (this.QUESTION_WORD_PATTERN.test(text)) return `${text} for my account?`;
+    return `What should I know about ${text.charAt(0).toLowerCase()}${text.slice(1)}?`;
+  },
+
+  /**
+   * Get the meaningful words of a question for answer matching
+   * @param {string} question - Question text
+   * @returns {string[]} Lowercase keywords
+   */
+  getKeywords(question) {
+    return question.toLowerCase()
+      .replace(/[^a-z0-9\s'-]/g, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 2 && !this.STOP_WORDS.has(word));
+  },
+
+  /**
+   * Score intent-driven question phrasing (FAQ-01)
+   * Questions should be phrased the way a user asks them, not as feature labels
+   * @param {Array} entries - FAQ entries
+   * @returns {Object} Score and issues
+   */
+  scoreIntentPhrasing(entries) {
+    const featureCentric = entries.filter(entry =>
+      !this.INTENT_PATTERN.test(entry.question) && !this.FIRST_PERSON_PATTERN.test(entry.question)
+    );
+    const score = Math.round(((entries.length - featureCentric.length) / entries.length) * 10);
+    const issues = [];
+
+    featureCentric.slice(0, 5).forEach(entry => {
+      issues.push({
+        severity: 'warning',
+        message: 'FAQ question is phrased around the feature, not the user',
+        location: entry.location,
+        excerpt: entry.question,
+        fix: `Phrase it as the user would ask: "${this.suggestIntentPhrasing(entry.question)}"`
+      });
+    });
+
+    if (featureCentric.length > 5) {
+      issues.push({
+        severity: 'info',
+        message: `${featureCentric.length - 5} more feature-centric questions`,
+        fix: 'Rewrite questions from the user\'s point of view ("How do I...", "Why can\'t I...")'
+      });
+    }
+
+    return {
+      criterionId: 'FAQ-01',
+      score: Math.max(0, Math.min(10, score)),
+      issues,
+      details: `${entries.length - featureCentric.length} of ${entries.length} questions are phrased as user intents.`
+    };
+  },
+
+  /**
+   * Score direct answers (FAQ-02)
+   * The first sentence of each answer should answer the question
+   * @param {Array} entries - FAQ entries with known answers
+   * @returns {Object} Score and issues
+   */
+  scoreDirectAnswers(entries) {
+    if (entries.length === 0) {
+      return {
+        criterionId: 'FAQ-02',
+        score: 5,
+        issues: [],
+        details: 'Answers could not be matched to questions'
+      };
+    }
+
+    const issues = [];
+    let direct = 0;
+
+    entries.forEach(entry => {
+      const firstSentence = this.splitSentences(entry.answer)[0] || '';
+      let problem = null;
+
+      if (!firstSentence) {
+        problem = { severity: 'critical', message: 'FAQ question has no answer', fix: 'Answer the question directly below it' };
+      } else if (this.DEFLECTING_PATTERN.test(firstSentence)) {
+        problem = { severity: 'warning', message: 'FAQ answer starts by pointing elsewhere', fix: 'Put the answer in the first sentence, then link to details' };
+      } else if (this.YES_NO_PATTERN.test(entry.question) && !this.DIRECT_YES_NO_PATTERN.test(firstSentence)) {
+        problem = { severity: 'warning', message: 'Yes/no question is not answered with yes or no first', fix: 'Start the answer with "Yes," or "No," followed by the condition' };
+      } else {
+        const keywords = this.getKeywords(entry.question);
+        const lower = firstSentence.toLowerCase();
+        const overlap = keywords.filter(word => lower.includes(word.replace(/s$/, '')));
+        if (keywords.length > 0 && overlap.length === 0) {
+          problem = { severity: 'info', message: 'First sentence of the answer does not mention the question\'s subject', fix: 'Restate the task or feature from the question in the first sentence' };
+        }
+      }
+
+      if (problem) {
+        issues.push({
+          ...problem,
+          location: entry.location,
+          excerpt: entry.question
+        });
+      } else {
+        direct += 1;
+      }
+    });
+
+    const score = Math.round((direct / entries.length) * 10);
+
+    return {
+      criterionId: 'FAQ-02',
+      score: Math.max(0, Math.min(10, score)),
+      issues: issues.slice(0, 8),
+      details: `${direct} of ${entries.length} answers answer the question in the first sentence.`
+    };
+  },
+
+  /**
+   * Score self-contained answers (FAQ-03)
+   * Answers should make sense when retrieved without the rest of the page
+   * @param {Array} entries - FAQ entries with non-empty answers
+   * @returns {Object} Score and issues
+   */
+  scoreSelfContained(entries) {
+    if (entries.length === 0) {
+      return {
+        criterionId: 'FAQ-03',
+        score: 5,
+        issues: [],
+        details: 'No answers to check'
+      };
+    }
+
+    const issues = [];
+    let selfContained = 0;
+
+    entries.forEach(entry => {
+      // The question is the antecedent for an opening pronoun, so that case is only an info issue below
+      const danglingMatch = Parser.findDanglingReference(entry.answer, { skipOpenings: true });
+      const wordCount = entry.answer.split(/\s+/).filter(w => w.length > 0).length;
+      const startsWithPronoun = /^(it|this|that|they|these|those)\b/i.test(entry.answer);
+
+      if (danglingMatch) {
+        issues.push({
+          severity: 'warning',
+          message: 'FAQ answer depends on other parts of the page',
+          location: entry.location,
+          excerpt: danglingMatch,
+          fix: 'Repeat the needed information in the answer instead of referring to it'
+        });
+      } else if (startsWithPronoun) {
+        issues.push({
+          severity: 'info',
+          message: 'FAQ answer starts with a pronoun',
+          location: entry.location,
+          excerpt: entry.answer.substring(0, 80),
+          fix: 'Name the feature or setting instead of starting with "it" or "this"'
+        });
+      } else if (wordCount < 6) {
+        issues.push({
+          severity: 'info',
+          message: 'FAQ answer is too short to stand alone',
+          location: entry.location,
+          excerpt: entry.answer,
+          fix: 'Answer in a full sentence that restates what the question asks about'
+        });
+      } else {
+        selfContained += 1;
+      }
+    });
+
+    const score = Math.round((selfContained / entries.length) * 10);
+
+    return {
+      criterionId: 'FAQ-03',
+      score: Math.max(0, Math.min(10, score)),
+      issues: issues.slice(0, 8),
+      details: `${selfContained} of ${entries.length} answers are self-contained.`
+    };
+  },
+
+  /**
+   * Run all FAQ rules
+   * Pages without an FAQ are marked not applicable so they drop out of the composite
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results
+   */
+  scoreAll(content) {
+    const detection = this.detectFaq(content);
+    const results = {
+      categoryId: 'CAT-06',
+      categoryName: 'Intent-Driven FAQs',
+      applicable: detection.isFaq,
+      detection: {
+        faqHeading: detection.faqHeading,
+        questions: detection.entries.length,
+        sources: detection.entries.reduce((counts, entry) => {
+          counts[entry.source] = (counts[entry.source] || 0) + 1;
+          return counts;
+        }, {})
+      },
+      criteria: {}
+    };
+
+    if (!detection.isFaq) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    const answered = detection.entries.filter(entry => entry.answer !== undefined);
+
+    results.criteria['FAQ-01'] = this.scoreIntentPhrasing(detection.entries);
+    results.criteria['FAQ-02'] = this.scoreDirectAnswers(answered);
+    results.criteria['FAQ-03'] = this.scoreSelfContained(answered.filter(entry => entry.answer.length > 0));
+
+    return RuleHelpers.finishCategory(results, 'faq', {
+      'FAQ-01': 0.35,
+      'FAQ-02': 0.35,
+      'FAQ-03': 0.30
+    });
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FaqRules;
+}
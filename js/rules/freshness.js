@@ -0,0 +1,202 @@
+/**
+ * Freshness & Versioning Rule-Based Scoring (CAT-10, GAP-04)
+ * Checks for last-updated dates, content age at scoring time, and version information
+ */
+
+const FreshnessRules = {
+  DAY_MS: 24 * 60 * 60 * 1000,
+
+  /**
+   * Get the configured staleness thresholds
+   * @returns {Object} agingDays and staleDays
+   */
+  getThresholds() {
+    const criterion = globalThis.ScoringConfig?.categories?.['freshness']?.criteria?.['FR-02'] || {};
+    return {
+      agingDays: criterion.agingDays || 365,
+      staleDays: criterion.staleDays || 730
+    };
+  },
+
+  /**
+   * Days between a YYYY-MM-DD date and the scoring date
+   * @param {string} isoDate - Date string
+   * @param {Date} now - Scoring date
+   * @returns {number} Age in days
+   */
+  getAgeDays(isoDate, now) {
+    return Math.floor((now.getTime() - new Date(`${isoDate}T00:00:00Z`).getTime()) / this.DAY_MS);
+  },
+
+  /**
+   * Score presence of a freshness signal (FR-01)
+   * Pages should show when they were last updated
+   * @param {Object} metrics - Computed metrics
+   * @returns {Object} Score and issues
+   */
+  scoreFreshnessSignal(metrics) {
+    const { freshness } = metrics;
+    const issues = [];
+    let score;
+
+    if (freshness.lastUpdated) {
+      score = 10;
+    } else if (freshness.asOfDates.length > 0) {
+      score = 7;
+      issues.push({
+        severity: 'info',
+        message: 'Only dated statements found, no last-updated date',
+        details: `Dated statements: ${freshness.asOfDates.join(', ')}`,
+        fix: 'Show a "Last updated" date on the page and in its metadata (dateModified)'
+      });
+    } else if (freshness.lastUpdatedRaw) {
+      score = 5;
+      issues.push({
+        severity: 'warning',
+        message: 'Last-updated value could not be read as a date',
+        excerpt: freshness.lastUpdatedRaw.substring(0, 80),
+        fix: 'Use an unambiguous date such as "12 March 2025" or a <time datetime="2025-03-12"> element'
+      });
+    } else {
+      score = 2;
+      issues.push({
+        severity: 'warning',
+        message: 'No last-updated date or other freshness signal',
+        fix: 'Add a visible "Last updated" date so AI search can rank and caveat the page by age'
+      });
+    }
+
+    return {
+      criterionId: 'FR-01',
+      score,
+      issues,
+      details: freshness.lastUpdated
+        ? `Last updated ${freshness.lastUpdated} (from ${{ text: 'article text', frontmatter: 'frontmatter' }[freshness.source] || 'page markup'})`
+        : 'No last-updated date detected'
+    };
+  },
+
+  /**
+   * Score content age relative to the scoring date (FR-02)
+   * @param {Object} metrics - Computed metrics
+   * @param {Date} now - Scoring date
+   * @returns {Object|null} Score and issues, or null when no date is known
+   */
+  scoreContentAge(metrics, now) {
+    const { freshness } = metrics;
+    const { agingDays, staleDays } = this.getThresholds();
+    const date = freshness.lastUpdated || freshness.asOfDates.slice().sort().pop();
+    if (!date) return null;
+
+    const ageDays = this.getAgeDays(date, now);
+    const issues = [];
+    let score = 10;
+
+    if (ageDays > staleDays) {
+      score = 3;
+      issues.push({
+        severity: 'warning',
+        message: `Content may be stale: last dated ${Math.floor(ageDays / 365)}+ years ago`,
+        details: `Dated ${date}, ${ageDays} days before scoring`,
+        fix: 'Review the article against the current product and update the date'
+      });
+    } else if (ageDays > agingDays) {
+      score = 6;
+      issues.push({
+        severity: 'info',
+        message: 'Content was last dated over a year ago',
+        details: `Dated ${date}, ${ageDays} days before scoring`,
+        fix: 'Confirm the steps still match the current UI and refresh the date'
+      });
+    } else if (ageDays < 0) {
+      score = 8;
+      issues.push({
+        severity: 'info',
+        message: 'Last-updated date is in the future',
+        details: `Dated ${date}`,
+        fix: 'Check the date format on the page'
+      });
+    }
+
+    return {
+      criterionId: 'FR-02',
+      score,
+      issues,
+      details: `${ageDays} days old at scoring time`,
+      ageDays
+    };
+  },
+
+  /**
+   * Score version information (FR-03)
+   * Technical pages (APIs, SDKs, code) should say which version they describe
+   * @param {Object} metrics - Computed metrics
+   * @returns {Object|null} Score and issues, or null for non-technical pages
+   */
+  scoreVersionInfo(metrics) {
+    const { freshness } = metrics;
+    const hasVersion = freshness.versions.length > 0;
+    const hasReleaseNotes = freshness.releaseNoteRefs > 0;
+    if (!freshness.technical && !hasVersion) return null;
+
+    const issues = [];
+    let score = 10;
+
+    if (!hasVersion) {
+      score = hasReleaseNotes ? 6 : 4;
+      issues.push({
+        severity: 'warning',
+        message: 'Technical page does not state a product or API version',
+        fix: 'State the version the page applies to (for example "API v2") near the top'
+      });
+    } else if (!hasReleaseNotes && freshness.technical) {
+      score = 9;
+      issues.push({
+        severity: 'info',
+        message: 'No link to release notes or changelog',
+        fix: 'Link to the release notes so readers can check for later changes'
+      });
+    }
+
+    return {
+      criterionId: 'FR-03',
+      score,
+      issues,
+      details: hasVersion ? `Versions mentioned: ${freshness.versions.join(', ')}` : 'No version numbers found'
+    };
+  },
+
+  /**
+   * Run all freshness rules
+   * @param {Object} metrics - Computed metrics
+   * @param {Date} now - Scoring date
+   * @returns {Object} Combined results
+   */
+  scoreAll(metrics, now = new Date()) {
+    const results = {
+      categoryId: 'CAT-10',
+      categoryName: 'Freshness & Versioning',
+      lastUpdated: metrics.freshness.lastUpdated,
+      criteria: {}
+    };
+
+    results.criteria['FR-01'] = this.scoreFreshnessSignal(metrics);
+    const age = this.scoreContentAge(metrics, now);
+    if (age) {
+      results.criteria['FR-02'] = age;
+      results.ageDays = age.ageDays;
+    }
+    const version = this.scoreVersionInfo(metrics);
+    if (version) results.criteria['FR-03'] = version;
+
+    return RuleHelpers.finishCategory(results, 'freshness', {
+      'FR-01': 0.40,
+      'FR-02': 0.35,
+      'FR-03': 0.25
+    });
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FreshnessRules;
+}
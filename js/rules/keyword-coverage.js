@@ -0,0 +1,330 @@
+/**
+ * Keyword Coverage Rule-Based Scoring (CAT-15, GAP-07)
+ * Checks that target queries appear where lexical search looks (title, H1, headings,
+ * first paragraph) and scores lexical coverage with BM25 over the page's own sections
+ */
+
+const KeywordCoverageRules = {
+  MAX_DERIVED_QUERIES: 6,
+
+  PLACEMENT_LABELS: { title: 'title', h1: 'H1', headings: 'headings', firstParagraph: 'first paragraph' },
+
+  // BM25 parameters (standard defaults)
+  K1: 1.2,
+  B: 0.75,
+
+  STOP_WORDS: new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'of', 'to', 'in', 'on', 'for', 'with',
+    'by', 'at', 'from', 'as', 'is', 'are', 'was', 'be', 'it', 'its', 'this', 'that', 'these',
+    'i', 'you', 'your', 'my', 'we', 'our', 'can', 'do', 'does', 'how', 'what', 'why', 'when',
+    'where', 'which', 'who', 'should', 'will', 'not', 'no', 'into', 'about', 'using', 'use'
+  ]),
+
+  GENERIC_HEADINGS: /^(overview|introduction|summary|steps|prerequisites|before you begin|requirements|notes?|related (articles|links|topics)|see also|next steps|faqs?|frequently asked questions|troubleshooting|examples?|table of contents)$/i,
+
+  /**
+   * Reduce a word to a rough stem so "records" matches "record"
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem
+   */
+  stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  },
+
+  /**
+   * Split text into stemmed terms, dropping stop words
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Terms (with repeats)
+   */
+  tokenize(text) {
+    return (text || '').toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1 && !this.STOP_WORDS.has(word))
+      .map(word => this.stem(word));
+  },
+
+  /**
+   * Strip a site suffix such as " | Zoho CRM" from a title
+   * @param {string} title - Page title
+   * @returns {string} Title text
+   */
+  cleanTitle(title) {
+    return (title || '').split(/\s+[|–—]\s+/)[0].trim();
+  },
+
+  /**
+   * Derive candidate queries from the H1 (or title) and H2 headings
+   * An untitled page's title is its URL, which is not a query
+   * @param {Object} content - Normalized content
+   * @returns {string[]} Candidate queries
+   */
+  deriveQueries(content) {
+    const h1 = content.structure.headings.find(h => h.level === 'h1');
+    const title = content.meta.title === content.meta.url ? '' : this.cleanTitle(content.meta.title);
+    const candidates = [
+      h1 ? h1.text : title,
+      ...content.structure.headings.filter(h => h.level === 'h2').map(h => h.text)
+    ];
+    const seen = new Set();
+    return candidates
+      .map(text => text.replace(/[?:]+$/, '').trim().toLowerCase())
+      .filter(text => text.length > 0 && !this.GENERIC_HEADINGS.test(text) && this.tokenize(text).length > 0)
+      .filter(text => {
+        if (seen.has(text)) return false;
+        seen.add(text);
+        return true;
+      })
+      .slice(0, this.MAX_DERIVED_QUERIES);
+  },
+
+  /**
+   * Build the BM25 document set from content sections (paragraphs when sections are unavailable)
+   * @param {Object} content - Normalized content
+   * @returns {Array} Documents with label and terms
+   */
+  getDocuments(content) {
+    const sections = content.sections || [];
+    if (sections.length > 0) {
+      return sections.map(section => ({
+        label: section.title,
+        terms: this.tokenize([
+          section.title,
+          ...section.paragraphs.map(p => p.text),
+          ...section.lists.flatMap(list => list.items)
+        ].join(' '))
+      }));
+    }
+    return content.structure.paragraphs.map((p, index) => ({
+      label: `Paragraph ${index + 1}`,
+      terms: this.tokenize(p.text)
+    }));
+  },
+
+  /**
+   * Score every document against a query with BM25
+   * @param {string[]} queryTerms - Unique query terms
+   * @param {Array} documents - Documents from getDocuments
+   * @returns {number[]} Score per document
+   */
+  bm25(queryTerms, documents) {
+    const count = documents.length;
+    const avgLength = documents.reduce((sum, doc) => sum + doc.terms.length, 0) / (count || 1);
+
+    const idf = {};
+    queryTerms.forEach(term => {
+      const containing = documents.filter(doc => doc.terms.includes(term)).length;
+      // Lucene-style IDF stays positive when a term is in most sections
+      idf[term] = Math.log(1 + (count - containing + 0.5) / (containing + 0.5));
+    });
+
+    return documents.map(doc => {
+      const lengthNorm = this.K1 * (1 - this.B + this.B * (doc.terms.length / (avgLength || 1)));
+      return queryTerms.reduce((score, term) => {
+        const frequency = doc.terms.filter(t => t === term).length;
+        if (frequency === 0) return score;
+        return score + idf[term] * ((frequency * (this.K1 + 1)) / (frequency + lengthNorm));
+      }, 0);
+    });
+  },
+
+  /**
+   * Share of query terms present in a piece of text
+   * @param {string[]} queryTerms - Unique query terms
+   * @param {string} text - Field text
+   * @returns {number} Fraction 0-1
+   */
+  termCoverage(queryTerms, text) {
+    const terms = new Set(this.tokenize(text));
+    return queryTerms.filter(term => terms.has(term)).length / queryTerms.length;
+  },
+
+  /**
+   * Analyze one query against the page
+   * @param {string} query - Target query
+   * @param {Object} content - Normalized content
+   * @param {Array} documents - BM25 documents
+   * @returns {Object|null} Placement, best section, and missing terms, or null for an empty query
+   */
+  analyzeQuery(query, content, documents) {
+    const terms = Array.from(new Set(this.tokenize(query)));
+    if (terms.length === 0) return null;
+    // Report the searcher's own words rather than stems
+    const display = {};
+    query.toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+      const term = this.stem(word);
+      if (terms.includes(term) && !display[term]) display[term] = word;
+    });
+    const words = list => list.map(term => display[term]);
+
+    const { headings, paragraphs } = content.structure;
+    const h1 = headings.find(h => h.level === 'h1');
+    const subheadings = headings.filter(h => h.level !== 'h1');
+    const headingCoverage = subheadings.map(h => this.termCoverage(terms, h.text));
+    const bestHeading = headingCoverage.length > 0 ? Math.max(...headingCoverage) : 0;
+
+    const scores = this.bm25(terms, documents);
+    const bestIndex = scores.length > 0 ? scores.indexOf(Math.max(...scores)) : -1;
+    const best = bestIndex >= 0 && scores[bestIndex] > 0 ? documents[bestIndex] : null;
+    const pageTerms = new Set(documents.flatMap(doc => doc.terms));
+
+    return {
+      query,
+      terms,
+      words: words(terms),
+      placement: {
+        title: this.termCoverage(terms, this.cleanTitle(content.meta.title)),
+        h1: h1 ? this.termCoverage(terms, h1.text) : 0,
+        headings: bestHeading,
+        firstParagraph: paragraphs.length > 0 ? this.termCoverage(terms, paragraphs[0].text) : 0
+      },
+      bestSection: best ? best.label : null,
+      bm25: best ? Math.round(scores[bestIndex] * 100) / 100 : 0,
+      coverage: best ? terms.filter(term => best.terms.includes(term)).length / terms.length : 0,
+      missingTerms: words(best ? terms.filter(term => !best.terms.includes(term)) : terms),
+      absentTerms: words(terms.filter(term => !pageTerms.has(term)))
+    };
+  },
+
+  /**
+   * Score where queries appear (KW-01)
+   * Title and H1 weigh most, then headings and the first paragraph
+   * @param {Array} analyses - Query analyses
+   * @returns {Object} Score and issues
+   */
+  scorePlacement(analyses) {
+    const weights = { title: 3, h1: 3, headings: 2, firstParagraph: 2 };
+    const issues = [];
+
+    const scores = analyses.map(analysis => {
+      const score = Object.entries(weights)
+        .reduce((sum, [field, weight]) => sum + analysis.placement[field] * weight, 0);
+      const missing = Object.keys(weights).filter(field => analysis.placement[field] < 1);
+      if (score < 5) {
+        issues.push({
+          severity: analysis.placement.title === 0 && analysis.placement.h1 === 0 ? 'warning' : 'info',
+          message: `Query "${analysis.query}" is not in the ${missing.map(field => this.PLACEMENT_LABELS[field]).join(', ')}`,
+          fix: `Use the searcher's words ("${analysis.words.join('", "')}") in the title or H1 and in the opening sentence`
+        });
+      }
+      return score;
+    });
+
+    const hits = field => analyses.filter(analysis => analysis.placement[field] === 1).length;
+    return {
+      criterionId: 'KW-01',
+      score: Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10,
+      issues: issues.slice(0, 5),
+      details: `Of ${analyses.length} queries: ${hits('title')} in title, ${hits('h1')} in H1, ${hits('headings')} in a heading, ${hits('firstParagraph')} in the first paragraph.`
+    };
+  },
+
+  /**
+   * Score BM25 lexical coverage over the page's sections (KW-02)
+   * @param {Array} analyses - Query analyses
+   * @param {string} unit - What the BM25 documents are ('sections' or 'paragraphs')
+   * @returns {Object} Score and issues
+   */
+  scoreLexicalCoverage(analyses, unit) {
+    const issues = analyses
+      .filter(analysis => analysis.coverage < 1)
+      .slice(0, 5)
+      .map(analysis => {
+        const absent = analysis.absentTerms.length > 0;
+        return {
+          severity: absent ? 'warning' : 'info',
+          message: absent
+            ? `Query "${analysis.query}": page never uses ${analysis.absentTerms.map(term => `"${term}"`).join(', ')}`
+            : `Query "${analysis.query}": no single section uses all of its terms`,
+          location: analysis.bestSection ? `Section "${analysis.bestSection}"` : undefined,
+          fix: analysis.bestSection
+            ? `Add ${analysis.missingTerms.map(term => `"${term}"`).join(', ')} to "${analysis.bestSection}" (its best-matching section), ideally in the heading or first sentence`
+            : `Add a section that answers "${analysis.query}" in the words users search with`
+        };
+      });
+
+    const average = analyses.reduce((sum, analysis) => sum + analysis.coverage, 0) / analyses.length;
+    return {
+      criterionId: 'KW-02',
+      score: Math.round(average * 100) / 10,
+      issues,
+      details: `${analyses.filter(analysis => analysis.coverage === 1).length} of ${analyses.length} queries fully matched by one of the page's ${unit} (BM25).`
+    };
+  },
+
+  /**
+   * Flag headings with no query vocabulary (KW-03)
+   * @param {Array} analyses - Query analyses
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null when the page has no subheadings
+   */
+  scoreHeadingVocabulary(analyses, content) {
+    const vocabulary = new Set(analyses.flatMap(analysis => analysis.terms));
+    const headings = content.structure.headings
+      .filter(h => ['h2', 'h3', 'h4'].includes(h.level) && !this.GENERIC_HEADINGS.test(h.text.trim()));
+    if (headings.length === 0) return null;
+
+    const unmatched = headings.filter(h => !this.tokenize(h.text).some(term => vocabulary.has(term)));
+    return {
+      criterionId: 'KW-03',
+      score: Math.round(((headings.length - unmatched.length) / headings.length) * 10),
+      issues: unmatched.slice(0, 5).map(h => ({
+        severity: 'info',
+        message: `Heading "${h.text}" uses none of the query vocabulary`,
+        location: `Heading ${h.index + 1}`,
+        fix: 'Rename the heading with a term users search for, so lexical search can land on this section'
+      })),
+      details: `${headings.length - unmatched.length} of ${headings.length} headings use query vocabulary.`
+    };
+  },
+
+  /**
+   * Run all keyword coverage rules
+   * Scores from derived queries are estimated: they show whether the page uses its own headings'
+   * words, not whether it matches what users search for
+   * @param {Object} content - Normalized content
+   * @param {string[]} queries - Target queries; derived from headings when empty
+   * @returns {Object} Combined results, including per-query analysis for the report
+   */
+  scoreAll(content, queries = []) {
+    const supplied = (queries || []).map(query => query.trim()).filter(Boolean);
+    const source = supplied.length > 0 ? 'supplied' : 'headings';
+    const documents = this.getDocuments(content);
+    const analyses = (supplied.length > 0 ? supplied : this.deriveQueries(content))
+      .map(query => this.analyzeQuery(query, content, documents))
+      .filter(Boolean);
+
+    const results = {
+      categoryId: 'CAT-15',
+      categoryName: 'Keyword Coverage',
+      applicable: analyses.length > 0,
+      estimated: source === 'headings',
+      coverage: { source, queries: analyses },
+      criteria: {}
+    };
+
+    if (!results.applicable) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    results.criteria['KW-01'] = this.scorePlacement(analyses);
+    results.criteria['KW-02'] = this.scoreLexicalCoverage(analyses, content.sections && content.sections.length > 0 ? 'sections' : 'paragraphs');
+    const vocabulary = this.scoreHeadingVocabulary(analyses, content);
+    if (vocabulary) results.criteria['KW-03'] = vocabulary;
+
+    return RuleHelpers.finishCategory(results, 'keyword-coverage', {
+      'KW-01': 0.40,
+      'KW-02': 0.40,
+      'KW-03': 0.20
+    });
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeywordCoverageRules;
+}
@@ -0,0 +1,282 @@
+/**
+ * Metadata & Provenance Rule-Based Scoring (CAT-12, GAP-06/GAP-08)
+ * Checks that page metadata is complete and agrees with the visible page
+ */
+
+const MetadataRules = {
+  ARTICLE_TYPES: ['Article', 'TechArticle', 'HowTo', 'FAQPage', 'QAPage', 'WebPage'],
+
+  /**
+   * Normalize a title or heading for comparison
+   * Drops site suffixes such as " | Zoho CRM" and punctuation
+   * @param {string} text - Title text
+   * @returns {string} Normalized text
+   */
+  normalizeTitle(text) {
+    return (text || '')
+      .split(/\s+[|–—-]\s+/)[0]
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * Check whether two titles refer to the same page
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {boolean}
+   */
+  titlesMatch(a, b) {
+    const left = this.normalizeTitle(a);
+    const right = this.normalizeTitle(b);
+    if (!left || !right) return false;
+    return left === right || left.includes(right) || right.includes(left);
+  },
+
+  /**
+   * Normalize a URL for comparison (no hash, query, or trailing slash)
+   * @param {string} url - URL
+   * @returns {string|null} Normalized URL
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.protocol}//${parsed.hostname.toLowerCase()}${parsed.pathname.replace(/\/+$/, '')}`;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Get the metadata payload, tolerating content extracted before metadata capture
+   * @param {Object} content - Normalized content
+   * @returns {Object} Metadata
+   */
+  getMetadata(content) {
+    return {
+      description: null,
+      canonical: null,
+      author: null,
+      product: null,
+      og: {},
+      jsonLd: [],
+      ...(content.meta.metadata || {})
+    };
+  },
+
+  /**
+   * Work out the product the page belongs to
+   * @param {Object} content - Normalized content
+   * @param {Object} metadata - Page metadata
+   * @returns {string|null} Product name
+   */
+  detectProduct(content, metadata) {
+    if (metadata.product) return metadata.product;
+    const crumb = (content.meta.breadcrumbs || []).find(item => /^zoho\s+\w+/i.test(item));
+    if (crumb) return crumb;
+    const titleMatch = (content.meta.title || '').match(/\bZoho\s+[A-Z][A-Za-z]+/);
+    return titleMatch ? titleMatch[0] : null;
+  },
+
+  /**
+   * Score metadata completeness (MD-01)
+   * @param {Object} content - Normalized content
+   * @param {Object} metadata - Page metadata
+   * @returns {Object} Score and issues
+   */
+  scoreCompleteness(content, metadata) {
+    const articleLd = metadata.jsonLd.find(node => this.ARTICLE_TYPES.includes(node.type));
+    // Markdown sources have no <head>; canonical, JSON-LD, Open Graph, and breadcrumbs come from the publishing template
+    const fromMarkdown = content.meta.inputFormat === 'markdown';
+    const checks = [
+      {
+        field: 'Meta description',
+        present: !!metadata.description,
+        severity: 'warning',
+        fix: fromMarkdown
+          ? 'Add a description field to the frontmatter summarizing what the page helps the user do'
+          : 'Add <meta name="description"> summarizing what the page helps the user do'
+      },
+      {
+        field: 'Canonical URL',
+        htmlOnly: true,
+        present: !!metadata.canonical,
+        severity: 'warning',
+        fix: 'Add <link rel="canonical"> so regional mirrors and copies resolve to one source'
+      },
+      {
+        field: 'Structured data (JSON-LD)',
+        htmlOnly: true,
+        present: !!articleLd,
+        severity: 'warning',
+        fix: 'Add a JSON-LD TechArticle, HowTo, or FAQPage block with headline, author, and dateModified'
+      },
+      {
+        field: 'Open Graph title and description',
+        htmlOnly: true,
+        present: !!(metadata.og.title && metadata.og.description),
+        severity: 'info',
+        fix: 'Add og:title and og:description meta tags'
+      },
+      {
+        field: 'Author or owning team',
+        present: !!(metadata.author || (articleLd && articleLd.author)),
+        severity: 'info',
+        fix: fromMarkdown
+          ? 'Name the author or owning team in an author field in the frontmatter'
+          : 'Name the author or owning team (meta author or JSON-LD author)'
+      },
+      {
+        field: 'Last-modified date',
+        present: !!(content.meta.lastUpdated || metadata.jsonLd.some(node => node.dateModified)),
+        severity: 'info',
+        fix: 'Publish dateModified in JSON-LD or a visible last-updated date'
+      },
+      {
+        field: 'Product',
+        present: !!this.detectProduct(content, metadata),
+        severity: 'info',
+        fix: 'Identify the product (meta name="product" or a breadcrumb such as "Zoho CRM")'
+      },
+      {
+        field: 'Breadcrumb trail',
+        htmlOnly: true,
+        present: (content.meta.breadcrumbs || []).length > 0,
+        severity: 'info',
+        fix: 'Add a breadcrumb trail (or JSON-LD BreadcrumbList) showing where the page sits'
+      }
+    ].filter(check => !(fromMarkdown && check.htmlOnly));
+
+    const present = checks.filter(check => check.present);
+    const issues = checks.filter(check => !check.present).map(check => ({
+      severity: check.severity,
+      message: `Missing metadata: ${check.field}`,
+      fix: check.fix
+    }));
+
+    return {
+      criterionId: 'MD-01',
+      score: Math.round((present.length / checks.length) * 10),
+      issues,
+      details: `${present.length} of ${checks.length} metadata fields present${present.length > 0 ? ` (${present.map(check => check.field).join(', ')})` : ''}.`
+    };
+  },
+
+  /**
+   * Score metadata consistency with the visible page (MD-02)
+   * @param {Object} content - Normalized content
+   * @param {Object} metadata - Page metadata
+   * @returns {Object|null} Score and issues, or null when there is nothing to compare
+   */
+  scoreConsistency(content, metadata) {
+    const h1 = content.structure.headings.find(h => h.level === 'h1');
+    const pageHeading = h1 ? h1.text : content.meta.title;
+    const checks = [];
+
+    // Local files and pasted HTML have no comparable URL
+    if (metadata.canonical && /^https?:/i.test(content.meta.url || '')) {
+      const pageUrl = this.normalizeUrl(content.meta.url);
+      const canonical = this.normalizeUrl(metadata.canonical);
+      checks.push({
+        ok: !canonical || pageUrl === canonical,
+        message: 'Canonical URL points to a different page',
+        excerpt: metadata.canonical,
+        fix: `Set the canonical URL to this page (${content.meta.url}) or confirm this page is an intended duplicate`
+      });
+    }
+
+    metadata.jsonLd.filter(node => this.ARTICLE_TYPES.includes(node.type) && node.headline).forEach(node => {
+      checks.push({
+        ok: this.titlesMatch(node.headline, pageHeading),
+        message: `JSON-LD ${node.type} headline does not match the page heading`,
+        excerpt: `"${node.headline}" vs "${pageHeading}"`,
+        fix: 'Use the H1 text as the JSON-LD headline'
+      });
+    });
+
+    if (metadata.og.title) {
+      checks.push({
+        ok: this.titlesMatch(metadata.og.title, pageHeading) || this.titlesMatch(metadata.og.title, content.meta.title),
+        message: 'og:title does not match the page heading or title',
+        excerpt: `"${metadata.og.title}" vs "${pageHeading}"`,
+        fix: 'Keep og:title in sync with the page title'
+      });
+    }
+
+    if (metadata.og.url && metadata.canonical) {
+      checks.push({
+        ok: this.normalizeUrl(metadata.og.url) === this.normalizeUrl(metadata.canonical),
+        message: 'og:url and canonical URL disagree',
+        excerpt: `${metadata.og.url} vs ${metadata.canonical}`,
+        fix: 'Point og:url at the canonical URL'
+      });
+    }
+
+    const modified = metadata.jsonLd.find(node => node.dateModified);
+    const visibleDate = Parser.parseDate(content.meta.lastUpdated);
+    const structuredDate = modified ? Parser.parseDate(modified.dateModified) : null;
+    if (visibleDate && structuredDate) {
+      checks.push({
+        ok: Math.abs(visibleDate.getTime() - structuredDate.getTime()) <= 24 * 60 * 60 * 1000,
+        message: 'JSON-LD dateModified differs from the visible last-updated date',
+        excerpt: `${modified.dateModified} vs ${content.meta.lastUpdated}`,
+        fix: 'Update both dates together when the article changes'
+      });
+    }
+
+    const faqLd = metadata.jsonLd.find(node => node.type === 'FAQPage');
+    if (faqLd) {
+      const questions = content.structure.headings.filter(h => /\?\s*$/.test(h.text)).length +
+        (content.structure.disclosures || []).length;
+      checks.push({
+        ok: questions > 0,
+        message: 'FAQPage structured data on a page with no visible questions',
+        fix: 'Only mark up questions that are visible on the page'
+      });
+    }
+
+    if (checks.length === 0) return null;
+
+    const failed = checks.filter(check => !check.ok);
+    return {
+      criterionId: 'MD-02',
+      score: Math.round(((checks.length - failed.length) / checks.length) * 10),
+      issues: failed.map(check => ({
+        severity: 'warning',
+        message: check.message,
+        excerpt: check.excerpt,
+        fix: check.fix
+      })),
+      details: `${checks.length - failed.length} of ${checks.length} metadata checks agree with the page.`
+    };
+  },
+
+  /**
+   * Run all metadata rules
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results
+   */
+  scoreAll(content) {
+    const metadata = this.getMetadata(content);
+    const results = {
+      categoryId: 'CAT-12',
+      categoryName: 'Metadata & Provenance',
+      product: this.detectProduct(content, metadata),
+      criteria: {}
+    };
+
+    results.criteria['MD-01'] = this.scoreCompleteness(content, metadata);
+    const consistency = this.scoreConsistency(content, metadata);
+    if (consistency) results.criteria['MD-02'] = consistency;
+
+    return RuleHelpers.finishCategory(results, 'metadata', {
+      'MD-01': 0.60,
+      'MD-02': 0.40
+    }, 0.5);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MetadataRules;
+}
@@ -0,0 +1,144 @@
+/**
+ * Outcomes & Reversibility Rule-Based Scoring (CAT-03)
+ * Finds destructive procedure steps and checks that each one has a warning nearby (OR-04),
+ * replacing the page-wide keyword check used in rule-only mode
+ */
+
+const OutcomesReversibilityRules = {
+  // "Reset" and "clear" also name harmless actions (Reset Password, Clear Filters)
+  DESTRUCTIVE_ACTIONS: ['delete', 'remove', 'uninstall', 'erase', 'purge', 'destroy'],
+
+  WARNING_PATTERN: /\b(cannot|can't|can not) be (undone|reversed|recovered|restored|retrieved)\b|\b(irreversible|irrecoverabl[ey]|permanent(ly)?|warning|caution|will be lost|before you (delete|remove|uninstall|erase|purge))\b/i,
+
+  WARNING_CALLOUT_TYPES: ['warning', 'caution', 'danger', 'alert'],
+
+  /**
+   * Get the destructive-action pattern, shared with the detection config
+   * @returns {RegExp} Pattern matching destructive verbs and their inflections
+   */
+  getDestructivePattern() {
+    const actions = globalThis.ScoringConfig?.detection?.destructiveActions || this.DESTRUCTIVE_ACTIONS;
+    return new RegExp(`\\b(${actions.join('|')})(s|d|ed|ing)?\\b`, 'i');
+  },
+
+  /**
+   * Get how many sentences before or after a step may carry its warning
+   * @returns {number} Sentence window
+   */
+  getWarningWindow() {
+    return globalThis.ScoringConfig?.categories?.['outcomes-reversibility']?.criteria?.['OR-04']?.warningWindow ?? 2;
+  },
+
+  /**
+   * Split content into document-order units (sentences and list items) per section
+   * Only items of procedural lists are steps; the rest can only carry warnings
+   * @param {Object} content - Normalized content
+   * @returns {Array} Sections with title, units, and warning callouts
+   */
+  getSections(content) {
+    const splitSentences = text => text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+
+    return Parser.getTree(content).sections.map(section => ({
+      title: section.title,
+      units: section.blocks.flatMap(block => {
+        if (block.type === 'list') {
+          const procedural = Parser.isProceduralList({ type: block.listType, items: block.items });
+          return block.items.map((item, itemIndex) => ({
+            text: item,
+            listItem: true,
+            step: procedural ? itemIndex + 1 : null
+          }));
+        }
+        if (block.type === 'paragraph') {
+          return splitSentences(block.text).map(sentence => ({ text: sentence, listItem: false, step: null }));
+        }
+        return [];
+      }),
+      warningCallouts: section.blocks.filter(block => block.type === 'callout' && (
+        this.WARNING_CALLOUT_TYPES.includes(block.calloutType) || this.WARNING_PATTERN.test(block.text)
+      ))
+    }));
+  },
+
+  /**
+   * Score warnings for destructive steps (OR-04)
+   * A step is protected by a warning callout in its section, or by warning phrasing
+   * within the configured number of sentences
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null when the page has no destructive steps
+   */
+  scoreDestructiveWarnings(content) {
+    const destructive = this.getDestructivePattern();
+    const span = this.getWarningWindow();
+    const steps = [];
+
+    this.getSections(content).forEach(section => {
+      section.units.forEach((unit, index) => {
+        // Answers and descriptions that mention a destructive action are not steps
+        if (!unit.step || !destructive.test(unit.text)) return;
+
+        const nearby = section.units.slice(Math.max(0, index - span), index + span + 1);
+        const protectedBy = section.warningCallouts.length > 0 ? 'callout'
+          : nearby.some(other => this.WARNING_PATTERN.test(other.text)) ? 'text'
+            : null;
+        steps.push({ section: section.title, text: unit.text, step: unit.step, protectedBy });
+      });
+    });
+
+    if (steps.length === 0) return null;
+
+    const unprotected = steps.filter(step => !step.protectedBy);
+    const issues = unprotected.slice(0, 5).map(step => ({
+      severity: 'warning',
+      message: `Destructive step has no warning: "${step.text.substring(0, 80)}${step.text.length > 80 ? '...' : ''}"`,
+      location: `Section "${step.section}", step ${step.step}`,
+      excerpt: step.text.substring(0, 160),
+      fix: 'Add a warning callout before this step that says what is lost and whether it can be undone or restored'
+    }));
+    if (unprotected.length > 5) {
+      issues.push({
+        severity: 'info',
+        message: `${unprotected.length - 5} more destructive steps have no warning`,
+        fix: 'Add a warning next to every step that deletes or removes data'
+      });
+    }
+
+    return {
+      criterionId: 'OR-04',
+      score: Math.round(((steps.length - unprotected.length) / steps.length) * 10),
+      issues,
+      details: `${steps.length - unprotected.length} of ${steps.length} destructive steps have a warning callout in their section or warning text within ${span} sentences.`
+    };
+  },
+
+  /**
+   * Run all outcomes and reversibility rules
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results
+   */
+  scoreAll(content) {
+    const results = {
+      categoryId: 'CAT-03',
+      categoryName: 'Outcomes & Reversibility',
+      criteria: {}
+    };
+
+    const warnings = this.scoreDestructiveWarnings(content);
+    results.applicable = warnings !== null;
+    if (!results.applicable) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    results.criteria['OR-04'] = warnings;
+    results.categoryScore = warnings.score;
+    results.allIssues = RuleHelpers.sortBySeverity(Object.values(results.criteria).flatMap(c => c.issues));
+
+    return results;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OutcomesReversibilityRules;
+}
@@ -0,0 +1,297 @@
+/**
+ * Permissions & Plans Rule-Based Scoring (CAT-04)
+ * Extracts requirement statements (roles, permissions, plan editions) and availability
+ * tables into a per-page requirements object, and checks they come before the first procedure.
+ * Also checks that procedures have a prerequisite block and do not start from unestablished state (PP-04).
+ * Markdown frontmatter plan and roles count as requirement statements
+ */
+
+const PermissionsPlansRules = {
+  ROLES: ['Super Admin', 'Administrator', 'Admin', 'CEO', 'Manager', 'Standard User', 'Account Owner', 'Organization Owner', 'Portal Admin', 'Support Admin', 'Developer'],
+
+  PLANS: ['Free', 'Standard', 'Professional', 'Enterprise', 'Ultimate', 'Express', 'Starter', 'Basic', 'Premium', 'Zoho One', 'CRM Plus'],
+
+  // A sentence that states who or what an action needs, rather than just mentioning a role
+  REQUIREMENT_PATTERN: /\b(only|available|requires?|required|must|needs?|permissions?|profiles?|roles?|access|editions?|plans?|subscriptions?|privileges?|enabled for|allowed|eligible)\b/i,
+  PLAN_CONTEXT_PATTERN: /\b(editions?|plans?|subscriptions?|tiers?)\b/i,
+  PERMISSION_PATTERN: /\b((?:[A-Z][\w-]*\s+){1,4})permissions?\b/g,
+
+  // A table only lists availability when its caption or headers say so, or its cells are check marks;
+  // pricing and comparison tables also name plans
+  AVAILABILITY_PATTERN: /\b(availab(le|ility)|editions?|supported (in|plans?)|included in)\b/i,
+  CHECK_MARK_PATTERN: /^([✓✔✅☑✗✘❌]\uFE0F?|yes|no)$/i,
+
+  /**
+   * Get role and plan names, with config overrides
+   * @returns {Object} roles and plans
+   */
+  getVocabulary() {
+    const config = globalThis.ScoringConfig?.categories?.['permissions-plans']?.requirements || {};
+    return {
+      roles: config.roles || this.ROLES,
+      plans: config.plans || this.PLANS
+    };
+  },
+
+  /**
+   * Flatten the document tree into ordered units (sentences, list items, callouts)
+   * @param {Object} content - Normalized content
+   * @returns {Object} Units, procedures, and tables, each with its section and document order
+   */
+  getOrderedUnits(content) {
+    const splitSentences = text => text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+    const units = [];
+    const procedures = [];
+    const tables = [];
+    let order = 0;
+
+    Parser.getTree(content).sections.forEach(section => {
+      section.blocks.forEach(block => {
+        // Paragraphs inside a callout are already part of the callout's text
+        if (block.inCallout || block.type === 'code' || block.type === 'image') return;
+        order += 1;
+        if (block.type === 'list') {
+          if (Parser.isProceduralList({ type: block.listType, items: block.items })) {
+            procedures.push({ section: section.title, steps: block.items.length, order });
+          }
+          block.items.forEach(item => units.push({ text: item, section: section.title, order }));
+        } else if (block.type === 'table') {
+          tables.push({ section: section.title, order });
+        } else {
+          splitSentences(block.text).forEach(sentence => units.push({ text: sentence, section: section.title, order }));
+        }
+      });
+    });
+
+    return { units, procedures, tables };
+  },
+
+  /**
+   * Find plan names in an availability table's headers or first column
+   * @param {Object} table - Table with caption, headers, and rows
+   * @param {string[]} plans - Plan names
+   * @returns {string[]} Plans the table lists, or none when it is not an availability table
+   */
+  getTablePlans(table, plans) {
+    const labelled = this.AVAILABILITY_PATTERN.test([table.caption || '', ...(table.headers || [])].join(' '));
+    const checkMarks = (table.rows || []).some(row => row.slice(1).some(cell => this.CHECK_MARK_PATTERN.test((cell || '').trim())));
+    if (!labelled && !checkMarks) return [];
+
+    const cells = [...(table.headers || []), ...(table.rows || []).map(row => row[0] || '')];
+    return plans.filter(plan => cells.some(cell => new RegExp(`^${plan}\\b`, 'i').test(cell.trim())));
+  },
+
+  /**
+   * Extract requirement statements and availability tables
+   * @param {Object} content - Normalized content
+   * @returns {Object} Requirements: roles, plans, permissions, statements, tables, and placement
+   */
+  extractRequirements(content) {
+    const { roles, plans } = this.getVocabulary();
+    const { units, procedures, tables } = this.getOrderedUnits(content);
+    const firstProcedure = procedures[0] || null;
+    const found = { roles: new Set(), plans: new Set(), permissions: new Set() };
+    const statements = [];
+
+    // Frontmatter plan and roles sit above the content, so they always precede the first procedure
+    const frontmatter = content.meta.frontmatter;
+    if (frontmatter) {
+      [['plan', frontmatter.plans, found.plans], ['role', frontmatter.roles, found.roles]].forEach(([kind, names, set]) => {
+        if (names.length === 0) return;
+        names.forEach(name => set.add(name));
+        statements.push({ text: `${kind}: ${names.join(', ')}`, section: 'Frontmatter', kinds: [kind], beforeProcedure: true });
+      });
+    }
+
+    units.forEach(unit => {
+      if (!this.REQUIREMENT_PATTERN.test(unit.text)) return;
+
+      const unitRoles = roles.filter(role => new RegExp(`\\b${role}s?\\b`, 'i').test(unit.text));
+      // Plan names are ordinary words ("free", "standard"), so require a capital and plan wording
+      const unitPlans = this.PLAN_CONTEXT_PATTERN.test(unit.text)
+        ? plans.filter(plan => new RegExp(`\\b${plan}\\b`).test(unit.text))
+        : [];
+      const unitPermissions = Array.from(unit.text.matchAll(this.PERMISSION_PATTERN))
+        .map(match => `${match[1].trim()} permission`);
+
+      const kinds = [
+        unitRoles.length > 0 && 'role',
+        unitPlans.length > 0 && 'plan',
+        unitPermissions.length > 0 && 'permission'
+      ].filter(Boolean);
+      if (kinds.length === 0) return;
+
+      unitRoles.forEach(role => found.roles.add(role));
+      unitPlans.forEach(plan => found.plans.add(plan));
+      unitPermissions.forEach(permission => found.permissions.add(permission));
+      statements.push({
+        text: unit.text,
+        section: unit.section,
+        kinds,
+        beforeProcedure: !firstProcedure || unit.order < firstProcedure.order
+      });
+    });
+
+    const availabilityTables = [];
+    (content.structure.tables || []).forEach((table, index) => {
+      const tablePlans = this.getTablePlans(table, plans);
+      if (tablePlans.length < 2) return;
+      tablePlans.forEach(plan => found.plans.add(plan));
+      // Section tables and structure tables are both in document order
+      const placed = tables[index];
+      availabilityTables.push({
+        caption: table.caption || null,
+        plans: tablePlans,
+        rowCount: table.rowCount,
+        section: placed ? placed.section : null,
+        beforeProcedure: !firstProcedure || (placed ? placed.order < firstProcedure.order : false)
+      });
+    });
+
+    return {
+      roles: Array.from(found.roles),
+      plans: Array.from(found.plans),
+      permissions: Array.from(found.permissions),
+      statements,
+      availabilityTables,
+      firstProcedure: firstProcedure ? { section: firstProcedure.section, steps: firstProcedure.steps } : null
+    };
+  },
+
+  /**
+   * Score one kind of requirement: stated before the first procedure
+   * A page that states no requirements of this kind may not have any, so it is not scored
+   * @param {Object} requirements - Result of extractRequirements
+   * @param {Object} spec - criterionId, kinds, label, names, fix, and whether tables count
+   * @returns {Object|null} Score and issues, or null when no requirement of this kind is stated
+   */
+  scoreRequirementKind(requirements, spec) {
+    const statements = requirements.statements.filter(statement => statement.kinds.some(kind => spec.kinds.includes(kind)));
+    const tables = spec.tables ? requirements.availabilityTables : [];
+    const { firstProcedure } = requirements;
+
+    if (statements.length === 0 && tables.length === 0) return null;
+
+    const early = statements.some(statement => statement.beforeProcedure) || tables.some(table => table.beforeProcedure);
+    const issues = [];
+    if (!early) {
+      const first = statements[0] || tables[0];
+      issues.push({
+        severity: 'warning',
+        message: `${spec.label.charAt(0).toUpperCase()}${spec.label.slice(1)} requirements appear only after the first procedure`,
+        location: `Section "${first.section}"`,
+        excerpt: first.text ? first.text.substring(0, 120) : undefined,
+        fix: `Move the ${spec.label} requirements above the steps in "${firstProcedure.section}" so readers know before they start`
+      });
+    }
+
+    return {
+      criterionId: spec.criterionId,
+      score: early ? 10 : 6,
+      issues,
+      details: `${spec.names.join(', ') || 'Stated'}${firstProcedure ? (early ? '; stated before the first procedure' : '; stated only after the first procedure') : ''} (rule-based).`
+    };
+  },
+
+  /**
+   * Score prerequisites for procedures (PP-04)
+   * Uses the procedures the parser pairs with prerequisite blocks
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null when the page has no procedures
+   */
+  scorePreconditions(content) {
+    const procedures = content.metrics?.procedures || Parser.computeProcedures(content);
+    if (procedures.length === 0) return null;
+
+    const covered = procedures.filter(procedure => procedure.prerequisite);
+    const unestablished = procedures.filter(procedure => procedure.assumedState && !procedure.assumedState.established);
+    const issues = [];
+
+    unestablished.slice(0, 5).forEach(procedure => {
+      issues.push({
+        severity: 'warning',
+        message: `First step assumes a ${procedure.assumedState.noun} that the page never sets up: "${procedure.assumedState.phrase}"`,
+        location: `Section "${procedure.section}", step 1`,
+        excerpt: procedure.firstStep.substring(0, 160),
+        fix: `Add a prerequisite that says how to create the ${procedure.assumedState.noun}, or link to the article that does`
+      });
+    });
+
+    const uncovered = procedures.filter(procedure => !procedure.prerequisite);
+    if (uncovered.length > 0) {
+      issues.push({
+        severity: 'info',
+        message: uncovered.length === 1
+          ? `Procedure in "${uncovered[0].section}" has no prerequisite block before it`
+          : `${uncovered.length} procedures have no prerequisite block before them`,
+        location: `Section "${uncovered[0].section}"`,
+        fix: 'Add a "Before you begin" or "Prerequisites" section listing what must be in place (access, setup, existing records) before the steps'
+      });
+    }
+
+    // Not every procedure needs prerequisites, so a missing block costs less than a broken first step
+    const score = Math.max(0, Math.round(5 + (covered.length / procedures.length) * 5) - unestablished.length * 2);
+
+    return {
+      criterionId: 'PP-04',
+      score,
+      issues,
+      details: `${covered.length} of ${procedures.length} procedures have a preceding prerequisite block; first steps assuming unestablished state: ${unestablished.length} (rule-based).`
+    };
+  },
+
+  /**
+   * Run all permissions and plans rules
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results, including the requirements object
+   */
+  scoreAll(content) {
+    const requirements = this.extractRequirements(content);
+    const results = {
+      categoryId: 'CAT-04',
+      categoryName: 'Permissions & Plans',
+      requirements,
+      criteria: {}
+    };
+
+    const planRequirements = this.scoreRequirementKind(requirements, {
+      criterionId: 'PP-02',
+      kinds: ['plan'],
+      tables: true,
+      label: 'plan',
+      names: requirements.plans,
+      fix: 'State which editions include this feature (for example "Available in Professional and Enterprise editions") before the steps'
+    });
+    if (planRequirements) results.criteria['PP-02'] = planRequirements;
+    const permissionRequirements = this.scoreRequirementKind(requirements, {
+      criterionId: 'PP-03',
+      kinds: ['role', 'permission'],
+      tables: false,
+      label: 'permission',
+      names: [...requirements.roles, ...requirements.permissions],
+      fix: 'State the role or profile permission needed (for example "You need the Administrator profile or the Manage Users permission") before the steps'
+    });
+    if (permissionRequirements) results.criteria['PP-03'] = permissionRequirements;
+    const preconditions = this.scorePreconditions(content);
+    if (preconditions) {
+      results.criteria['PP-04'] = preconditions;
+    }
+
+    results.applicable = Object.keys(results.criteria).length > 0;
+    if (!results.applicable) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    return RuleHelpers.finishCategory(results, 'permissions-plans', {
+      'PP-02': 0.25,
+      'PP-03': 0.25,
+      'PP-04': 0.25
+    }, 0.25);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PermissionsPlansRules;
+}
@@ -0,0 +1,369 @@
+/**
+ * Pricing Page Structure Rule-Based Scoring (CAT-05)
+ * Detects pricing pages and checks plan tables, per-plan limits, and price units
+ */
+
+const PricingRules = {
+  // Plan and edition names used across Zoho pricing pages
+  PLAN_NAMES: [
+    'free', 'trial', 'basic', 'starter', 'standard', 'professional', 'pro',
+    'premium', 'enterprise', 'ultimate', 'express', 'elite', 'plus', 'business'
+  ],
+
+  PRICING_HEADING_PATTERN: /\b(pricing|prices?|plans?|editions?|compare plans|plan comparison|subscription)\b/i,
+
+  CURRENCY_PATTERN: /([$€£₹¥]\s?\d[\d,]*(\.\d+)?|\b\d[\d,]*(\.\d+)?\s?(USD|EUR|GBP|INR|AUD|CAD|JPY|SGD|AED)\b|\b(USD|EUR|GBP|INR|AUD|CAD|JPY|SGD|AED)\s?\d[\d,]*(\.\d+)?)/,
+
+  BILLING_PERIOD_PATTERN: /(\bper\s+(user|agent|seat|month|year|annum|org|organization)\b|\/\s?(user|agent|seat|mo|month|yr|year)\b|\b(monthly|annually|yearly|billed)\b)/i,
+
+  LIMIT_PATTERN: /(\bunlimited\b|\b\d[\d,.]*\s?(k|m)?\s?(users?|records?|gb|mb|tb|requests?|api calls?|calls?|emails?|contacts?|credits?|forms?|submissions?|seats?|agents?|modules?|workflows?|fields?|reports?|dashboards?|storage)\b)/i,
+
+  ICON_ONLY_PATTERN: /^[\s✓✔✗✘×✕•·\-–—*]*$/,
+
+  /**
+   * Find plan names mentioned in a piece of text
+   * @param {string} text - Text to search
+   * @returns {string[]} Lowercase plan names found
+   */
+  findPlans(text) {
+    const lower = (text || '').toLowerCase();
+    return this.PLAN_NAMES.filter(plan => new RegExp(`\\b${plan}\\b`).test(lower));
+  },
+
+  /**
+   * Get the header row of a table (th cells, or the first row as a fallback)
+   * @param {Object} table - Table from content structure
+   * @returns {string[]} Header labels
+   */
+  getTableHeaders(table) {
+    if (table.headers && table.headers.length > 0) return table.headers;
+    return table.rows && table.rows[0] ? table.rows[0] : [];
+  },
+
+  /**
+   * Detect whether the page is a pricing page
+   * @param {Object} content - Normalized content
+   * @returns {Object} Detection result with signals, plan tables, and plans
+   */
+  detectPricingPage(content) {
+    const { structure } = content;
+    const headingMatch = structure.headings.some(h => this.PRICING_HEADING_PATTERN.test(h.text)) ||
+      this.PRICING_HEADING_PATTERN.test(content.meta.title || '');
+
+    const planTables = structure.tables.filter(table =>
+      this.findPlans(this.getTableHeaders(table).join(' ')).length >= 2
+    );
+
+    const currencyMatches = (content.text.fullText.match(new RegExp(this.CURRENCY_PATTERN.source, 'g')) || []).length;
+
+    const signals = {
+      pricingHeading: headingMatch,
+      planTables: planTables.length,
+      currencyTokens: currencyMatches
+    };
+
+    const signalCount = [headingMatch, planTables.length > 0, currencyMatches >= 2].filter(Boolean).length;
+
+    const plans = new Set();
+    planTables.forEach(table => this.findPlans(this.getTableHeaders(table).join(' ')).forEach(plan => plans.add(plan)));
+    if (plans.size === 0 && signalCount >= 2) {
+      structure.headings.forEach(h => this.findPlans(h.text).forEach(plan => plans.add(plan)));
+    }
+
+    return {
+      isPricing: signalCount >= 2,
+      signals,
+      planTables,
+      plans: Array.from(plans)
+    };
+  },
+
+  /**
+   * Score plan comparison tables (PR-04)
+   * Plans should be compared in real tables with text labels, not images or icons
+   * @param {Object} content - Normalized content
+   * @param {Object} detection - Pricing page detection
+   * @returns {Object} Score and issues
+   */
+  scoreComparisonTables(content, detection) {
+    const issues = [];
+    const pricingImages = content.structure.images.filter(img =>
+      /pric|plan|compar|edition/i.test(`${img.alt || ''} ${img.src || ''}`)
+    );
+
+    if (detection.planTables.length === 0) {
+      if (pricingImages.length > 0) {
+        issues.push({
+          severity: 'critical',
+          message: 'Plan comparison appears to be an image',
+          details: `${pricingImages.length} pricing-related image(s) and no plan comparison table`,
+          location: (pricingImages[0].src || '').split('/').pop().substring(0, 50),
+          fix: 'Replace the comparison image with an HTML table that lists each plan as a column'
+        });
+        return {
+          criterionId: 'PR-04',
+          score: 2,
+          issues,
+          details: 'No plan comparison table; pricing shown in images'
+        };
+      }
+
+      issues.push({
+        severity: 'warning',
+        message: 'Plans are not compared in a table',
+        fix: 'Add a comparison table with one column per plan and one row per feature or limit'
+      });
+      return {
+        criterionId: 'PR-04',
+        score: 4,
+        issues,
+        details: 'No plan comparison table found'
+      };
+    }
+
+    let totalCells = 0;
+    let iconOnlyCells = 0;
+    detection.planTables.forEach(table => {
+      const rows = table.headers && table.headers.length > 0 ? table.rows : table.rows.slice(1);
+      rows.forEach(row => {
+        // First cell is the feature label
+        row.slice(1).forEach(cell => {
+          totalCells += 1;
+          if (this.ICON_ONLY_PATTERN.test(cell)) iconOnlyCells += 1;
+        });
+      });
+    });
+
+    const iconRatio = totalCells > 0 ? iconOnlyCells / totalCells : 0;
+    let score = 10 - Math.min(6, Math.round(iconRatio * 10));
+
+    if (iconOnlyCells > 0) {
+      issues.push({
+        severity: iconRatio > 0.3 ? 'warning' : 'info',
+        message: `${iconOnlyCells} comparison cells have no text label`,
+        details: 'Cells that are empty or only contain check/cross icons are invisible to AI assistants',
+        fix: 'Use text such as "Included", "Not available", or the actual limit in every cell'
+      });
+    }
+
+    if (pricingImages.length > 0) {
+      score -= 1;
+      issues.push({
+        severity: 'info',
+        message: `${pricingImages.length} pricing-related image(s) alongside the comparison table`,
+        fix: 'Make sure anything shown in pricing images is also in the table text'
+      });
+    }
+
+    return {
+      criterionId: 'PR-04',
+      score: Math.max(0, Math.min(10, score)),
+      issues,
+      details: `${detection.planTables.length} plan comparison table(s). ${iconOnlyCells} of ${totalCells} cells without text labels.`
+    };
+  },
+
+  /**
+   * Score per-plan limits (PR-01, with price units)
+   * Each plan should state its limits (users, records, storage) in text or table rows
+   * @param {Object} content - Normalized content
+   * @param {Object} detection - Pricing page detection
+   * @returns {Object} Score and issues
+   */
+  scorePlanLimits(content, detection) {
+    const issues = [];
+
+    if (detection.plans.length === 0) {
+      return {
+        criterionId: 'PR-01',
+        score: 5,
+        issues: [{
+          severity: 'warning',
+          message: 'No plan names detected on the pricing page',
+          fix: 'Name each plan (for example Free, Standard, Professional) explicitly'
+        }],
+        details: 'Unable to match limits to plans'
+      };
+    }
+
+    const textUnits = [
+      ...content.structure.paragraphs.map(p => p.text),
+      ...content.structure.lists.flatMap(list => list.items)
+    ];
+
+    const plansWithLimits = new Set();
+
+    // Limits stated in sentences that name the plan
+    textUnits.forEach(text => {
+      if (!this.LIMIT_PATTERN.test(text)) return;
+      this.findPlans(text).forEach(plan => plansWithLimits.add(plan));
+    });
+
+    // Limits stated in the plan's column of a comparison table
+    detection.planTables.forEach(table => {
+      const headers = this.getTableHeaders(table).map(h => h.toLowerCase());
+      const rows = table.headers && table.headers.length > 0 ? table.rows : table.rows.slice(1);
+      headers.forEach((header, column) => {
+        const plan = this.findPlans(header)[0];
+        if (!plan) return;
+        const hasLimit = rows.some(row => {
+          const cell = row[column] || '';
+          return /\d/.test(cell) || /\bunlimited\b/i.test(cell);
+        });
+        if (hasLimit) plansWithLimits.add(plan);
+      });
+    });
+
+    const missing = detection.plans.filter(plan => !plansWithLimits.has(plan));
+    const score = Math.round((plansWithLimits.size / detection.plans.length) * 10);
+
+    missing.forEach(plan => {
+      const label = plan.charAt(0).toUpperCase() + plan.slice(1);
+      issues.push({
+        severity: 'warning',
+        message: `No limits stated for the ${label} plan`,
+        fix: `State the ${label} plan's limits (users, records, storage, API calls) as text or numbers in the table`
+      });
+    });
+
+    return {
+      criterionId: 'PR-01',
+      score: Math.max(0, Math.min(10, score)),
+      issues,
+      details: `${plansWithLimits.size} of ${detection.plans.length} plans have stated limits.`
+    };
+  },
+
+  /**
+   * Score currency and billing period units (PR-01, with plan limits)
+   * Every price should name its currency and billing period
+   * @param {Object} content - Normalized content
+   * @param {Object} detection - Pricing page detection
+   * @returns {Object} Score and issues
+   */
+  scorePriceUnits(content, detection) {
+    const issues = [];
+    const prices = [];
+
+    const checkText = (text, context, location) => {
+      const hasCurrency = this.CURRENCY_PATTERN.test(text);
+      const isPriceContext = /\b(price|pricing|cost)\b/i.test(context);
+      const bareAmount = /^\s*\d[\d,]*(\.\d{1,2})?\s*$/.test(text);
+      if (!hasCurrency && !(isPriceContext && bareAmount)) return;
+      // A bare zero is a free plan, not an ambiguous price
+      if (bareAmount && parseFloat(text.replace(/,/g, '')) === 0) return;
+      prices.push({
+        text: text.trim(),
+        location,
+        hasCurrency,
+        hasPeriod: this.BILLING_PERIOD_PATTERN.test(text) || this.BILLING_PERIOD_PATTERN.test(context)
+      });
+    };
+
+    content.structure.paragraphs.forEach(p => checkText(p.text, '', `Paragraph ${p.index + 1}`));
+    content.structure.lists.forEach(list => list.items.forEach(item => checkText(item, '', `List ${list.index + 1}`)));
+    detection.planTables.forEach((table, tableIndex) => {
+      const headers = this.getTableHeaders(table);
+      const rows = table.headers && table.headers.length > 0 ? table.rows : table.rows.slice(1);
+      rows.forEach(row => {
+        const rowLabel = row[0] || '';
+        row.slice(1).forEach((cell, i) => {
+          checkText(cell, `${rowLabel} ${table.caption || ''}`, `Table ${tableIndex + 1}, ${headers[i + 1] || `column ${i + 2}`}`);
+        });
+      });
+    });
+
+    if (prices.length === 0) {
+      return {
+        criterionId: 'PR-01',
+        score: 4,
+        issues: [{
+          severity: 'warning',
+          message: 'No prices found on the pricing page',
+          fix: 'List the price for each paid plan with its currency and billing period'
+        }],
+        details: 'No price amounts detected'
+      };
+    }
+
+    const explicit = prices.filter(p => p.hasCurrency && p.hasPeriod);
+    const score = Math.round((explicit.length / prices.length) * 10);
+
+    const missingCurrency = prices.filter(p => !p.hasCurrency);
+    const missingPeriod = prices.filter(p => p.hasCurrency && !p.hasPeriod);
+
+    if (missingCurrency.length > 0) {
+      issues.push({
+        severity: 'warning',
+        message: `${missingCurrency.length} price(s) without a currency`,
+        location: missingCurrency[0].location,
+        excerpt: missingCurrency[0].text,
+        fix: 'Add the currency symbol or code (for example USD 20 or ₹1,200) to every price'
+      });
+    }
+
+    if (missingPeriod.length > 0) {
+      issues.push({
+        severity: 'warning',
+        message: `${missingPeriod.length} price(s) without a billing period`,
+        location: missingPeriod[0].location,
+        excerpt: missingPeriod[0].text,
+        fix: 'State the billing unit next to the price (per user per month, billed annually)'
+      });
+    }
+
+    return {
+      criterionId: 'PR-01',
+      score: Math.max(0, Math.min(10, score)),
+      issues,
+      details: `${explicit.length} of ${prices.length} prices state both currency and billing period.`
+    };
+  },
+
+  /**
+   * Run all pricing rules
+   * Non-pricing pages are marked not applicable so they drop out of the composite
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results
+   */
+  scoreAll(content) {
+    const detection = this.detectPricingPage(content);
+    const results = {
+      categoryId: 'CAT-05',
+      categoryName: 'Pricing Page Structure',
+      applicable: detection.isPricing,
+      detection: {
+        signals: detection.signals,
+        plans: detection.plans
+      },
+      criteria: {}
+    };
+
+    if (!detection.isPricing) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    // PR-01 asks for pricing details and limits for every plan, so prices and limits score together
+    const limits = this.scorePlanLimits(content, detection);
+    const units = this.scorePriceUnits(content, detection);
+    const sentence = text => /[.!?]$/.test(text) ? text : `${text}.`;
+    results.criteria['PR-01'] = {
+      criterionId: 'PR-01',
+      score: Math.round((limits.score + units.score) / 2),
+      issues: [...limits.issues, ...units.issues],
+      details: `${sentence(limits.details)} ${sentence(units.details)}`
+    };
+    results.criteria['PR-04'] = this.scoreComparisonTables(content, detection);
+
+    return RuleHelpers.finishCategory(results, 'pricing', {
+      'PR-01': 0.65,
+      'PR-04': 0.35
+    });
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PricingRules;
+}
@@ -0,0 +1,134 @@
+/**
+ * Chunk Retrievability Rule-Based Scoring (CAT-14, GAP-02)
+ * Scores how well a page survives retrieval chunking, using the Chunker simulation
+ */
+
+const RetrievabilityRules = {
+  CHECK_LABELS: {
+    heading: 'has no heading',
+    noDanglingReference: 'opens with a dangling reference',
+    noOrphanedListItems: 'continues a list from an earlier chunk'
+  },
+
+  /**
+   * Score standalone meaning of chunks across strategies (CH-01)
+   * @param {Object} simulation - Result of Chunker.simulate
+   * @returns {Object} Score and issues
+   */
+  scoreStandaloneChunks(simulation) {
+    const scored = simulation.strategies.filter(strategy => strategy.standalone !== null);
+    const problems = {};
+
+    scored.forEach(strategy => {
+      strategy.chunks.forEach(chunk => {
+        Object.entries(chunk.checks).forEach(([check, ok]) => {
+          if (ok) return;
+          const key = `${check}|${chunk.section}`;
+          problems[key] = problems[key] || { check, section: chunk.section, excerpt: chunk.excerpt, strategies: new Set(), chunks: 0 };
+          problems[key].strategies.add(strategy.label);
+          problems[key].chunks += 1;
+        });
+      });
+    });
+
+    const fixes = {
+      heading: section => `Keep "${section}" within about ${simulation.settings.chunkTokens} words, or add subheadings so every chunk starts under a heading`,
+      noDanglingReference: section => `In "${section}", name the subject instead of opening with "this", "it", or "see above"`,
+      noOrphanedListItems: section => `Shorten the list in "${section}" or split it into titled groups so each chunk keeps the list's lead-in`
+    };
+
+    const issues = Object.values(problems)
+      .sort((a, b) => b.strategies.size - a.strategies.size || b.chunks - a.chunks)
+      .slice(0, 6)
+      .map(problem => ({
+        severity: problem.check === 'heading' ? 'info' : 'warning',
+        message: `Chunk from "${problem.section}" ${this.CHECK_LABELS[problem.check]}`,
+        details: `${Array.from(problem.strategies).join(', ')} (${problem.chunks} chunk${problem.chunks === 1 ? '' : 's'})`,
+        location: `Section "${problem.section}"`,
+        excerpt: problem.check === 'noDanglingReference' ? problem.excerpt : undefined,
+        fix: fixes[problem.check](problem.section)
+      }));
+
+    const score = scored.reduce((sum, strategy) => sum + strategy.standalone, 0) / scored.length;
+
+    return {
+      criterionId: 'CH-01',
+      score: Math.round(score * 10) / 10,
+      issues,
+      details: scored.map(strategy => `${strategy.label}: ${strategy.standalone}/10 over ${strategy.chunkCount} chunks`).join('; ')
+    };
+  },
+
+  /**
+   * Score procedures kept whole within one chunk (CH-02)
+   * @param {Object} simulation - Result of Chunker.simulate
+   * @returns {Object|null} Score and issues, or null when the page has no procedures
+   */
+  scoreIntactProcedures(simulation) {
+    const { strategies } = simulation;
+    const procedures = strategies.length > 0 ? strategies[0].procedures : 0;
+    if (procedures === 0) return null;
+
+    const bySection = {};
+    let splits = 0;
+    strategies.forEach(strategy => {
+      strategy.splitProcedures.forEach(procedure => {
+        splits += 1;
+        const key = `${procedure.section}|${procedure.steps}`;
+        bySection[key] = bySection[key] || { ...procedure, strategies: [] };
+        bySection[key].strategies.push(`${strategy.label} (chunks ${procedure.chunks.join(', ')})`);
+      });
+    });
+
+    const issues = Object.values(bySection).slice(0, 5).map(procedure => ({
+      severity: 'warning',
+      message: `Procedure in "${procedure.section}" (${procedure.steps} steps) is split across chunks`,
+      details: procedure.strategies.join('; '),
+      location: `Section "${procedure.section}"`,
+      fix: `Keep the ${procedure.steps} steps in "${procedure.section}" together: trim the text around them or break the task into shorter procedures under their own headings`
+    }));
+
+    const total = procedures * strategies.length;
+    return {
+      criterionId: 'CH-02',
+      score: Math.round(((total - splits) / total) * 10),
+      issues,
+      details: `${procedures} procedure(s); ${total - splits} of ${total} strategy runs keep each one in a single chunk.`
+    };
+  },
+
+  /**
+   * Run all retrievability rules
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results, including the simulation for the report
+   */
+  scoreAll(content) {
+    const simulation = Chunker.simulate(content);
+    const results = {
+      categoryId: 'CAT-14',
+      categoryName: 'Chunk Retrievability',
+      applicable: simulation.strategies.some(strategy => strategy.chunkCount > 0),
+      simulation,
+      criteria: {}
+    };
+
+    if (!results.applicable) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    results.criteria['CH-01'] = this.scoreStandaloneChunks(simulation);
+    const procedures = this.scoreIntactProcedures(simulation);
+    if (procedures) results.criteria['CH-02'] = procedures;
+
+    return RuleHelpers.finishCategory(results, 'retrievability', {
+      'CH-01': 0.60,
+      'CH-02': 0.40
+    }, 0.5);
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RetrievabilityRules;
+}
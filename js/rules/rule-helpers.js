@@ -0,0 +1,59 @@
+/**
+ * Shared helpers for the rule-based scoring modules
+ * Turns a module's criterion results into its category score and issue list
+ */
+
+const RuleHelpers = {
+  SEVERITY_ORDER: { critical: 0, warning: 1, info: 2 },
+
+  /**
+   * Sort issues by severity (critical first)
+   * @param {Array} issues - Issues
+   * @returns {Array} The same issues, sorted
+   */
+  sortBySeverity(issues) {
+    return issues.sort((a, b) => (this.SEVERITY_ORDER[a.severity] ?? 3) - (this.SEVERITY_ORDER[b.severity] ?? 3));
+  },
+
+  /**
+   * Weighted average of criterion scores, rounded to one decimal
+   * Config weights under categories[categoryKey].criteria override the defaults
+   * @param {Object} criteria - Criterion results by ID
+   * @param {string} categoryKey - Category key in the scoring config
+   * @param {Object} defaultWeights - Weight per criterion ID
+   * @param {number} fallbackWeight - Weight for a criterion with no default
+   * @returns {number|null} Score, or null without scored criteria
+   */
+  weightedScore(criteria, categoryKey, defaultWeights = {}, fallbackWeight = 0.33) {
+    const configWeights = globalThis.ScoringConfig?.categories?.[categoryKey]?.criteria || {};
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    Object.entries(criteria).forEach(([id, result]) => {
+      if (typeof result.score !== 'number') return;
+      const weight = configWeights[id]?.weight || defaultWeights[id] || fallbackWeight;
+      weightedSum += result.score * weight;
+      totalWeight += weight;
+    });
+
+    return totalWeight > 0 ? Math.round((weightedSum / totalWeight) * 10) / 10 : null;
+  },
+
+  /**
+   * Fill in categoryScore (weighted average of the criteria) and allIssues
+   * @param {Object} results - Rule results with criteria filled in
+   * @param {string} categoryKey - Category key in the scoring config
+   * @param {Object} defaultWeights - Weight per criterion ID
+   * @param {number} fallbackWeight - Weight for a criterion with no default
+   * @returns {Object} The same results
+   */
+  finishCategory(results, categoryKey, defaultWeights, fallbackWeight = 0.33) {
+    results.categoryScore = this.weightedScore(results.criteria, categoryKey, defaultWeights, fallbackWeight);
+    results.allIssues = this.sortBySeverity(Object.values(results.criteria).flatMap(c => c.issues));
+    return results;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RuleHelpers;
+}
@@ -0,0 +1,132 @@
+/**
+ * Self-Contained Context Rule-Based Scoring (CAT-09)
+ * Checks the first sentence of each section for dangling references (GAP-03),
+ * so rule-only mode has a real score instead of an estimate
+ */
+
+const SelfContainedRules = {
+  // Demonstratives that point at the page itself or at content later in the section
+  SELF_REFERENCE_NOUNS: /^(article|page|guide|document|topic|help|tutorial|section)s?$/i,
+  FORWARD_REFERENCE_NOUNS: {
+    table: /^tables?$/i,
+    list: /^(steps?|lists?|options?|settings?|fields?|items?|points?|instructions?)$/i,
+    code: /^(code|commands?|snippets?|examples?|samples?|requests?|responses?)$/i,
+    image: /^(images?|screenshots?|diagrams?|figures?)$/i
+  },
+
+  /**
+   * Get the first sentence of a section, from whichever paragraph or list comes first
+   * @param {Object} section - Content section
+   * @returns {string} First sentence, or an empty string
+   */
+  getFirstSentence(section) {
+    const parts = [
+      ...section.paragraphs.map(p => ({ text: p.text, position: p.position })),
+      ...section.lists.map(list => ({ text: list.items[0] || '', position: list.position }))
+    ].filter(part => part.text.trim().length > 0)
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+    if (parts.length === 0) return '';
+
+    return (parts[0].text.trim().match(/^[^.!?]*[.!?]?/) || [''])[0].trim();
+  },
+
+  /**
+   * Check whether an opening demonstrative has an antecedent in its own section
+   * "This article ..." points at the page, "These steps ..." at a list below, and
+   * "This report ..." under a "Reports" heading at the heading
+   * @param {string} sentence - First sentence
+   * @param {Object} section - Content section
+   * @returns {boolean} True when the reference resolves within the section
+   */
+  hasAntecedent(sentence, section) {
+    const match = sentence.match(/^(this|that|these|those)\s+([a-z-]+)/i);
+    if (!match) return false;
+
+    const noun = match[2].toLowerCase();
+    if (this.SELF_REFERENCE_NOUNS.test(noun)) return true;
+
+    const present = {
+      table: (section.tables || []).length > 0,
+      list: section.lists.length > 0,
+      code: (section.codeBlocks || []).length > 0,
+      image: (section.images || []).length > 0
+    };
+    if (Object.entries(this.FORWARD_REFERENCE_NOUNS).some(([kind, pattern]) => present[kind] && pattern.test(noun))) {
+      return true;
+    }
+
+    const stem = word => word.toLowerCase().replace(/(ies|es|s)$/, '');
+    const titleWords = (section.title || '').split(/[^A-Za-z-]+/).filter(Boolean).map(stem);
+    return titleWords.includes(stem(noun));
+  },
+
+  /**
+   * Score section openings for dangling references (GAP-03)
+   * @param {Object} content - Normalized content
+   * @returns {Object|null} Score and issues, or null without a section map
+   */
+  scoreDanglingReferences(content) {
+    const sections = content.sections || [];
+    const checked = sections
+      .map(section => ({ section, sentence: this.getFirstSentence(section) }))
+      .filter(entry => entry.sentence.length > 0);
+    if (checked.length === 0) return null;
+
+    const dangling = checked
+      .map(entry => ({ ...entry, opening: Parser.findDanglingReference(entry.sentence) }))
+      .filter(({ section, sentence, opening }) => opening && !this.hasAntecedent(sentence, section));
+
+    const issues = dangling.slice(0, 6).map(({ section, sentence, opening }) => ({
+      severity: 'warning',
+      message: `Section "${section.title}" opens with a dangling reference`,
+      location: `Section "${section.title}"`,
+      excerpt: sentence.substring(0, 120),
+      fix: `Name the subject instead of opening with "${opening}"; retrieved on its own, "${section.title}" has nothing earlier for it to refer to`
+    }));
+    if (dangling.length > 6) {
+      issues.push({
+        severity: 'info',
+        message: `${dangling.length - 6} more sections open with a dangling reference`,
+        fix: 'Start every section with a sentence that names its subject'
+      });
+    }
+
+    return {
+      criterionId: 'GAP-03',
+      score: Math.round((1 - dangling.length / checked.length) * 10),
+      issues,
+      details: `${dangling.length} of ${checked.length} sections open with a dangling reference (rule-based).`
+    };
+  },
+
+  /**
+   * Run all self-contained context rules
+   * @param {Object} content - Normalized content
+   * @returns {Object} Combined results
+   */
+  scoreAll(content) {
+    const results = {
+      categoryId: 'CAT-09',
+      categoryName: 'Self-Contained Context',
+      criteria: {}
+    };
+
+    const dangling = this.scoreDanglingReferences(content);
+    results.applicable = dangling !== null;
+    if (!results.applicable) {
+      results.categoryScore = null;
+      results.allIssues = [];
+      return results;
+    }
+
+    results.criteria['GAP-03'] = dangling;
+    results.categoryScore = dangling.score;
+    results.allIssues = RuleHelpers.sortBySeverity(Object.values(results.criteria).flatMap(c => c.issues));
+
+    return results;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelfContainedRules;
+}
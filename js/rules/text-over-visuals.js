@@ -212,7 +212,7 @@ const TextOverVisualsRules = {
     results.criteria['TB-03'] = this.scoreAltTextCoverage(metrics);
 
     // Calculate category score
-    const configWeights = window.ScoringConfig?.categories?.['text-over-visuals']?.criteria || {};
+    const configWeights = globalThis.ScoringConfig?.categories?.['text-over-visuals']?.criteria || {};
     const weights = {
       'TB-01': configWeights['TB-01']?.weight || 0.35,
       'TB-02': configWeights['TB-02']?.weight || 0.35,
@@ -4,14 +4,25 @@
  */
 
 const Scorer = {
-  // Category weights (must sum to 1.0)
+  // Category weights (the original categories sum to 1.0; later additions such as
+  // freshness, concrete data and metadata, and page-type categories such as pricing, FAQ, and
+  // error messages when applicable, add to that, and the composite is normalized by the weight
+  // actually scored)
   CATEGORY_WEIGHTS: {
     'content-structure': 0.30,
     'outcomes-reversibility': 0.25,
     'terminology': 0.15,
     'text-over-visuals': 0.10,
     'self-contained': 0.05,
-    'permissions-plans': 0.15
+    'permissions-plans': 0.15,
+    'pricing': 0.10,
+    'faq': 0.05,
+    'freshness': 0.05,
+    'concrete-data': 0.05,
+    'metadata': 0.05,
+    'error-messages': 0.05,
+    'retrievability': 0.05,
+    'keyword-coverage': 0.05
   },
 
   // Traffic light thresholds
@@ -40,13 +51,17 @@ const Scorer = {
    * @param {Object} metrics - Computed metrics from parser
    * @param {string} apiKey - Claude API key (optional for rule-only mode)
    * @param {Function} onProgress - Progress callback
+   * @param {Object} options - Scoring options
+   * @param {string[]} options.queries - Target search queries (derived from headings when empty)
    * @returns {Promise<Object>} Complete scoring results
    */
-  async scoreAll(content, metrics, apiKey = null, onProgress = () => {}) {
+  async scoreAll(content, metrics, apiKey = null, onProgress = () => {}, options = {}) {
     const results = {
       meta: {
         url: content.meta.url,
         title: content.meta.title,
+        markdownAlternate: content.meta.markdownAlternate || null,
+        siteProfile: content.meta.siteProfile || null,
         scoredAt: new Date().toISOString(),
         mode: apiKey ? 'full' : 'rule-only'
       },
@@ -63,10 +78,18 @@ const Scorer = {
     onProgress({ step: 'rules', message: 'Analyzing terminology...', percent: 25 });
     onProgress({ step: 'rules', message: 'Checking text vs visuals...', percent: 40 });
 
-    const [contentStructureResults, terminologyResults, textVisualsResults] = await Promise.all([
-      Promise.resolve(ContentStructureRules.scoreAll(metrics)),
+    const [contentStructureResults, terminologyResults, textVisualsResults, pricingResults, faqResults, freshnessResults, concreteDataResults, metadataResults, errorMessageResults, retrievabilityResults, keywordResults] = await Promise.all([
+      Promise.resolve(ContentStructureRules.scoreAll(metrics, content)),
       Promise.resolve(TerminologyRules.scoreAll(content)),
-      Promise.resolve(TextOverVisualsRules.scoreAll(metrics, content))
+      Promise.resolve(TextOverVisualsRules.scoreAll(metrics, content)),
+      Promise.resolve(PricingRules.scoreAll(content)),
+      Promise.resolve(FaqRules.scoreAll(content)),
+      Promise.resolve(FreshnessRules.scoreAll(metrics, new Date(results.meta.scoredAt))),
+      Promise.resolve(ConcreteDataRules.scoreAll(content)),
+      Promise.resolve(MetadataRules.scoreAll(content)),
+      Promise.resolve(ErrorMessageRules.scoreAll(content)),
+      Promise.resolve(RetrievabilityRules.scoreAll(content)),
+      Promise.resolve(KeywordCoverageRules.scoreAll(content, options.queries))
     ]);
 
     results.categories['content-structure'] = {
@@ -96,6 +119,155 @@ const Scorer = {
       issues: textVisualsResults.allIssues
     };
 
+    // Pricing is only scored on pricing pages; otherwise it drops out of the composite
+    results.categories['pricing'] = {
+      id: 'CAT-05',
+      name: 'Pricing Page Structure',
+      score: pricingResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['pricing'],
+      criteria: pricingResults.criteria,
+      issues: pricingResults.allIssues,
+      applicable: pricingResults.applicable,
+      detection: pricingResults.detection
+    };
+    if (!pricingResults.applicable) {
+      results.categories['pricing'].message = 'Not a pricing page (excluded from composite)';
+    }
+
+    // FAQ rules only apply when the page has question-and-answer content
+    results.categories['faq'] = {
+      id: 'CAT-06',
+      name: 'Intent-Driven FAQs',
+      score: faqResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['faq'],
+      criteria: faqResults.criteria,
+      issues: faqResults.allIssues,
+      applicable: faqResults.applicable,
+      detection: faqResults.detection
+    };
+    if (!faqResults.applicable) {
+      results.categories['faq'].message = 'No FAQ content on this page (excluded from composite)';
+    }
+
+    results.categories['freshness'] = {
+      id: 'CAT-10',
+      name: 'Freshness & Versioning',
+      score: freshnessResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['freshness'],
+      criteria: freshnessResults.criteria,
+      issues: freshnessResults.allIssues
+    };
+    results.meta.lastUpdated = freshnessResults.lastUpdated;
+    results.meta.contentAgeDays = freshnessResults.ageDays ?? null;
+
+    results.categories['concrete-data'] = {
+      id: 'CAT-11',
+      name: 'Concrete Data',
+      score: concreteDataResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['concrete-data'],
+      criteria: concreteDataResults.criteria,
+      issues: concreteDataResults.allIssues
+    };
+
+    results.categories['metadata'] = {
+      id: 'CAT-12',
+      name: 'Metadata & Provenance',
+      score: metadataResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['metadata'],
+      criteria: metadataResults.criteria,
+      issues: metadataResults.allIssues
+    };
+
+    // Error message documentation is only scored on pages with troubleshooting content
+    results.categories['error-messages'] = {
+      id: 'CAT-13',
+      name: 'Error Message Documentation',
+      score: errorMessageResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['error-messages'],
+      criteria: errorMessageResults.criteria,
+      issues: errorMessageResults.allIssues,
+      applicable: errorMessageResults.applicable,
+      detection: errorMessageResults.detection
+    };
+    if (!errorMessageResults.applicable) {
+      results.categories['error-messages'].message = 'No troubleshooting content on this page (excluded from composite)';
+    }
+
+    results.categories['retrievability'] = {
+      id: 'CAT-14',
+      name: 'Chunk Retrievability',
+      score: retrievabilityResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['retrievability'],
+      criteria: retrievabilityResults.criteria,
+      issues: retrievabilityResults.allIssues,
+      applicable: retrievabilityResults.applicable
+    };
+    if (!retrievabilityResults.applicable) {
+      results.categories['retrievability'].message = 'No text to chunk (excluded from composite)';
+    }
+    results.chunking = retrievabilityResults.simulation;
+
+    results.categories['keyword-coverage'] = {
+      id: 'CAT-15',
+      name: 'Keyword Coverage',
+      score: keywordResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['keyword-coverage'],
+      criteria: keywordResults.criteria,
+      issues: keywordResults.allIssues,
+      applicable: keywordResults.applicable
+    };
+    if (!keywordResults.applicable) {
+      results.categories['keyword-coverage'].message = 'No target queries supplied or derivable from headings (excluded from composite)';
+    } else if (keywordResults.estimated) {
+      results.categories['keyword-coverage'].estimated = true;
+      results.categories['keyword-coverage'].message = 'Estimated from queries derived from the headings (excluded from composite until target queries are supplied)';
+    }
+    results.keywordCoverage = keywordResults.coverage;
+
+    // Requirements before the first procedure (PP-02, PP-03) and prerequisites (PP-04) are
+    // checked by rule; Claude adds scope (PP-01) in full mode
+    const requirementResults = PermissionsPlansRules.scoreAll(content);
+    results.categories['permissions-plans'] = {
+      id: 'CAT-04',
+      name: 'Permissions & Plans',
+      score: requirementResults.categoryScore,
+      weight: this.CATEGORY_WEIGHTS['permissions-plans'],
+      criteria: requirementResults.criteria,
+      issues: requirementResults.allIssues,
+      applicable: requirementResults.applicable
+    };
+    if (!requirementResults.applicable) {
+      results.categories['permissions-plans'].message = 'No requirements or procedures found (excluded from composite)';
+    }
+    results.requirements = requirementResults.requirements;
+
+    // Destructive-step warnings (OR-04) are checked by rule; Claude adds OR-01 to OR-03 in full mode
+    const destructiveWarnings = OutcomesReversibilityRules.scoreAll(content);
+    if (destructiveWarnings.applicable) {
+      results.categories['outcomes-reversibility'] = {
+        id: 'CAT-03',
+        name: 'Outcomes & Reversibility',
+        score: destructiveWarnings.categoryScore,
+        weight: this.CATEGORY_WEIGHTS['outcomes-reversibility'],
+        criteria: destructiveWarnings.criteria,
+        issues: destructiveWarnings.allIssues
+      };
+    }
+
+    // Section openings are checked by rule (GAP-03) when the page has a section map;
+    // Claude adds GAP-04 and its own GAP-03 in full mode
+    const selfContained = SelfContainedRules.scoreAll(content);
+    if (selfContained.applicable) {
+      results.categories['self-contained'] = {
+        id: 'CAT-09',
+        name: 'Self-Contained Context',
+        score: selfContained.categoryScore,
+        weight: this.CATEGORY_WEIGHTS['self-contained'],
+        criteria: selfContained.criteria,
+        issues: selfContained.allIssues
+      };
+    }
+
     // Step 2: Claude-assisted scoring (if API key provided)
     if (apiKey) {
       onProgress({ step: 'claude', message: 'Running AI semantic analysis...', percent: 55 });
@@ -171,75 +343,63 @@ const Scorer = {
   addClaudeScores(results, transformedScores, rawClaudeResults) {
     const scores = transformedScores.scores;
 
-    // Outcomes & Reversibility
-    const orScores = ['OR-01', 'OR-02', 'OR-03', 'OR-04'];
-    const orCriteria = {};
-    let orIssues = [];
-    orScores.forEach(id => {
-      if (scores[id]) {
-        orCriteria[id] = scores[id];
-        orIssues = orIssues.concat(scores[id].issues || []);
-      }
-    });
-    const orAvg = this.averageScores(orCriteria);
-    results.categories['outcomes-reversibility'] = {
+    // Outcomes & Reversibility, merged with the rule-based OR-04 when the page has destructive steps
+    const outcomes = results.categories['outcomes-reversibility'] || {
       id: 'CAT-03',
       name: 'Outcomes & Reversibility',
-      score: orAvg,
+      score: null,
       weight: this.CATEGORY_WEIGHTS['outcomes-reversibility'],
-      criteria: orCriteria,
-      issues: orIssues
+      criteria: {},
+      issues: []
     };
-
-    // Self-Contained Context
-    const scScores = ['GAP-03', 'GAP-04'];
-    const scCriteria = {};
-    let scIssues = [];
-    scScores.forEach(id => {
-      if (scores[id]) {
-        scCriteria[id] = scores[id];
-        scIssues = scIssues.concat(scores[id].issues || []);
-      }
+    ['OR-01', 'OR-02', 'OR-03', 'OR-04'].forEach(id => {
+      if (scores[id]) this.mergeClaudeCriterion(outcomes, id, scores[id]);
     });
-    const scAvg = this.averageScores(scCriteria);
-    results.categories['self-contained'] = {
+    outcomes.score = RuleHelpers.weightedScore(outcomes.criteria, 'outcomes-reversibility', {
+      'OR-01': 0.30,
+      'OR-02': 0.25,
+      'OR-03': 0.25,
+      'OR-04': 0.20
+    });
+    outcomes.issues = RuleHelpers.sortBySeverity(outcomes.issues);
+    results.categories['outcomes-reversibility'] = outcomes;
+
+    // Self-Contained Context, merged with the rule-based GAP-03 when the page has sections
+    const selfContained = results.categories['self-contained'] || {
       id: 'CAT-09',
       name: 'Self-Contained Context',
-      score: scAvg,
+      score: null,
       weight: this.CATEGORY_WEIGHTS['self-contained'],
-      criteria: scCriteria,
-      issues: scIssues
+      criteria: {},
+      issues: []
     };
-
-    // Permissions & Plans
-    const ppScores = ['PP-01', 'PP-02', 'PP-03', 'PP-04'];
-    const ppCriteria = {};
-    let ppIssues = [];
-    ppScores.forEach(id => {
-      if (scores[id]) {
-        ppCriteria[id] = scores[id];
-        ppIssues = ppIssues.concat(scores[id].issues || []);
-      }
+    ['GAP-03', 'GAP-04'].forEach(id => {
+      if (scores[id]) this.mergeClaudeCriterion(selfContained, id, scores[id]);
     });
-    const ppAvg = this.averageScores(ppCriteria);
-    results.categories['permissions-plans'] = {
-      id: 'CAT-04',
-      name: 'Permissions & Plans',
-      score: ppAvg,
-      weight: this.CATEGORY_WEIGHTS['permissions-plans'],
-      criteria: ppCriteria,
-      issues: ppIssues
-    };
+    selfContained.score = RuleHelpers.weightedScore(selfContained.criteria, 'self-contained', { 'GAP-03': 0.50, 'GAP-04': 0.50 });
+    selfContained.issues = RuleHelpers.sortBySeverity(selfContained.issues);
+    results.categories['self-contained'] = selfContained;
+
+    // Permissions & Plans, merged with the rule-based PP-02 to PP-04
+    const permissions = results.categories['permissions-plans'];
+    ['PP-01', 'PP-02', 'PP-03', 'PP-04'].forEach(id => {
+      if (scores[id]) this.mergeClaudeCriterion(permissions, id, scores[id]);
+    });
+    permissions.score = RuleHelpers.weightedScore(permissions.criteria, 'permissions-plans', {
+      'PP-01': 0.25,
+      'PP-02': 0.25,
+      'PP-03': 0.25,
+      'PP-04': 0.25
+    }, 0.25);
+    permissions.issues = RuleHelpers.sortBySeverity(permissions.issues);
+    permissions.applicable = permissions.score !== null;
+    if (permissions.applicable) delete permissions.message;
 
     // Add Claude criteria to existing categories
-    if (scores['CS-03']) {
-      results.categories['content-structure'].criteria['CS-03'] = scores['CS-03'];
-      results.categories['content-structure'].issues.push(...(scores['CS-03'].issues || []));
-    }
-    if (scores['CS-05']) {
-      results.categories['content-structure'].criteria['CS-05'] = scores['CS-05'];
-      results.categories['content-structure'].issues.push(...(scores['CS-05'].issues || []));
-    }
+    // Merge with rule-based CS-03 (step atomicity) and CS-05 (workflow separation) or add new
+    ['CS-03', 'CS-05'].forEach(id => {
+      if (scores[id]) this.mergeClaudeCriterion(results.categories['content-structure'], id, scores[id]);
+    });
     if (scores['AV-02']) {
       // Merge with rule-based AV-02 or add new
       const existing = results.categories['terminology'].criteria['AV-02'];
@@ -251,15 +411,41 @@ const Scorer = {
     }
 
     // Recalculate content-structure score with new criteria
-    results.categories['content-structure'].score = this.averageScores(
-      results.categories['content-structure'].criteria
-    );
+    const structure = results.categories['content-structure'];
+    structure.score = RuleHelpers.weightedScore(structure.criteria, 'content-structure', {
+      'CS-01': 0.35,
+      'CS-02': 0.30,
+      'CS-03': 0.25,
+      'CS-04': 0.35,
+      'CS-05': 0.10,
+      'CS-06': 0.10,
+      'CS-07': 0.10,
+      'CS-08': 0.10
+    });
+    structure.issues = RuleHelpers.sortBySeverity(structure.issues);
 
     // Store Claude summary
     results.claudeSummary = rawClaudeResults.summary;
     results.claudeTopIssues = rawClaudeResults.topIssues;
   },
 
+  /**
+   * Add a Claude criterion to a category, averaging it with the rule-based result for the same ID
+   * @param {Object} category - Category result to modify
+   * @param {string} id - Criterion ID
+   * @param {Object} claudeResult - Transformed Claude score for the criterion
+   */
+  mergeClaudeCriterion(category, id, claudeResult) {
+    const existing = category.criteria[id];
+    if (existing) {
+      existing.score = Math.round((existing.score + claudeResult.score) / 2);
+      existing.issues = existing.issues.concat(claudeResult.issues || []);
+    } else {
+      category.criteria[id] = claudeResult;
+    }
+    category.issues.push(...(claudeResult.issues || []));
+  },
+
   /**
    * Add estimated scores for Claude categories when API not available
    * @param {Object} results - Results object to modify
@@ -269,25 +455,14 @@ const Scorer = {
     const issuesFor = () => [];
     const hasAny = terms => terms.some(term => text.includes(term));
 
-    // Outcomes & Reversibility (estimated)
+    // Outcomes & Reversibility: OR-01 to OR-03 need Claude, so the category stays estimated;
+    // the rule-based OR-04 is reported alongside the estimate when the page has destructive steps
+    const destructiveWarnings = results.categories['outcomes-reversibility'];
     let outcomeScore = 6;
-    const outcomeIssues = issuesFor();
-    const destructiveTerms = ['delete', 'remove', 'erase', 'discard', 'wipe', 'purge'];
-    const warningTerms = ['cannot be undone', 'irreversible', 'permanent', 'warning', 'caution'];
     const outcomeTerms = ['will', 'results in', 'creates', 'updates', 'changes', 'affects'];
-
-    if (hasAny(destructiveTerms) && !hasAny(warningTerms)) {
-      outcomeScore -= 2;
-      outcomeIssues.push({
-        severity: 'warning',
-        message: 'Destructive actions detected without reversibility warning',
-        fix: 'Add a warning if actions are irreversible or destructive'
-      });
-    }
     if (hasAny(outcomeTerms)) {
       outcomeScore += 1;
     }
-    outcomeScore = Math.max(0, Math.min(10, outcomeScore));
 
     results.categories['outcomes-reversibility'] = {
       id: 'CAT-03',
@@ -297,95 +472,66 @@ const Scorer = {
       criteria: {
         'EST-OR': {
           score: outcomeScore,
-          issues: outcomeIssues,
+          issues: [],
           details: 'Estimated from keyword heuristics (no Claude)'
-        }
+        },
+        ...(destructiveWarnings ? destructiveWarnings.criteria : {})
       },
-      issues: outcomeIssues,
+      issues: destructiveWarnings ? destructiveWarnings.issues : issuesFor(),
       estimated: true,
-      message: 'Estimated using heuristic checks (no Claude)'
+      message: destructiveWarnings
+        ? 'Estimated using heuristic checks (no Claude); destructive-step warnings (OR-04) checked by rule'
+        : 'Estimated using heuristic checks (no Claude)'
     };
 
-    // Permissions & Plans (estimated)
-    let permissionsScore = 6;
-    const permissionsIssues = issuesFor();
-    const permissionTerms = ['admin', 'permission', 'role', 'access', 'privilege'];
-    const planTerms = ['plan', 'edition', 'subscription', 'upgrade'];
-
-    if (hasAny(permissionTerms)) permissionsScore += 1;
-    if (hasAny(planTerms)) permissionsScore += 1;
-    if (!hasAny(permissionTerms) && !hasAny(planTerms)) {
-      permissionsScore -= 1;
-      permissionsIssues.push({
-        severity: 'info',
-        message: 'No explicit permissions or plan requirements detected',
-        fix: 'Call out required roles, permissions, or plan editions if applicable'
-      });
-    }
-    permissionsScore = Math.max(0, Math.min(10, permissionsScore));
-
-    results.categories['permissions-plans'] = {
-      id: 'CAT-04',
-      name: 'Permissions & Plans',
-      score: permissionsScore,
-      weight: this.CATEGORY_WEIGHTS['permissions-plans'],
-      criteria: {
-        'EST-PP': {
-          score: permissionsScore,
-          issues: permissionsIssues,
-          details: 'Estimated from keyword heuristics (no Claude)'
-        }
-      },
-      issues: permissionsIssues,
-      estimated: true,
-      message: 'Estimated using heuristic checks (no Claude)'
-    };
+    // Self-Contained Context: keep the rule-based GAP-03 when the page has a section map;
+    // otherwise fall back to an estimate
+    if (!results.categories['self-contained']) {
+      let contextScore = 6;
+      const contextIssues = issuesFor();
+      if (metrics && metrics.links && metrics.links.external > metrics.links.internal) {
+        contextScore -= 1;
+        contextIssues.push({
+          severity: 'info',
+          message: 'Relies heavily on external links for context',
+          fix: 'Ensure critical context is included in the page'
+        });
+      }
+      if (metrics && metrics.content && metrics.content.wordCount < 200) {
+        contextScore -= 1;
+        contextIssues.push({
+          severity: 'info',
+          message: 'Low word count may indicate insufficient context',
+          fix: 'Add more context so the page can stand alone'
+        });
+      }
+      if (metrics && metrics.headings && metrics.headings.count === 0) {
+        contextScore -= 1;
+        contextIssues.push({
+          severity: 'warning',
+          message: 'No headings detected to anchor context',
+          fix: 'Add headings to clarify context and structure'
+        });
+      }
+      contextScore = Math.max(0, Math.min(10, contextScore));
 
-    // Self-Contained Context (estimated)
-    let contextScore = 6;
-    const contextIssues = issuesFor();
-    if (metrics && metrics.links && metrics.links.external > metrics.links.internal) {
-      contextScore -= 1;
-      contextIssues.push({
-        severity: 'info',
-        message: 'Relies heavily on external links for context',
-        fix: 'Ensure critical context is included in the page'
-      });
-    }
-    if (metrics && metrics.content && metrics.content.wordCount < 200) {
-      contextScore -= 1;
-      contextIssues.push({
-        severity: 'info',
-        message: 'Low word count may indicate insufficient context',
-        fix: 'Add more context so the page can stand alone'
-      });
-    }
-    if (metrics && metrics.headings && metrics.headings.count === 0) {
-      contextScore -= 1;
-      contextIssues.push({
-        severity: 'warning',
-        message: 'No headings detected to anchor context',
-        fix: 'Add headings to clarify context and structure'
-      });
+      results.categories['self-contained'] = {
+        id: 'CAT-09',
+        name: 'Self-Contained Context',
+        score: contextScore,
+        weight: this.CATEGORY_WEIGHTS['self-contained'],
+        criteria: {
+          'EST-SC': {
+            score: contextScore,
+            issues: contextIssues,
+            details: 'Estimated from page structure heuristics (no Claude)'
+          }
+        },
+        issues: contextIssues,
+        estimated: true,
+        message: 'Estimated using heuristic checks (no Claude)'
+      };
     }
-    contextScore = Math.max(0, Math.min(10, contextScore));
-
-    results.categories['self-contained'] = {
-      id: 'CAT-09',
-      name: 'Self-Contained Context',
-      score: contextScore,
-      weight: this.CATEGORY_WEIGHTS['self-contained'],
-      criteria: {
-        'EST-SC': {
-          score: contextScore,
-          issues: contextIssues,
-          details: 'Estimated from page structure heuristics (no Claude)'
-        }
-      },
-      issues: contextIssues,
-      estimated: true,
-      message: 'Estimated using heuristic checks (no Claude)'
-    };
   },
 
   addSectionScores(results, content) {
@@ -1,6 +1,6 @@
 /**
- * Storage utilities for localStorage management
- * Handles API keys, preferences, and scoring history
+ * Storage utilities for localStorage management (in-memory fallback under Node)
+ * Handles API keys, preferences, scoring history, and target queries
  */
 
 const Storage = {
@@ -10,7 +10,8 @@ const Storage = {
     HISTORY: 'aiDocScorer_history',
     SETTINGS: 'aiDocScorer_settings',
     CLAUDE_CACHE: 'aiDocScorer_claudeCache',
-    RESULT_CACHE: 'aiDocScorer_resultCache'
+    RESULT_CACHE: 'aiDocScorer_resultCache',
+    TARGET_QUERIES: 'aiDocScorer_targetQueries'
   },
 
   MAX_HISTORY_ITEMS: 50,
@@ -18,6 +19,23 @@ const Storage = {
   CACHE_TTL_MS: 7 * 24 * 60 * 60 * 1000,
   MAX_RESULT_CACHE_ITEMS: 20,
 
+  /**
+   * Get the backing store (localStorage in the browser, in-memory under Node)
+   * @returns {Object} Object implementing getItem/setItem/removeItem
+   */
+  getStore() {
+    if (typeof localStorage !== 'undefined') return localStorage;
+    if (!this.memoryStore) {
+      const data = new Map();
+      this.memoryStore = {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+      };
+    }
+    return this.memoryStore;
+  },
+
   /**
    * Save API key (encrypted with basic obfuscation)
    * Note: This is not secure encryption, just basic obfuscation
@@ -26,12 +44,12 @@ const Storage = {
    */
   saveApiKey(apiKey) {
     if (!apiKey) {
-      localStorage.removeItem(this.KEYS.API_KEY);
+      this.getStore().removeItem(this.KEYS.API_KEY);
       return;
     }
     // Basic obfuscation - not secure, but prevents casual inspection
     const obfuscated = btoa(apiKey.split('').reverse().join(''));
-    localStorage.setItem(this.KEYS.API_KEY, obfuscated);
+    this.getStore().setItem(this.KEYS.API_KEY, obfuscated);
   },
 
   /**
@@ -39,7 +57,7 @@ const Storage = {
    * @returns {string|null} The API key or null
    */
   getApiKey() {
-    const obfuscated = localStorage.getItem(this.KEYS.API_KEY);
+    const obfuscated = this.getStore().getItem(this.KEYS.API_KEY);
     if (!obfuscated) return null;
     try {
       return atob(obfuscated).split('').reverse().join('');
@@ -60,7 +78,7 @@ const Storage = {
    * Clear API key
    */
   clearApiKey() {
-    localStorage.removeItem(this.KEYS.API_KEY);
+    this.getStore().removeItem(this.KEYS.API_KEY);
   },
 
   /**
@@ -68,7 +86,7 @@ const Storage = {
    * @param {string} theme - 'light' or 'dark'
    */
   saveTheme(theme) {
-    localStorage.setItem(this.KEYS.THEME, theme);
+    this.getStore().setItem(this.KEYS.THEME, theme);
   },
 
   /**
@@ -76,11 +94,11 @@ const Storage = {
    * @returns {string} 'light' or 'dark'
    */
   getTheme() {
-    const saved = localStorage.getItem(this.KEYS.THEME);
+    const saved = this.getStore().getItem(this.KEYS.THEME);
     if (saved) return saved;
 
     // Check system preference
-    if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+    if (typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
       return 'dark';
     }
     return 'light';
@@ -115,7 +133,7 @@ const Storage = {
       history.splice(this.MAX_HISTORY_ITEMS);
     }
 
-    localStorage.setItem(this.KEYS.HISTORY, JSON.stringify(history));
+    this.getStore().setItem(this.KEYS.HISTORY, JSON.stringify(history));
   },
 
   /**
@@ -124,7 +142,7 @@ const Storage = {
    */
   getHistory() {
     try {
-      const data = localStorage.getItem(this.KEYS.HISTORY);
+      const data = this.getStore().getItem(this.KEYS.HISTORY);
       return data ? JSON.parse(data) : [];
     } catch {
       return [];
@@ -135,7 +153,7 @@ const Storage = {
    * Clear scoring history
    */
   clearHistory() {
-    localStorage.removeItem(this.KEYS.HISTORY);
+    this.getStore().removeItem(this.KEYS.HISTORY);
   },
 
   /**
@@ -144,7 +162,7 @@ const Storage = {
    */
   getClaudeCache() {
     try {
-      const data = localStorage.getItem(this.KEYS.CLAUDE_CACHE);
+      const data = this.getStore().getItem(this.KEYS.CLAUDE_CACHE);
       return data ? JSON.parse(data) : {};
     } catch {
       return {};
@@ -162,7 +180,7 @@ const Storage = {
     if (!entry) return null;
     if (entry.savedAt && Date.now() - new Date(entry.savedAt).getTime() > this.CACHE_TTL_MS) {
       delete cache[hash];
-      localStorage.setItem(this.KEYS.CLAUDE_CACHE, JSON.stringify(cache));
+      this.getStore().setItem(this.KEYS.CLAUDE_CACHE, JSON.stringify(cache));
       return null;
     }
     return entry;
@@ -183,7 +201,7 @@ const Storage = {
       .sort((a, b) => new Date(b[1].savedAt) - new Date(a[1].savedAt))
       .slice(0, this.MAX_CACHE_ITEMS);
     const pruned = Object.fromEntries(entries);
-    localStorage.setItem(this.KEYS.CLAUDE_CACHE, JSON.stringify(pruned));
+    this.getStore().setItem(this.KEYS.CLAUDE_CACHE, JSON.stringify(pruned));
   },
 
   /**
@@ -192,7 +210,7 @@ const Storage = {
    */
   getResultCache() {
     try {
-      const data = localStorage.getItem(this.KEYS.RESULT_CACHE);
+      const data = this.getStore().getItem(this.KEYS.RESULT_CACHE);
       return data ? JSON.parse(data) : {};
     } catch {
       return {};
@@ -223,7 +241,46 @@ const Storage = {
     const entries = Object.entries(cache)
       .sort((a, b) => new Date(b[1].savedAt) - new Date(a[1].savedAt))
       .slice(0, this.MAX_RESULT_CACHE_ITEMS);
-    localStorage.setItem(this.KEYS.RESULT_CACHE, JSON.stringify(Object.fromEntries(entries)));
+    this.getStore().setItem(this.KEYS.RESULT_CACHE, JSON.stringify(Object.fromEntries(entries)));
+  },
+
+  /**
+   * Get the target queries map (page URL -> queries)
+   * @returns {Object} Queries map
+   */
+  getTargetQueriesMap() {
+    try {
+      const data = this.getStore().getItem(this.KEYS.TARGET_QUERIES);
+      return data ? JSON.parse(data) : {};
+    } catch {
+      return {};
+    }
+  },
+
+  /**
+   * Get target queries for a page
+   * @param {string} url - Page URL (the fragment is ignored)
+   * @returns {string[]} Queries
+   */
+  getTargetQueries(url) {
+    return this.getTargetQueriesMap()[(url || '').split('#')[0]] || [];
+  },
+
+  /**
+   * Save target queries for a page; an empty list removes them
+   * @param {string} url - Page URL (the fragment is ignored)
+   * @param {string[]} queries - Queries
+   */
+  saveTargetQueries(url, queries) {
+    const map = this.getTargetQueriesMap();
+    const key = (url || '').split('#')[0];
+    const cleaned = (queries || []).map(query => query.trim()).filter(Boolean);
+    if (cleaned.length > 0) {
+      map[key] = cleaned;
+    } else {
+      delete map[key];
+    }
+    this.getStore().setItem(this.KEYS.TARGET_QUERIES, JSON.stringify(map));
   },
 
   /**
@@ -233,7 +290,7 @@ const Storage = {
   removeFromHistory(id) {
     const history = this.getHistory();
     const filtered = history.filter(h => h.id !== id);
-    localStorage.setItem(this.KEYS.HISTORY, JSON.stringify(filtered));
+    this.getStore().setItem(this.KEYS.HISTORY, JSON.stringify(filtered));
   },
 
   /**
@@ -243,7 +300,7 @@ const Storage = {
   saveSettings(settings) {
     const current = this.getSettings();
     const merged = { ...current, ...settings };
-    localStorage.setItem(this.KEYS.SETTINGS, JSON.stringify(merged));
+    this.getStore().setItem(this.KEYS.SETTINGS, JSON.stringify(merged));
   },
 
   /**
@@ -258,7 +315,7 @@ const Storage = {
     };
 
     try {
-      const data = localStorage.getItem(this.KEYS.SETTINGS);
+      const data = this.getStore().getItem(this.KEYS.SETTINGS);
       return data ? { ...defaults, ...JSON.parse(data) } : defaults;
     } catch {
       return defaults;
@@ -274,7 +331,8 @@ const Storage = {
       exportedAt: new Date().toISOString(),
       theme: this.getTheme(),
       history: this.getHistory(),
-      settings: this.getSettings()
+      settings: this.getSettings(),
+      targetQueries: this.getTargetQueriesMap()
       // Note: API key intentionally not exported
     };
   },
@@ -284,7 +342,7 @@ const Storage = {
    */
   clearAll() {
     Object.values(this.KEYS).forEach(key => {
-      localStorage.removeItem(key);
+      this.getStore().removeItem(key);
     });
   }
 };
@@ -0,0 +1,26 @@
+/**
+ * Browser app helpers that run without a DOM
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules } = require('./helpers');
+const App = require('../js/app.js');
+
+const { Extractor } = modules;
+
+test('manual URLs get a scheme when they lack one', () => {
+  assert.equal(App.normalizeManualUrl(''), '');
+  assert.equal(App.normalizeManualUrl('help.zoho.com/crm/leads'), 'https://help.zoho.com/crm/leads');
+  assert.equal(App.normalizeManualUrl('file:///docs/leads.md'), 'file:///docs/leads.md');
+});
+
+test('unparseable manual URLs fall back to a per-draft URL', () => {
+  assert.equal(App.normalizeManualUrl('not a url'), '');
+  assert.equal(App.normalizeManualUrl('https://exa mple.com'), '');
+
+  const first = Extractor.fromText('Import leads.', { title: 'Import leads', url: App.normalizeManualUrl('not a url') });
+  const second = Extractor.fromText('Export leads.', { title: 'Export leads', url: App.normalizeManualUrl('also not a url') });
+  assert.equal(first.meta.url, 'draft:import-leads');
+  assert.equal(second.meta.url, 'draft:export-leads');
+});
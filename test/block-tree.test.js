@@ -0,0 +1,69 @@
+/**
+ * Ordered content blocks and the document tree built from them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { Parser } = modules;
+
+const PAGE = `<main><h1>Delete a module</h1>
+<p>Delete custom modules you no longer use.</p>
+<div class="warning"><p>Deleted modules cannot be restored.</p></div>
+<h2>Steps</h2>
+<ol><li>Open Setup.</li><li>Click Delete.</li></ol>
+<table><thead><tr><th>Edition</th><th>Custom modules</th></tr></thead><tbody><tr><td>Enterprise</td><td>200</td></tr></tbody></table>
+<p>The module is removed for every user.</p>
+</main>`;
+
+test('extraction emits blocks in reading order with DOM paths', () => {
+  const content = contentFromHtml(PAGE);
+  const types = content.blocks.map(block => block.type);
+
+  assert.deepEqual(types.slice(0, 2), ['heading', 'paragraph']);
+  assert.ok(types.indexOf('list') < types.indexOf('table'));
+  assert.ok(content.blocks.every(block => typeof block.path === 'string' && block.path.length > 0));
+});
+
+test('the tree groups blocks into sections with offsets into the full text', () => {
+  const content = contentFromHtml(PAGE);
+  const { sections } = Parser.getTree(content);
+
+  assert.deepEqual(sections.map(section => section.title), ['Delete a module', 'Steps']);
+  const steps = sections[1];
+  assert.deepEqual(steps.blocks.map(block => block.type), ['list', 'table', 'paragraph']);
+  assert.equal(content.text.fullText.substring(steps.blocks[2].offset.start, steps.blocks[2].offset.end), 'The module is removed for every user.');
+  assert.equal(steps.wordCount, 11);
+});
+
+test('paragraphs inside a callout are marked and not counted twice', () => {
+  const { sections } = Parser.getTree(contentFromHtml(PAGE));
+  const intro = sections[0].blocks;
+  const callout = intro.find(block => block.type === 'callout');
+  const inner = intro.find(block => block.type === 'paragraph' && block.text === 'Deleted modules cannot be restored.');
+
+  assert.ok(callout);
+  assert.equal(inner.inCallout, true);
+  assert.equal(intro.find(block => block.text === 'Delete custom modules you no longer use.').inCallout, false);
+});
+
+test('structure arrays and the section map are derived from the tree', () => {
+  const content = contentFromHtml(PAGE);
+
+  assert.deepEqual(content.structure.headings.map(h => h.level), ['h1', 'h2']);
+  assert.equal(content.structure.tables[0].caption, null);
+  assert.deepEqual(content.structure.tables[0].headers, ['Edition', 'Custom modules']);
+  const steps = content.sections.find(section => section.title === 'Steps');
+  assert.ok(steps.lists[0].position < steps.tables[0].position);
+  assert.ok(steps.tables[0].position < steps.paragraphs[0].position);
+});
+
+test('payloads without blocks build the tree from their section map', () => {
+  const content = contentFromHtml(PAGE);
+  const legacy = { meta: content.meta, text: content.text, structure: content.structure, sections: content.sections };
+  const { sections } = Parser.buildTree(legacy);
+
+  assert.deepEqual(sections.map(section => section.title), ['Delete a module', 'Steps']);
+  assert.deepEqual(sections[1].blocks.map(block => block.type), ['list', 'table', 'paragraph']);
+});
@@ -0,0 +1,79 @@
+/**
+ * Chunk simulation (GAP-02) and CAT-14 Chunk Retrievability rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { Chunker, RetrievabilityRules } = modules;
+
+const steps = count => Array.from({ length: count }, (_, i) => `<li>Open step ${i + 1} of the import and confirm the field mapping for each column.</li>`).join('');
+
+const LONG_PROCEDURE_PAGE = `<main><h1>Import leads</h1>
+<h2>Before you import</h2>
+<p>Prepare a CSV file with one lead per row and a header row that names each column.</p>
+<h2>Import the file</h2>
+<p>Follow these steps to import the file into Zoho CRM.</p>
+<ol>${steps(12)}</ol>
+<h2>After the import</h2>
+<p>This shows the import history. Open it to undo an import within 60 days.</p>
+</main>`;
+
+test('settings fall back to the default window for invalid sizes', () => {
+  [0, -5, 'abc'].forEach(chunkTokens =>
+    assert.equal(Chunker.getSettings({ chunkTokens }).chunkTokens, 200, String(chunkTokens)));
+});
+
+test('overlap is clamped so every window advances', () => {
+  assert.equal(Chunker.getSettings({ chunkTokens: 10, overlapTokens: 50 }).overlapTokens, 9);
+  assert.equal(Chunker.getSettings({ overlapTokens: -10 }).overlapTokens, 0);
+  assert.equal(Chunker.getSettings({ chunkTokens: 1, overlapTokens: 40 }).overlapTokens, 0);
+  assert.deepEqual(Chunker.getSettings({ strategies: ['fixed', 'semantic'] }).strategies, ['fixed']);
+});
+
+test('the simulation ends with extreme settings', () => {
+  const content = contentFromHtml(LONG_PROCEDURE_PAGE);
+  const simulation = Chunker.simulate(content, { chunkTokens: 1, overlapTokens: 1, strategies: ['fixed'] });
+  const fixed = simulation.strategies[0];
+  assert.equal(simulation.settings.overlapTokens, 0);
+  assert.equal(fixed.chunkCount, Chunker.getBlocks(content).reduce((sum, block) => sum + block.words.length, 0));
+});
+
+test('small chunks split procedures, orphan list items, and open with dangling references', () => {
+  const simulation = Chunker.simulate(contentFromHtml(LONG_PROCEDURE_PAGE), { chunkTokens: 60, overlapTokens: 0 });
+  const heading = simulation.strategies.find(strategy => strategy.id === 'heading');
+
+  assert.equal(heading.procedures, 1);
+  assert.equal(heading.splitProcedures.length, 1);
+  assert.equal(heading.splitProcedures[0].section, 'Import the file');
+  assert.ok(heading.chunks.some(chunk => !chunk.checks.noOrphanedListItems));
+
+  const after = heading.chunks.find(chunk => chunk.section === 'After the import');
+  assert.equal(after.checks.noDanglingReference, false);
+});
+
+test('short pages keep procedures whole and score well', () => {
+  const results = RetrievabilityRules.scoreAll(contentFromHtml(`<main><h1>Export contacts</h1>
+<p>Export contacts to a CSV file for use in other tools.</p>
+<ol><li>Open the Contacts module.</li><li>Click Export.</li><li>Choose CSV and click Download.</li></ol>
+</main>`));
+
+  assert.equal(results.criteria['CH-02'].score, 10);
+  assert.equal(results.criteria['CH-01'].score, 10);
+  assert.equal(results.categoryScore, 10);
+});
+
+test('split procedures lower the category score', () => {
+  const config = globalThis.ScoringConfig.categories.retrievability;
+  const saved = config.chunking;
+  config.chunking = { chunkTokens: 60, overlapTokens: 0 };
+  try {
+    const results = RetrievabilityRules.scoreAll(contentFromHtml(LONG_PROCEDURE_PAGE));
+    assert.equal(results.criteria['CH-02'].score, 0);
+    assert.ok(results.categoryScore < 6);
+    assert.ok(results.allIssues.some(issue => issue.message === 'Procedure in "Import the file" (12 steps) is split across chunks'));
+  } finally {
+    config.chunking = saved;
+  }
+});
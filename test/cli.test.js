@@ -0,0 +1,48 @@
+/**
+ * Headless CLI: argument parsing, targets, and output formats
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { fixture, runCli } = require('./helpers');
+const Cli = require('../cli/score');
+
+test('parseArgs reads options and rejects unknown flags', () => {
+  const options = Cli.parseArgs(['page.html', '--json', '--top', '3', 'docs/']);
+  assert.deepEqual(options.inputs, ['page.html', 'docs/']);
+  assert.equal(options.json, true);
+  assert.equal(options.top, 3);
+  assert.throws(() => Cli.parseArgs(['--jsn']), /Unknown option: --jsn/);
+});
+
+test('collectTargets walks directories and keeps URLs', () => {
+  const targets = Cli.collectTargets([path.dirname(fixture('article.html')), 'https://help.zoho.com/a']);
+  assert.ok(targets.some(target => target.type === 'file' && target.location.endsWith('article.html')));
+  assert.deepEqual(targets[targets.length - 1], { type: 'url', location: 'https://help.zoho.com/a' });
+  assert.throws(() => Cli.collectTargets(['missing.html']), /No such file or directory/);
+});
+
+test('prints a text report for an HTML file', () => {
+  const { code, stdout } = runCli([fixture('article.html')]);
+  assert.equal(code, 0);
+  assert.match(stdout, /^Reset a user password \| Zoho CRM/);
+  assert.match(stdout, /Composite: \d+\.\d\/10/);
+});
+
+test('prints the full results with --json', () => {
+  const { code, json } = runCli(['--json', fixture('article.html')]);
+  assert.equal(code, 0);
+  assert.equal(json.meta.title, 'Reset a user password | Zoho CRM');
+  assert.equal(typeof json.compositeScore, 'number');
+  assert.equal(json.meta.mode, 'rule-only');
+});
+
+test('exits 2 on usage errors and 1 when a target fails', () => {
+  assert.equal(runCli([]).code, 2);
+  assert.equal(runCli(['--bogus', fixture('article.html')]).code, 2);
+
+  const { code, stdout } = runCli(['https://localhost:1/unreachable']);
+  assert.equal(code, 1);
+  assert.match(stdout, /Error:/);
+});
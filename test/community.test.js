@@ -0,0 +1,72 @@
+/**
+ * CAT-07 Community Content Consolidation: thread detection and batch analysis
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { modules, fixture, toDocument, runCli } = require('./helpers');
+
+const { Community } = modules;
+
+const threadFromFile = (name, url) => Community.extractThread(
+  toDocument(fs.readFileSync(fixture(name), 'utf8'), url),
+  url
+);
+
+test('extracts a community thread with its accepted answer', () => {
+  const thread = threadFromFile('community/thread.html', 'https://help.zoho.com/portal/en/community/topic/deleted-records');
+  assert.equal(thread.question, 'How long do deleted records stay in the recycle bin?');
+  assert.equal(thread.productArea, 'crm');
+  assert.match(thread.acceptedAnswers[0], /^Deleted records stay in the Recycle Bin for 30 days/);
+});
+
+test('FAQPage markup and community-named KB URLs are not threads', () => {
+  assert.equal(threadFromFile('faq.html', 'https://help.zoho.com/portal/en/kb/crm/faq'), null);
+
+  const kbUrl = 'https://help.zoho.com/portal/en/community/kb/export-contacts';
+  const doc = toDocument('<main><h1>Export contacts</h1><p>Click Export in Setup.</p></main>', kbUrl);
+  assert.equal(Community.extractThread(doc, kbUrl), null);
+});
+
+test('analyze reports uncovered answers and KB contradictions per product area', () => {
+  const kbPages = [{
+    url: 'https://help.zoho.com/portal/en/kb/crm/recycle-bin',
+    title: 'Recycle bin',
+    text: 'Deleted records stay in the Recycle Bin for 60 days. Administrators can restore deleted records from the Recycle Bin before they are purged.'
+  }];
+  const threads = [
+    {
+      url: 'https://help.zoho.com/portal/en/community/topic/1',
+      question: 'How long do deleted records stay in the recycle bin?',
+      acceptedAnswers: ['Deleted records stay in the Recycle Bin for 30 days. Administrators can restore deleted records from the Recycle Bin before they are purged.'],
+      productArea: 'crm'
+    },
+    {
+      url: 'https://help.zoho.com/portal/en/community/topic/2',
+      question: 'How do I change the webform captcha language?',
+      acceptedAnswers: ['Open the webform editor, choose Captcha settings, and pick a language from the dropdown list.'],
+      productArea: 'crm'
+    }
+  ];
+
+  const report = Community.analyze(kbPages, threads);
+  assert.deepEqual(report.totals, { kbPages: 1, threads: 2, answered: 2 });
+  assert.equal(report.contradictions.length, 1);
+  assert.equal(report.contradictions[0].kbUrl, kbPages[0].url);
+  assert.deepEqual(report.uncovered.map(item => item.url), [threads[1].url]);
+  assert.equal(report.productAreas[0].productArea, 'crm');
+});
+
+test('the CLI scores KB and FAQ pages and reports threads separately', () => {
+  const mixed = runCli(['--json', fixture('article.html'), fixture('faq.html'), fixture('community/thread.html')]);
+  assert.equal(mixed.code, 0);
+  assert.deepEqual(mixed.json.results.map(result => path.basename(result.meta.url)), ['article.html', 'faq.html']);
+  assert.equal(mixed.json.community.totals.threads, 1);
+
+  const threadsOnly = runCli(['--json', fixture('community/thread.html')]);
+  assert.equal(threadsOnly.code, 0);
+  assert.deepEqual(threadsOnly.json.results, []);
+  assert.equal(threadsOnly.json.community.totals.threads, 1);
+});
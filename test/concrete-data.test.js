@@ -0,0 +1,35 @@
+/**
+ * GAP-05 Concrete Data rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { ConcreteDataRules } = modules;
+
+test('flags vague quantities near limit nouns and suggests a number (CD-01)', () => {
+  const { criteria } = ConcreteDataRules.scoreAll(contentFromHtml(`<main><h1>Import records</h1>
+    <p>You can attach large files to a record.</p>
+    <p>Each import accepts up to 5,000 records.</p></main>`));
+
+  assert.equal(criteria['CD-01'].score, 5);
+  const [issue] = criteria['CD-01'].issues;
+  assert.equal(issue.message, 'Vague quantity: "large files"');
+  assert.match(issue.fix, /State the actual number/);
+});
+
+test('explicit limits with units count as concrete', () => {
+  const { criteria, categoryScore } = ConcreteDataRules.scoreAll(contentFromHtml(`<main><h1>Attachments</h1>
+    <p>Attachments can be up to 20 MB each.</p><p>Exports finish within 10 minutes.</p></main>`));
+  assert.equal(criteria['CD-01'].score, 10);
+  assert.equal(criteria['CD-02'].score, 10);
+  assert.equal(categoryScore, 10);
+});
+
+test('flags unbacked qualifiers without figures (CD-02)', () => {
+  const { criteria } = ConcreteDataRules.scoreAll(contentFromHtml(`<main><h1>Search</h1>
+    <p>The new index makes search significantly faster.</p><p>Reports load 40% faster than before.</p></main>`));
+  assert.equal(criteria['CD-02'].score, 8);
+  assert.deepEqual(criteria['CD-02'].issues.map(issue => issue.message), ['Claim without data: "significantly"']);
+});
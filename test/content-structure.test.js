@@ -0,0 +1,161 @@
+/**
+ * CAT-01 Content Structure rules that read sections and document order
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml, score } = require('./helpers');
+
+const { ContentStructureRules, Scorer } = modules;
+
+test('code blocks with a language and a lead-in after their step score full marks', () => {
+  const result = ContentStructureRules.scoreCodeExamples(contentFromHtml(`<main><h1>Fetch records with the API</h1>
+<h2>List records</h2>
+<ol><li>Create an OAuth token with the ZohoCRM.modules.ALL scope.</li><li>Send a GET request to the records endpoint.</li></ol>
+<p>To list the first page of leads, run:</p>
+<pre><code class="language-bash">curl "https://www.zohoapis.com/crm/v6/Leads"
+  -H "Authorization: Zoho-oauthtoken TOKEN"</code></pre>
+</main>`));
+
+  assert.equal(result.criterionId, 'CS-08');
+  assert.equal(result.score, 10);
+  assert.deepEqual(result.issues, []);
+});
+
+test('flags unlabeled, unintroduced, and separately collected code blocks', () => {
+  const result = ContentStructureRules.scoreCodeExamples(contentFromHtml(`<main><h1>Fetch records with the API</h1>
+<h2>List records</h2>
+<ol><li>Create an OAuth token.</li><li>Send a GET request to the records endpoint.</li></ol>
+<h2>Sample code</h2>
+<pre><code>curl "https://www.zohoapis.com/crm/v6/Leads"
+  -H "Authorization: Zoho-oauthtoken TOKEN"</code></pre>
+</main>`));
+
+  const messages = result.issues.map(issue => issue.message);
+  assert.ok(messages.includes('Code block 1 has no language identifier'));
+  assert.ok(messages.includes('Code block 1 follows its heading with no explanation'));
+  assert.ok(messages.includes('Code block 1 is collected in "Sample code", away from the steps that use it'));
+  assert.equal(result.score, 0);
+});
+
+test('code placed before the step that refers back to it is misplaced', () => {
+  const result = ContentStructureRules.scoreCodeExamples(contentFromHtml(`<main><h1>Deploy a function</h1>
+<h2>Deploy</h2>
+<p>The deploy command is:</p>
+<pre><code class="language-bash">zet deploy
+zet status</code></pre>
+<ol><li>Run the command above from the project folder.</li><li>Check the status output.</li></ol>
+</main>`));
+
+  assert.ok(result.issues.some(issue => issue.message === 'Code block 1 comes before the step that refers to it'));
+});
+
+test('pages without code have no CS-08 score', () => {
+  const content = contentFromHtml('<main><h1>Export contacts</h1><p>Click Export.</p></main>');
+  assert.equal(ContentStructureRules.scoreCodeExamples(content), null);
+  assert.equal(ContentStructureRules.scoreAll(content.metrics, content).criteria['CS-08'], undefined);
+});
+
+test('flags compound and long steps with a suggested split', () => {
+  const result = ContentStructureRules.scoreStepAtomicity(contentFromHtml(`<main><h1>Import leads</h1>
+<h2>Import the file</h2>
+<ol>
+<li>Open the Leads module.</li>
+<li>Click Import and select the CSV file.</li>
+<li>Choose the field that holds each lead's email address so that duplicates can be matched against existing records in the whole organization before anything is saved.</li>
+<li>Click Finish.</li>
+</ol>
+</main>`));
+
+  assert.equal(result.criterionId, 'CS-03');
+  assert.equal(result.score, 5);
+  assert.deepEqual(result.issues.map(issue => issue.message), [
+    'Step 2 combines 2 actions',
+    'Step 3 is 26 words (limit 25)'
+  ]);
+  assert.equal(result.issues[0].fix, 'Split into: 1. Click Import. 2. Select the CSV file.');
+});
+
+test('pages without procedures have no CS-03 score', () => {
+  assert.equal(ContentStructureRules.scoreStepAtomicity(contentFromHtml('<main><h1>About leads</h1><p>Leads are prospects.</p></main>')), null);
+});
+
+test('Claude step atomicity is merged and the category is re-weighted', async () => {
+  const content = contentFromHtml(`<main><h1>Import leads</h1>
+<p>Import leads from a CSV file to add many prospects at once.</p>
+<ol><li>Open the Leads module.</li><li>Click Import and select the CSV file.</li></ol>
+</main>`);
+  const results = await score(content);
+  assert.equal(results.categories['content-structure'].criteria['CS-03'].score, 5);
+
+  Scorer.addClaudeScores(results, {
+    scores: { 'CS-03': { score: 9, issues: [{ severity: 'critical', message: 'Step 2 does two things', fix: 'Split it' }] } }
+  }, { summary: '', topIssues: [] });
+
+  const category = results.categories['content-structure'];
+  assert.equal(category.criteria['CS-03'].score, 7);
+  // CS-01, CS-02, CS-04, CS-06, CS-07 score 10 (weight 0.75 together); CS-03 weighs 0.25
+  assert.equal(category.score, 9.3);
+  assert.equal(category.issues[0].severity, 'critical');
+});
+
+test('a page mixing install, usage, and uninstall workflows is flagged', () => {
+  const result = ContentStructureRules.scoreWorkflowSeparation(contentFromHtml(`<main><h1>Zoho CRM for Gmail</h1>
+<h2>Install the extension</h2>
+<p>Install the extension from the Chrome Web Store and sign in with your Zoho account to connect it to Gmail.</p>
+<ol><li>Download the extension.</li><li>Install it in Chrome.</li></ol>
+<h2>Add a contact from an email</h2>
+<p>Open any email and use the sidebar to add the sender to Zoho CRM as a contact with their details.</p>
+<ol><li>Open the email.</li><li>Click Add to CRM.</li></ol>
+<h2>Uninstall the extension</h2>
+<p>Uninstall the extension from the Chrome extensions page when you no longer need it in your browser.</p>
+<ol><li>Open chrome://extensions.</li><li>Click Remove.</li></ol>
+<h2>Troubleshooting</h2>
+<p>Check that third-party cookies are allowed if the sidebar stays blank after signing in to your account.</p>
+</main>`));
+
+  assert.equal(result.criterionId, 'CS-05');
+  assert.equal(result.score, 4);
+  assert.equal(result.issues[0].message, 'Page mixes 3 workflows: Installation and setup, Usage, Uninstall');
+  assert.match(result.issues[0].fix, /keep troubleshooting sections with the page they support$/);
+});
+
+test('a single workflow with supporting sections scores full marks', () => {
+  const result = ContentStructureRules.scoreWorkflowSeparation(contentFromHtml(`<main><h1>Send email campaigns</h1>
+<h2>Create a campaign</h2>
+<p>Create a campaign from the Campaigns module and choose the mailing list that should receive it.</p>
+<h2>Troubleshooting</h2>
+<p>Check the sender address if a campaign stays in the outbox for more than an hour after sending.</p>
+</main>`));
+
+  assert.equal(result.score, 10);
+  assert.deepEqual(result.issues, []);
+});
+
+test('flags conflicting and near-duplicate instructions', () => {
+  const result = ContentStructureRules.scoreDuplication(contentFromHtml(`<main><h1>Recycle bin</h1>
+<h2>Restore records</h2>
+<p>Deleted records stay in the recycle bin for 60 days before they are removed.</p>
+<p>Open the recycle bin from Setup and select the records you want to restore to their module.</p>
+<h2>Empty the recycle bin</h2>
+<p>Deleted records stay in the recycle bin for 30 days before they are removed.</p>
+<p>Open the recycle bin from Setup and select the records you want to restore to their module.</p>
+</main>`));
+
+  assert.equal(result.criterionId, 'CS-06');
+  assert.deepEqual(result.issues.map(issue => issue.message), [
+    'Possibly conflicting instructions differ in a number (60 vs 30)',
+    'Near-duplicate instructions (100% similar)'
+  ]);
+  assert.equal(result.issues[0].location, 'Section "Restore records", paragraph 1; Section "Empty the recycle bin", paragraph 1');
+  assert.equal(result.score, 7);
+});
+
+test('steps of one list are only compared for duplicates', () => {
+  const result = ContentStructureRules.scoreDuplication(contentFromHtml(`<main><h1>Map fields</h1>
+<ol><li>Select the First Name field in the mapping list.</li><li>Select the Last Name field in the mapping list.</li></ol>
+</main>`));
+
+  assert.equal(result.score, 10);
+  assert.deepEqual(result.issues, []);
+});
@@ -0,0 +1,51 @@
+/**
+ * CAT-13 Error Message Documentation rules (GAP-10)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { ErrorMessageRules } = modules;
+
+const TROUBLESHOOTING_PAGE = `<main><h1>Sync contacts with Google</h1>
+<p>Contacts sync every 15 minutes once you connect your Google account.</p>
+<h2>Troubleshooting</h2>
+<p>Check these sections when contacts stop syncing.</p>
+<h3>Sync stopped</h3>
+<p>You see "Unable to sync contacts: token expired" because the Google token expired after a password change. To fix this, reconnect the account from Setup.</p>
+<h3>Quota exceeded</h3>
+<p>The sync returns QUOTA_EXCEEDED when more than 10,000 contacts change in a day.</p>
+</main>`;
+
+test('recognizes troubleshooting headings', () => {
+  ['Troubleshooting', 'Error messages', 'Known issues', 'Calendar sync not working'].forEach(text =>
+    assert.equal(ErrorMessageRules.isTroubleshootingHeading(text), true, text));
+});
+
+test('how-to and FAQ headings are not troubleshooting headings', () => {
+  ['Create issues', 'Why can\'t I log in?', 'Resolve problems with your team', 'Fail over to the backup region'].forEach(text =>
+    assert.equal(ErrorMessageRules.isTroubleshootingHeading(text), false, text));
+
+  const results = ErrorMessageRules.scoreAll(contentFromHtml(`<main><h1>Create issues</h1>
+<p>Track bugs by creating issues in a project.</p>
+<h2>Create issues from email</h2><p>Forward an email to the project address.</p>
+<h2>Why can't I log in?</h2><p>Your administrator may have deactivated your account.</p>
+</main>`));
+  assert.equal(results.applicable, false);
+  assert.equal(results.categoryScore, null);
+});
+
+test('scores each troubleshooting subsection for messages, codes, and causes', () => {
+  const results = ErrorMessageRules.scoreAll(contentFromHtml(TROUBLESHOOTING_PAGE));
+
+  assert.equal(results.applicable, true);
+  assert.deepEqual(results.detection.sections, ['Sync stopped', 'Quota exceeded']);
+  assert.equal(results.criteria['ER-01'].score, 5);
+  assert.equal(results.criteria['ER-02'].score, 0);
+  assert.equal(results.criteria['ER-03'].score, 5);
+  assert.deepEqual(results.criteria['ER-02'].issues.map(issue => issue.message),
+    ['Error code only in prose under "Quota exceeded": QUOTA_EXCEEDED']);
+  assert.equal(results.categoryScore, 3.8);
+  assert.equal(results.allIssues[0].severity, 'warning');
+});
@@ -0,0 +1,127 @@
+/**
+ * Pasted and uploaded input: format detection, plain text, Markdown, and HTML fragments
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, toDocument } = require('./helpers');
+
+const { Extractor, Parser } = modules;
+
+const MARKDOWN = `# Import leads
+
+Import leads from a **CSV** file. See [field mapping](/crm/mapping).
+
+> [!WARNING]
+> Imported records cannot be undone in bulk.
+
+1. Open the Leads module.
+2. Click \`Import\`.
+
+| Edition | Rows per import |
+| --- | --- |
+| Standard | 5,000 |
+
+\`\`\`bash
+curl -X POST https://www.zohoapis.com/crm/v6/Leads/upload
+\`\`\`
+`;
+
+test('detects the format of pasted input', () => {
+  assert.equal(Extractor.detectFormat('<p>Hello</p>'), 'html');
+  assert.equal(Extractor.detectFormat('# Title\n\nBody'), 'markdown');
+  assert.equal(Extractor.detectFormat('- one\n- two'), 'markdown');
+  assert.equal(Extractor.detectFormat('Just a sentence.\n\nAnother one.'), 'text');
+});
+
+test('plain text becomes paragraphs and a draft URL', () => {
+  const content = Extractor.fromText('First paragraph\nwraps here.\n\nSecond paragraph.', { title: 'Draft Notes' });
+
+  assert.deepEqual(content.blocks, [
+    { type: 'paragraph', text: 'First paragraph wraps here.' },
+    { type: 'paragraph', text: 'Second paragraph.' }
+  ]);
+  assert.equal(content.meta.url, 'draft:draft-notes');
+  assert.equal(content.meta.inputFormat, 'text');
+  assert.equal(content.text.wordCount, 6);
+});
+
+test('Markdown becomes the same blocks the extractor emits', () => {
+  const content = Extractor.fromMarkdown(MARKDOWN);
+
+  assert.deepEqual(content.blocks.map(block => block.type), ['heading', 'paragraph', 'callout', 'list', 'table', 'code']);
+  assert.equal(content.meta.title, 'Import leads');
+  assert.equal(content.meta.url, 'draft:import-leads');
+  assert.equal(content.blocks[1].text, 'Import leads from a CSV file. See field mapping.');
+  assert.equal(content.blocks[2].calloutType, 'warning');
+  assert.deepEqual(content.blocks[3].items, ['Open the Leads module.', 'Click Import.']);
+  assert.deepEqual(content.blocks[4].headers, ['Edition', 'Rows per import']);
+  assert.equal(content.structure.links[0].text, 'field mapping');
+  assert.ok(content.structure.codeBlocks.some(block => block.type === 'inline' && block.content === 'Import'));
+  assert.ok(content.structure.codeBlocks.some(block => block.language === 'bash'));
+});
+
+test('normalized Markdown keeps every block in the tree', () => {
+  const content = Parser.normalize(Extractor.fromMarkdown(MARKDOWN, { url: 'file:///docs/import.md' }));
+  const [section] = Parser.getTree(content).sections;
+
+  assert.equal(section.title, 'Import leads');
+  assert.deepEqual(section.blocks.map(block => block.type), ['paragraph', 'callout', 'list', 'table', 'code']);
+  assert.ok(section.blocks.every(block => block.offset !== null));
+});
+
+test('frontmatter sets the title, date, plans, and roles', () => {
+  const content = Extractor.fromMarkdown(`---
+title: Import leads
+last-updated: 2026-09-01
+plan: [Professional, Enterprise]
+roles:
+  - Administrator
+---
+Import leads from a CSV file.
+`);
+
+  assert.equal(content.meta.title, 'Import leads');
+  assert.equal(content.meta.lastUpdated, '2026-09-01');
+  assert.deepEqual(content.meta.frontmatter.plans, ['Professional', 'Enterprise']);
+  assert.deepEqual(content.meta.frontmatter.roles, ['Administrator']);
+});
+
+test('frontmatter fills the page metadata', () => {
+  const content = Extractor.fromMarkdown(`---
+description: "Import leads from CSV and Excel files"
+author: CRM Docs Team
+product: Zoho CRM
+---
+Import leads from a CSV file.
+`);
+
+  assert.deepEqual(content.meta.metadata, {
+    description: 'Import leads from CSV and Excel files',
+    author: 'CRM Docs Team',
+    product: 'Zoho CRM'
+  });
+  assert.deepEqual(content.meta.extractionWarnings, []);
+});
+
+test('an unterminated inline list is ignored with a warning', () => {
+  const content = Extractor.fromMarkdown(`---
+title: Add users
+roles: [Admin
+plan: [Enterprise]
+---
+Add users from Setup.
+`);
+
+  assert.deepEqual(content.meta.frontmatter.roles, []);
+  assert.deepEqual(content.meta.frontmatter.plans, ['Enterprise']);
+  assert.deepEqual(content.meta.extractionWarnings, ['Frontmatter "roles" has an unterminated [ list; value ignored']);
+});
+
+test('an HTML fragment without a <title> is titled after its first heading', () => {
+  const content = Extractor.fromDocument(toDocument('<h1>Export contacts</h1><p>Click Export to download contacts as a CSV file.</p>'));
+
+  assert.equal(content.meta.title, 'Export contacts');
+  assert.equal(content.meta.url, 'draft:export-contacts');
+  assert.equal(content.meta.inputFormat, 'html');
+});
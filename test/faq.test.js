@@ -0,0 +1,55 @@
+/**
+ * CAT-06 Intent-Driven FAQ rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { FaqRules } = modules;
+
+const FAQ_PAGE = `<main><h1>Zoho CRM FAQ</h1>
+<h2>Frequently asked questions</h2>
+<h3>How do I export my contacts?</h3>
+<p>Export contacts from Setup by clicking Export and choosing the CSV format.</p>
+<h3>Mass delete limits?</h3>
+<p>As mentioned above, the recycle bin keeps records for 60 days.</p>
+<h3>Can I undo a mass delete?</h3>
+<p>Records stay in the recycle bin for 60 days after a mass delete.</p>
+</main>`;
+
+test('finds question headings with their answers', () => {
+  const detection = FaqRules.detectFaq(contentFromHtml(FAQ_PAGE));
+  assert.equal(detection.isFaq, true);
+  assert.equal(detection.faqHeading, true);
+  assert.deepEqual(detection.entries.map(entry => entry.question), [
+    'How do I export my contacts?',
+    'Mass delete limits?',
+    'Can I undo a mass delete?'
+  ]);
+});
+
+test('pages without questions are not applicable', () => {
+  const results = FaqRules.scoreAll(contentFromHtml('<main><h1>Export contacts</h1><p>Click Export.</p></main>'));
+  assert.equal(results.applicable, false);
+  assert.equal(results.categoryScore, null);
+});
+
+test('flags feature-centric questions, indirect yes/no answers, and dangling answers', () => {
+  const { criteria } = FaqRules.scoreAll(contentFromHtml(FAQ_PAGE));
+
+  assert.deepEqual(criteria['FAQ-01'].issues.map(issue => issue.excerpt), ['Mass delete limits?']);
+  assert.ok(criteria['FAQ-02'].issues.some(issue =>
+    issue.message === 'Yes/no question is not answered with yes or no first'));
+
+  const dangling = criteria['FAQ-03'].issues.find(issue => issue.message === 'FAQ answer depends on other parts of the page');
+  assert.equal(dangling.excerpt, 'As mentioned above');
+});
+
+test('an answer opening with a pronoun is only an info issue', () => {
+  const { criteria } = FaqRules.scoreAll(contentFromHtml(`<main><h2>FAQ</h2>
+    <h3>Can I pause sync?</h3><p>This is possible from the Sync settings page under Schedule.</p>
+    <h3>How do I resume sync?</h3><p>Open the Sync settings page and click Resume to start syncing again.</p></main>`));
+  const issue = criteria['FAQ-03'].issues.find(item => item.message === 'FAQ answer starts with a pronoun');
+  assert.equal(issue.severity, 'info');
+});
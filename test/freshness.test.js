@@ -0,0 +1,40 @@
+/**
+ * GAP-04 Freshness & Versioning rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { FreshnessRules } = modules;
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+test('reads a visible last-updated date and scores its age at the scoring date', () => {
+  const content = contentFromHtml('<main><h1>Export contacts</h1><p>Last updated: March 3, 2024.</p><p>Click Export.</p></main>');
+  assert.equal(content.metrics.freshness.lastUpdated, '2024-03-03');
+
+  const results = FreshnessRules.scoreAll(content.metrics, NOW);
+  assert.equal(results.criteria['FR-01'].score, 10);
+  assert.equal(results.criteria['FR-02'].score, 3);
+  assert.equal(results.ageDays, 960);
+});
+
+test('an aging page and an undated page score lower on FR-01/FR-02', () => {
+  const aging = FreshnessRules.scoreAll(
+    contentFromHtml('<main><h1>A</h1><p>Last updated: 2025-06-01</p></main>').metrics, NOW);
+  assert.equal(aging.criteria['FR-02'].score, 6);
+
+  const undated = FreshnessRules.scoreAll(contentFromHtml('<main><h1>A</h1><p>Click Export.</p></main>').metrics, NOW);
+  assert.equal(undated.criteria['FR-02'], undefined);
+  assert.equal(undated.criteria['FR-01'].issues[0].message, 'No last-updated date or other freshness signal');
+});
+
+test('technical pages need a version (FR-03)', () => {
+  const unversioned = contentFromHtml(`<main><h1>Create a record with the API</h1>
+    <p>Send a POST request to the records endpoint.</p><pre><code>curl -X POST https://www.zohoapis.com/crm/records</code></pre></main>`);
+  const results = FreshnessRules.scoreAll(unversioned.metrics, NOW);
+  assert.equal(results.criteria['FR-03'].issues[0].message, 'Technical page does not state a product or API version');
+
+  const plain = FreshnessRules.scoreAll(contentFromHtml('<main><h1>A</h1><p>Click Export.</p></main>').metrics, NOW);
+  assert.equal(plain.criteria['FR-03'], undefined);
+});
@@ -0,0 +1,79 @@
+/**
+ * CI gate: policy validation, per-page verdicts, and exit codes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, fixture, runCli } = require('./helpers');
+
+const { Gate } = modules;
+
+/**
+ * Minimal scoring result for a page
+ * @param {number} compositeScore - Composite score
+ * @param {Object} categories - Category results by key
+ * @returns {Object} Result
+ */
+function pageResult(compositeScore, categories = {}) {
+  return {
+    meta: { url: 'https://help.zoho.com/a', title: 'A' },
+    compositeScore,
+    status: modules.Scorer.getStatus(compositeScore),
+    categories
+  };
+}
+
+test('validatePolicy rejects unknown category keys and non-object rules', () => {
+  assert.equal(Gate.validatePolicy({ minComposite: 6, categories: { metadata: { minScore: 5 } } }).isValid, true);
+
+  const { isValid, errors } = Gate.validatePolicy({
+    minComposite: '6',
+    categories: { 'content-stucture': { minScore: 5 }, faq: null, metadata: 3 }
+  });
+  assert.equal(isValid, false);
+  assert.deepEqual(errors.slice(0, 1), ['minComposite must be a number']);
+  assert.ok(errors.some(error => error.startsWith('categories.content-stucture is not a known category')));
+  assert.ok(errors.includes('categories.faq must be an object'));
+  assert.ok(errors.includes('categories.metadata must be an object'));
+  assert.equal(Gate.validatePolicy({ categories: [] }).isValid, false);
+});
+
+test('evaluate fails thresholds and skips estimated categories', () => {
+  const result = pageResult(5.5, {
+    'content-structure': { name: 'Content Structure', score: 4, issues: [] },
+    'outcomes-reversibility': { name: 'Outcomes & Reversibility', score: 6, estimated: true, issues: [] }
+  });
+  const verdict = Gate.evaluate(result, {
+    minComposite: 6,
+    categories: {
+      'content-structure': { minScore: 5 },
+      'outcomes-reversibility': { minScore: 8 }
+    }
+  });
+
+  assert.equal(verdict.passed, false);
+  assert.deepEqual(verdict.failures.map(failure => failure.rule), ['minComposite', 'minScore']);
+  assert.deepEqual(verdict.skipped, [{ category: 'outcomes-reversibility', reason: 'Category score is estimated' }]);
+});
+
+test('evaluateBatch refuses a batch with no pages to gate', () => {
+  assert.throws(() => Gate.evaluateBatch([], { minComposite: 5 }), /No pages to gate/);
+});
+
+test('the CLI exits 0 on pass, 1 on failure, and 2 on a bad policy or empty batch', () => {
+  const passed = runCli(['--json', '--gate', fixture('gate/pass.json'), fixture('article.html')]);
+  assert.equal(passed.code, 0);
+  assert.equal(passed.json.passed, true);
+
+  const failed = runCli(['--json', '--gate', fixture('gate/fail.json'), fixture('article.html')]);
+  assert.equal(failed.code, 1);
+  assert.equal(failed.json.pages[0].failures[0].rule, 'minComposite');
+
+  const unknown = runCli(['--gate', fixture('gate/unknown-category.json'), fixture('article.html')]);
+  assert.equal(unknown.code, 2);
+  assert.match(unknown.stderr, /categories\.content-stucture is not a known category/);
+
+  const threadsOnly = runCli(['--gate', fixture('gate/pass.json'), fixture('community/thread.html')]);
+  assert.equal(threadsOnly.code, 2);
+  assert.match(threadsOnly.stderr, /No pages to gate/);
+});
@@ -0,0 +1,115 @@
+/**
+ * Shared test helpers
+ * Loads the scoring modules the way the CLI does and builds normalized content
+ * from inline HTML or Markdown, so each test states the page it scores.
+ */
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const Runtime = require('../cli/runtime');
+
+const CLI = path.resolve(__dirname, '../cli/score.js');
+const modules = Runtime.load();
+
+/**
+ * Path to a file under test/fixtures
+ * @param {string} name - Fixture path relative to test/fixtures
+ * @returns {string} Absolute path
+ */
+function fixture(name) {
+  return path.join(__dirname, 'fixtures', name);
+}
+
+/**
+ * Parse HTML into a jsdom document
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Document} Document
+ */
+function toDocument(html, url = 'https://help.zoho.com/portal/en/kb/crm/test-page') {
+  const JSDOM = Runtime.getJSDOM();
+  return new JSDOM(html, { url }).window.document;
+}
+
+/**
+ * Extract and normalize an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @returns {Object} Normalized content
+ */
+function contentFromHtml(html, url) {
+  const { Extractor, Parser } = modules;
+  const doc = toDocument(html, url);
+  return Parser.normalize(Extractor.extract(doc, doc.URL));
+}
+
+/**
+ * Extract and normalize a Markdown source
+ * @param {string} markdown - Markdown with optional frontmatter
+ * @param {Object} options - title and url
+ * @returns {Object} Normalized content
+ */
+function contentFromMarkdown(markdown, options = {}) {
+  const { Extractor, Parser } = modules;
+  return Parser.normalize(Extractor.fromMarkdown(markdown, { url: 'file:///docs/draft.md', ...options }));
+}
+
+/**
+ * Score normalized content in rule-only mode
+ * @param {Object} content - Normalized content
+ * @param {Object} options - Scorer options (queries)
+ * @returns {Promise<Object>} Scoring results
+ */
+function score(content, options = {}) {
+  return modules.Scorer.scoreAll(content, content.metrics, null, () => {}, options);
+}
+
+/**
+ * Score normalized content in full mode, with the Claude response replaced by fixed scores
+ * @param {Object} content - Normalized content
+ * @param {Object} scores - Transformed Claude scores by criterion ID ({ 'OR-01': { score, issues } })
+ * @returns {Promise<Object>} Scoring results
+ */
+async function scoreWithClaude(content, scores) {
+  const { ClaudeClient, Scorer, Storage } = modules;
+  const { scoreSemanticCriteria, transformScores } = ClaudeClient;
+  ClaudeClient.scoreSemanticCriteria = async () => ({ summary: '', topIssues: [] });
+  ClaudeClient.transformScores = () => ({ scores });
+  Storage.getStore().removeItem(Storage.KEYS.CLAUDE_CACHE);
+  try {
+    return await Scorer.scoreAll(content, content.metrics, 'test-key', () => {}, {});
+  } finally {
+    Object.assign(ClaudeClient, { scoreSemanticCriteria, transformScores });
+  }
+}
+
+/**
+ * Run the score command in rule-only mode
+ * @param {string[]} args - CLI arguments
+ * @returns {Object} Exit code, stdout, stderr, and stdout parsed as JSON when it is JSON
+ */
+function runCli(args) {
+  const run = spawnSync(process.execPath, [CLI, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, ANTHROPIC_API_KEY: '' },
+    timeout: 120000
+  });
+  let json = null;
+  try {
+    json = JSON.parse(run.stdout);
+  } catch {
+    // Text output
+  }
+  return { code: run.status, stdout: run.stdout, stderr: run.stderr, json };
+}
+
+module.exports = {
+  modules,
+  fixture,
+  toDocument,
+  contentFromHtml,
+  contentFromMarkdown,
+  score,
+  scoreWithClaude,
+  runCli
+};
@@ -0,0 +1,56 @@
+/**
+ * CAT-15 Keyword Coverage rules (GAP-07)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml, score } = require('./helpers');
+
+const { KeywordCoverageRules } = modules;
+
+const PAGE = `<html><head><title>Reset a user password | Zoho CRM</title></head><body><main>
+<h1>Reset a user password</h1>
+<p>Administrators can reset the password of any active user in the organization.</p>
+<h2>Send a reset link</h2>
+<p>Open Setup, select Users, and click Send reset link next to the user.</p>
+<h2>Overview</h2>
+<p>The user receives an email with a link that expires after 24 hours.</p>
+</main></body></html>`;
+
+test('derives queries from the H1 and H2 headings, skipping generic ones', () => {
+  assert.deepEqual(KeywordCoverageRules.deriveQueries(contentFromHtml(PAGE)),
+    ['reset a user password', 'send a reset link']);
+});
+
+test('an untitled page with no headings has no queries and is not applicable', () => {
+  const content = contentFromHtml('<main><p>Click Export to download the records as a CSV file.</p></main>');
+  assert.equal(content.meta.title, content.meta.url);
+  assert.deepEqual(KeywordCoverageRules.deriveQueries(content), []);
+
+  const results = KeywordCoverageRules.scoreAll(content);
+  assert.equal(results.applicable, false);
+  assert.equal(results.categoryScore, null);
+});
+
+test('derived queries are estimated and excluded from the composite', async () => {
+  const results = await score(contentFromHtml(PAGE));
+  const category = results.categories['keyword-coverage'];
+  assert.equal(category.estimated, true);
+  assert.equal(results.keywordCoverage.source, 'headings');
+  assert.match(category.message, /excluded from composite/);
+});
+
+test('supplied queries are scored for placement and coverage', async () => {
+  const content = contentFromHtml(PAGE);
+  const rules = KeywordCoverageRules.scoreAll(content, ['reset user password', 'password expiry email']);
+
+  assert.equal(rules.estimated, false);
+  assert.equal(rules.coverage.queries[0].placement.title, 1);
+  assert.equal(rules.coverage.queries[0].placement.h1, 1);
+  assert.deepEqual(rules.coverage.queries[1].absentTerms, ['expiry']);
+  assert.ok(rules.criteria['KW-02'].issues.some(issue => issue.message === 'Query "password expiry email": page never uses "expiry"'));
+
+  const results = await score(content, { queries: ['reset user password'] });
+  assert.equal(results.categories['keyword-coverage'].estimated, undefined);
+  assert.equal(typeof results.categories['keyword-coverage'].score, 'number');
+});
@@ -0,0 +1,66 @@
+/**
+ * GAP-01 llms.txt validation, page matching, and generation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules } = require('./helpers');
+
+const { LlmsTxt } = modules;
+
+const LLMS_TXT = `# Zoho CRM Help
+
+> Help articles for Zoho CRM administrators and users.
+
+## CRM
+
+- [Reset a user password](https://help.zoho.com/portal/en/kb/crm/reset-password.md): Admin task
+- [Export contacts](https://help.zoho.com/portal/en/kb/crm/export-contacts)
+`;
+
+test('validate parses the title, summary, sections, and links', () => {
+  const result = LlmsTxt.validate(LLMS_TXT);
+  assert.equal(result.isValid, true);
+  assert.equal(result.title, 'Zoho CRM Help');
+  assert.equal(result.summary, 'Help articles for Zoho CRM administrators and users.');
+  assert.deepEqual(result.sections.map(section => section.name), ['CRM']);
+  assert.equal(result.links[0].notes, 'Admin task');
+});
+
+test('validate reports the real line number when the title is missing', () => {
+  const result = LlmsTxt.validate('\n\n## CRM\n\n- [A](https://help.zoho.com/a)\n');
+  assert.equal(result.isValid, false);
+  assert.deepEqual(result.errors, ['Line 3: file must start with an H1 title ("# Name")']);
+  assert.deepEqual(LlmsTxt.validate('   \n').errors, ['File is empty']);
+});
+
+test('pageKey matches .md, .html, and trailing-slash variants and tolerates bad escapes', () => {
+  const key = LlmsTxt.pageKey('https://help.zoho.com/portal/en/kb/crm/reset-password');
+  assert.equal(LlmsTxt.pageKey('https://help.zoho.com/portal/en/kb/crm/reset-password.md'), key);
+  assert.equal(LlmsTxt.pageKey('https://help.zoho.com/portal/en/kb/crm/reset-password/'), key);
+  assert.equal(LlmsTxt.pageKey('https://help.zoho.com/kb/a%E0%A4b'), '/kb/a%e0%a4b');
+  assert.equal(LlmsTxt.pageKey('not a url'), null);
+});
+
+test('check scores listing and markdown alternates for the scored pages', () => {
+  const page = (url, title) => ({ meta: { url, title }, status: 'green' });
+  const { criteria } = LlmsTxt.check([
+    page('https://help.zoho.com/portal/en/kb/crm/reset-password', 'Reset a user password'),
+    page('https://help.zoho.com/portal/en/kb/crm/workflow-rules', 'Workflow rules')
+  ], { llmsTxt: LLMS_TXT, llmsFullTxt: null });
+
+  assert.equal(criteria['LLM-01'].score, 10);
+  assert.equal(criteria['LLM-02'].score, 0);
+  assert.equal(criteria['LLM-03'].score, 5);
+  assert.equal(criteria['LLM-04'].score, 5);
+});
+
+test('generate groups pages by product area and puts red pages under Optional', () => {
+  const text = LlmsTxt.generate([
+    { meta: { url: 'https://help.zoho.com/portal/en/kb/crm/a', title: 'Page A' }, status: 'green' },
+    { meta: { url: 'https://help.zoho.com/portal/en/kb/crm/b', title: 'Page B' }, status: 'red' }
+  ]);
+  assert.equal(LlmsTxt.validate(text).isValid, true);
+  assert.match(text, /## CRM\n\n- \[Page A\]\(https:\/\/help\.zoho\.com\/portal\/en\/kb\/crm\/a\)/);
+  assert.match(text, /## Optional\n\n- \[Page B\]/);
+});
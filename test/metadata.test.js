@@ -0,0 +1,55 @@
+/**
+ * GAP-06/GAP-08 metadata extraction and provenance rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { MetadataRules } = modules;
+const URL = 'https://help.zoho.com/portal/en/kb/crm/reset-password';
+
+const head = extra => `<html><head><title>Reset a user password | Zoho CRM</title>
+<meta name="description" content="Reset the password of a user in Zoho CRM.">
+<meta name="author" content="Zoho CRM Docs">
+<meta property="og:title" content="Reset a user password">
+<meta property="og:description" content="Reset a password.">
+${extra}
+</head><body><nav class="breadcrumb"><a>Zoho CRM</a> &gt; <a>Users</a></nav>
+<main><h1>Reset a user password</h1><p class="last-updated">Last updated: 2026-09-01</p><p>Administrators can reset passwords.</p></main></body></html>`;
+
+test('extracts meta tags, canonical URL, Open Graph, and JSON-LD', () => {
+  const content = contentFromHtml(head(`<link rel="canonical" href="${URL}">
+<script type="application/ld+json">{"@type":"TechArticle","headline":"Reset a user password","dateModified":"2026-09-01"}</script>`), URL);
+  const metadata = content.meta.metadata;
+
+  assert.equal(metadata.description, 'Reset the password of a user in Zoho CRM.');
+  assert.equal(metadata.canonical, URL);
+  assert.equal(metadata.author, 'Zoho CRM Docs');
+  assert.equal(metadata.og.title, 'Reset a user password');
+  assert.deepEqual(metadata.jsonLd.map(node => node.type), ['TechArticle']);
+});
+
+test('a complete, consistent page scores 10 on MD-01 and MD-02', () => {
+  const content = contentFromHtml(head(`<link rel="canonical" href="${URL}">
+<script type="application/ld+json">{"@type":"TechArticle","headline":"Reset a user password","dateModified":"2026-09-01"}</script>`), URL);
+  const { criteria } = MetadataRules.scoreAll(content);
+  assert.deepEqual(criteria['MD-01'].issues, []);
+  assert.equal(criteria['MD-01'].score, 10);
+  assert.equal(criteria['MD-02'].score, 10);
+});
+
+test('reports missing fields and metadata that disagrees with the page', () => {
+  const content = contentFromHtml(head(`<link rel="canonical" href="https://help.zoho.com/portal/en/kb/crm/other-page">
+<script type="application/ld+json">{"@type":"TechArticle","headline":"Delete a user","dateModified":"2025-01-01"}</script>`), URL);
+  const { criteria } = MetadataRules.scoreAll(content);
+
+  const consistency = criteria['MD-02'].issues.map(issue => issue.message);
+  assert.ok(consistency.includes('Canonical URL points to a different page'));
+  assert.ok(consistency.includes('JSON-LD TechArticle headline does not match the page heading'));
+  assert.ok(consistency.includes('JSON-LD dateModified differs from the visible last-updated date'));
+
+  const bare = MetadataRules.scoreAll(contentFromHtml('<main><h1>Untitled</h1><p>Text.</p></main>', URL));
+  assert.ok(bare.criteria['MD-01'].issues.some(issue => issue.message === 'Missing metadata: Canonical URL'));
+  assert.ok(bare.criteria['MD-01'].score < 5);
+});
@@ -0,0 +1,65 @@
+/**
+ * CAT-03 Outcomes & Reversibility rules (OR-04)
+ */
+
+const fs = require('node:fs');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, fixture, contentFromHtml, score, scoreWithClaude } = require('./helpers');
+
+const { OutcomesReversibilityRules } = modules;
+
+test('reset and clear steps are not destructive', () => {
+  const results = OutcomesReversibilityRules.scoreAll(contentFromHtml(`<main><h1>Reset a filter</h1>
+<ol><li>Click Reset Password.</li><li>Click Clear Filters to show every record.</li><li>Click Save.</li></ol>
+</main>`));
+  assert.equal(results.applicable, false);
+  assert.equal(results.categoryScore, null);
+});
+
+test('generic reminders do not count as warnings for a destructive step', () => {
+  const results = OutcomesReversibilityRules.scoreAll(contentFromHtml(`<main><h1>Delete a module</h1>
+<ol><li>Make sure you are signed in as an administrator.</li><li>Back up settings in the Setup page.</li><li>Click Delete module.</li></ol>
+</main>`));
+  assert.equal(results.criteria['OR-04'].score, 0);
+  assert.equal(results.categoryScore, 0);
+});
+
+test('a step with warning text nearby is protected', () => {
+  const results = OutcomesReversibilityRules.scoreAll(contentFromHtml(`<main><h1>Delete a module</h1>
+<p>Deleted modules cannot be restored.</p>
+<ol><li>Open Setup.</li><li>Click Delete module.</li></ol>
+<h2>Remove a field</h2>
+<ol><li>Open the layout.</li><li>Click Remove field.</li></ol>
+</main>`));
+  assert.equal(results.criteria['OR-04'].score, 5);
+  assert.deepEqual(results.allIssues.map(issue => issue.location), ['Section "Remove a field", step 2']);
+});
+
+test('rule-only mode keeps the category estimated and reports OR-04 with it', async () => {
+  const results = await score(contentFromHtml(fs.readFileSync(fixture('article.html'), 'utf8')));
+  const category = results.categories['outcomes-reversibility'];
+
+  assert.equal(category.estimated, true);
+  assert.equal(category.score, 6);
+  assert.equal(category.criteria['OR-04'].score, 0);
+  assert.equal(category.criteria['OR-04'].details.startsWith('0 of 1 destructive steps'), true);
+  assert.ok(category.issues.every(issue => !issue.excerpt.includes('Reset Password')));
+});
+
+test('Claude scores are weighted with the rule-based OR-04', async () => {
+  const results = await scoreWithClaude(contentFromHtml(`<main><h1>Delete a module</h1>
+<ol><li>Open Setup.</li><li>Click Delete module.</li></ol>
+</main>`), {
+    'OR-01': { score: 8, issues: [] },
+    'OR-02': { score: 8, issues: [] },
+    'OR-03': { score: 8, issues: [] },
+    'OR-04': { score: 2, issues: [{ severity: 'critical', message: 'No warning before deleting a module', fix: 'Add a warning' }] }
+  });
+
+  const category = results.categories['outcomes-reversibility'];
+  assert.equal(category.estimated, undefined);
+  assert.equal(category.criteria['OR-04'].score, 1);
+  assert.equal(category.score, 6.6);
+  assert.deepEqual(category.issues.map(issue => issue.severity), ['critical', 'warning']);
+});
@@ -0,0 +1,120 @@
+/**
+ * CAT-04 Permissions & Plans rules (PP-02, PP-03, PP-04)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml, score, scoreWithClaude } = require('./helpers');
+
+const { Parser, PermissionsPlansRules } = modules;
+
+const STEPS = '<ol><li>Open Setup.</li><li>Click Users.</li><li>Click Save.</li></ol>';
+
+test('requirements stated before the steps score full marks', () => {
+  const results = PermissionsPlansRules.scoreAll(contentFromHtml(`<main><h1>Add users</h1>
+<p>This feature is available in the Professional and Enterprise editions.</p>
+<p>You need the Administrator role to add users.</p>
+${STEPS}
+</main>`));
+
+  assert.deepEqual(results.requirements.plans, ['Professional', 'Enterprise']);
+  assert.deepEqual(results.requirements.roles, ['Administrator']);
+  assert.equal(results.criteria['PP-02'].score, 10);
+  assert.equal(results.criteria['PP-03'].score, 10);
+});
+
+test('requirements after the first procedure are flagged', () => {
+  const results = PermissionsPlansRules.scoreAll(contentFromHtml(`<main><h1>Add users</h1>
+${STEPS}
+<p>Only users with the Administrator role can add users.</p>
+</main>`));
+
+  assert.equal(results.criteria['PP-03'].score, 6);
+  assert.ok(results.allIssues.some(issue => issue.message === 'Permission requirements appear only after the first procedure'));
+});
+
+test('a page that states no requirements is not scored for them', () => {
+  const withSteps = PermissionsPlansRules.scoreAll(contentFromHtml(`<main><h1>Add users</h1>${STEPS}</main>`));
+  assert.equal(withSteps.criteria['PP-02'], undefined);
+  assert.equal(withSteps.criteria['PP-03'], undefined);
+  assert.ok(withSteps.allIssues.every(issue => !issue.message.startsWith('No ')));
+
+  const prose = PermissionsPlansRules.scoreAll(contentFromHtml('<main><h1>About users</h1><p>Users sign in with their email address.</p></main>'));
+  assert.equal(prose.applicable, false);
+  assert.equal(prose.categoryScore, null);
+});
+
+test('pricing and comparison tables are not availability tables', () => {
+  const results = PermissionsPlansRules.scoreAll(contentFromHtml(`<main><h1>Storage limits</h1>
+<table><thead><tr><th>Plan</th><th>Price</th></tr></thead>
+<tbody><tr><td>Free</td><td>$0</td></tr><tr><td>Standard</td><td>$14 per user per month</td></tr></tbody></table>
+<table><thead><tr><th>Plan</th><th>Storage</th></tr></thead>
+<tbody><tr><td>Free</td><td>1 GB</td></tr><tr><td>Standard</td><td>10 GB</td></tr></tbody></table>
+</main>`));
+
+  assert.deepEqual(results.requirements.plans, []);
+  assert.deepEqual(results.requirements.availabilityTables, []);
+});
+
+test('availability tables are recognized by their headers or check marks', () => {
+  const { requirements } = PermissionsPlansRules.scoreAll(contentFromHtml(`<main><h1>Blueprints</h1>
+<table><thead><tr><th>Edition</th><th>Blueprints per module</th></tr></thead>
+<tbody><tr><td>Standard</td><td>1</td></tr><tr><td>Enterprise</td><td>25</td></tr></tbody></table>
+<table><thead><tr><th>Feature</th><th>Free</th><th>Professional</th></tr></thead>
+<tbody><tr><td>Workflows</td><td>✗</td><td>✓</td></tr></tbody></table>
+</main>`));
+
+  assert.deepEqual(requirements.availabilityTables.map(table => table.plans), [['Standard', 'Enterprise'], ['Free', 'Professional']]);
+});
+
+test('rule-only mode leaves the category out of the composite when nothing applies', async () => {
+  const results = await score(contentFromHtml('<main><h1>About users</h1><p>Users sign in with their email address.</p></main>'));
+  const category = results.categories['permissions-plans'];
+  assert.equal(category.applicable, false);
+  assert.equal(category.score, null);
+});
+
+test('Claude scores are weighted with the rule-based criteria', async () => {
+  const results = await scoreWithClaude(contentFromHtml(`<main><h1>Add users</h1>
+<p>You need the Administrator role to add users.</p>
+${STEPS}
+</main>`), {
+    'PP-01': { score: 4, issues: [{ severity: 'critical', message: 'Scope is unclear', fix: 'State what the article covers' }] },
+    'PP-03': { score: 8, issues: [] }
+  });
+
+  const category = results.categories['permissions-plans'];
+  assert.equal(category.criteria['PP-03'].score, 9);
+  assert.equal(category.criteria['PP-04'].score, 5);
+  assert.equal(category.score, 6);
+  assert.equal(category.issues[0].severity, 'critical');
+});
+
+test('procedures with a prerequisite block and established state score full marks', () => {
+  const content = contentFromHtml(`<main><h1>Send a campaign</h1>
+<h2>Before you begin</h2>
+<p>Create an email template for the campaign.</p>
+<h2>Send the campaign</h2>
+<ol><li>Open the template you created.</li><li>Click Send.</li></ol>
+</main>`);
+  const [procedure] = Parser.computeProcedures(content);
+
+  assert.deepEqual(procedure.prerequisite, { type: 'section', title: 'Before you begin' });
+  assert.equal(procedure.assumedState.noun, 'template');
+  assert.equal(procedure.assumedState.established, true);
+  assert.equal(PermissionsPlansRules.scorePreconditions(content).score, 10);
+});
+
+test('a first step that assumes unestablished state is flagged', () => {
+  const result = PermissionsPlansRules.scorePreconditions(contentFromHtml(`<main><h1>Send a campaign</h1>
+<ol><li>Open the template you created.</li><li>Click Send.</li></ol>
+</main>`));
+
+  assert.equal(result.score, 3);
+  assert.deepEqual(result.issues.map(issue => issue.severity), ['warning', 'info']);
+  assert.equal(result.issues[0].message, 'First step assumes a template that the page never sets up: "the template you created"');
+});
+
+test('pages without procedures have no PP-04 score', () => {
+  assert.equal(PermissionsPlansRules.scorePreconditions(contentFromHtml('<main><h1>About users</h1><p>Users sign in.</p></main>')), null);
+});
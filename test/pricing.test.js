@@ -0,0 +1,53 @@
+/**
+ * CAT-05 Pricing Page Structure rules
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml } = require('./helpers');
+
+const { PricingRules } = modules;
+
+const PRICING_PAGE = `<html><head><title>Zoho Forms Pricing</title></head><body><main>
+<h1>Pricing and plans</h1>
+<p>The Standard plan costs $10 per user per month, billed annually.</p>
+<p>The Professional plan costs ₹1,200.</p>
+<p>The Free plan includes 3 forms and 500 submissions.</p>
+<table><tr><th>Feature</th><th>Free</th><th>Standard</th><th>Professional</th></tr>
+<tr><td>Price</td><td>0</td><td>$10/user/month</td><td>25</td></tr>
+<tr><td>Forms</td><td>3</td><td>Unlimited</td><td></td></tr>
+<tr><td>Approvals</td><td>✗</td><td>✓</td><td>✓</td></tr></table>
+</main></body></html>`;
+
+test('detects pricing pages and leaves other pages not applicable', () => {
+  const pricing = PricingRules.scoreAll(contentFromHtml(PRICING_PAGE));
+  assert.equal(pricing.applicable, true);
+  assert.deepEqual(pricing.detection.plans.sort(), ['free', 'professional', 'standard']);
+
+  const article = PricingRules.scoreAll(contentFromHtml(
+    '<main><h1>Create a form</h1><p>Click New Form and give the form a name.</p></main>'
+  ));
+  assert.equal(article.applicable, false);
+  assert.equal(article.categoryScore, null);
+});
+
+test('scores PR-01 on plan limits and price units together', () => {
+  const { criteria } = PricingRules.scoreAll(contentFromHtml(PRICING_PAGE));
+  assert.deepEqual(Object.keys(criteria).sort(), ['PR-01', 'PR-04']);
+
+  const messages = criteria['PR-01'].issues.map(issue => issue.message);
+  assert.ok(messages.includes('1 price(s) without a currency'));
+  assert.ok(messages.includes('1 price(s) without a billing period'));
+  // Every plan has a limit (10/10); 2 of 4 prices have both currency and period (5/10)
+  assert.equal(criteria['PR-01'].score, 8);
+});
+
+test('flags icon-only comparison cells (PR-04) and weights the category', () => {
+  const results = PricingRules.scoreAll(contentFromHtml(PRICING_PAGE));
+  const iconIssue = results.criteria['PR-04'].issues.find(issue => /no text label/.test(issue.message));
+  assert.ok(iconIssue);
+  assert.equal(
+    results.categoryScore,
+    Math.round((results.criteria['PR-01'].score * 0.65 + results.criteria['PR-04'].score * 0.35) * 10) / 10
+  );
+});
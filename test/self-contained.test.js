@@ -0,0 +1,61 @@
+/**
+ * CAT-09 Self-Contained Context rules (GAP-03) and the shared dangling-reference check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, contentFromHtml, score } = require('./helpers');
+
+const { Parser, Scorer, SelfContainedRules } = modules;
+
+const PAGE = `<main><h1>Manage reports</h1>
+<h2>Reports</h2>
+<p>This report lists every deal closed in the current quarter.</p>
+<h2>Schedule a report</h2>
+<p>It runs every Monday at 9 AM in the organization's time zone.</p>
+<h2>Share a report</h2>
+<p>As mentioned above, only report owners can share a report.</p>
+<h2>Export a report</h2>
+<p>These steps export the report as a CSV file:</p>
+<ol><li>Open the report.</li><li>Click Export.</li></ol>
+</main>`;
+
+test('finds dangling openings, with and without the opening-only patterns', () => {
+  assert.equal(Parser.findDanglingReference('It runs every Monday.'), 'It');
+  assert.equal(Parser.findDanglingReference('As mentioned above, owners can share.'), 'As mentioned');
+  assert.equal(Parser.findDanglingReference('It runs every Monday.', { skipOpenings: true }), null);
+  assert.equal(Parser.findDanglingReference('Owners can share, as mentioned above.', { skipOpenings: true }), 'as mentioned above');
+  assert.equal(Parser.findDanglingReference('Report owners can share a report.'), null);
+});
+
+test('flags section openings without an antecedent in their own section', () => {
+  const results = SelfContainedRules.scoreAll(contentFromHtml(PAGE));
+  const gap03 = results.criteria['GAP-03'];
+
+  assert.deepEqual(gap03.issues.map(issue => issue.location), ['Section "Schedule a report"', 'Section "Share a report"']);
+  assert.equal(gap03.score, 5);
+  assert.equal(results.categoryScore, 5);
+});
+
+test('rule-only mode scores GAP-03 instead of estimating the category', async () => {
+  const results = await score(contentFromHtml(PAGE));
+  const category = results.categories['self-contained'];
+  assert.equal(category.estimated, undefined);
+  assert.equal(category.score, 5);
+});
+
+test('Claude scores are merged with the rule-based GAP-03 and weighted', async () => {
+  const results = await score(contentFromHtml(PAGE));
+  const claudeIssue = { severity: 'critical', message: 'Section relies on the previous section', fix: 'Restate the subject' };
+  Scorer.addClaudeScores(results, {
+    scores: {
+      'GAP-03': { score: 9, issues: [] },
+      'GAP-04': { score: 8, issues: [claudeIssue] }
+    }
+  }, { summary: '', topIssues: [] });
+
+  const category = results.categories['self-contained'];
+  assert.equal(category.criteria['GAP-03'].score, 7);
+  assert.equal(category.score, 7.5);
+  assert.equal(category.issues[0], claudeIssue);
+});
@@ -0,0 +1,58 @@
+/**
+ * Site profiles: selection by host, path, and portal markup, and profile-specific extraction
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { modules, toDocument } = require('./helpers');
+
+const { Extractor } = modules;
+
+const profileFor = (url, html = '<p>Page</p>') => Extractor.getProfile(toDocument(html, url), url).id;
+
+const BODY = 'Records you delete stay in the recycle bin for sixty days, and administrators can restore them to their original module at any time during that period.';
+
+test('selects profiles by host and path', () => {
+  assert.equal(profileFor('https://help.zoho.com/portal/en/kb/crm/a'), 'zoho-help');
+  assert.equal(profileFor('https://help.zoho.eu/portal/en/kb/crm/a'), 'zoho-help-regional');
+  assert.equal(profileFor('https://www.zoho.com/crm/help/leads.html'), 'zoho-product-help');
+  assert.equal(profileFor('https://www.zoho.com/crm/pricing.html'), 'generic');
+  assert.equal(profileFor('https://acme.zohodesk.com/portal/en/kb/articles/a'), 'zoho-desk-portal');
+});
+
+test('a custom-domain Desk portal is recognized by its markup', () => {
+  const html = '<head><script src="https://static.zohodesk.com/portal.js"></script></head><body><p>Page</p></body>';
+  assert.equal(profileFor('https://support.acme.com/portal/en/kb/articles/a', html), 'zoho-desk-portal');
+  assert.equal(profileFor('https://support.acme.com/kb/a'), 'generic');
+});
+
+test('product help pages use the profile content container, boilerplate, and callouts', () => {
+  const url = 'https://www.zoho.com/crm/help/recycle-bin.html';
+  const content = Extractor.extract(toDocument(`<body>
+<div class="help-left-panel"><p>${BODY} Navigation copy.</p></div>
+<div class="help-content">
+<h1>Recycle bin</h1>
+<p>${BODY}</p>
+<div class="warning-box"><p>Emptying the recycle bin deletes records permanently.</p></div>
+<div class="help-feedback"><p>Was this article helpful?</p></div>
+</div></body>`, url), url);
+
+  assert.equal(content.meta.siteProfile, 'zoho-product-help');
+  assert.ok(!content.text.fullText.includes('Navigation copy'));
+  assert.ok(!content.text.fullText.includes('Was this article helpful'));
+  assert.deepEqual(content.blocks.filter(block => block.type === 'callout').map(block => block.calloutType), ['warning']);
+  assert.deepEqual(content.meta.extractionWarnings.filter(warning => warning.startsWith('No content container')), []);
+});
+
+test('a profile whose container is missing falls back to generic selectors with a warning', () => {
+  const url = 'https://help.zoho.com/portal/en/kb/crm/a';
+  const content = Extractor.extract(toDocument(`<body><main><h1>Recycle bin</h1><p>${BODY}</p></main></body>`, url), url);
+
+  assert.ok(content.meta.extractionWarnings.includes('No content container matched the zoho-help site profile; used generic selectors'));
+  assert.ok(content.text.fullText.includes('recycle bin for sixty days'));
+});
+
+test('the bookmarklet embeds every profile', () => {
+  const code = decodeURIComponent(Extractor.buildBookmarklet('https://example.com/app/').replace(/^javascript:/, ''));
+  Extractor.SITE_PROFILES.forEach(profile => assert.ok(code.includes(`"id":"${profile.id}"`), profile.id));
+});